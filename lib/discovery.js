@@ -0,0 +1,124 @@
+const InternalOAuthError = require("./errors/internaloautherror");
+
+/**
+ * OpenID Provider Metadata
+ *
+ * Only the members used by this library are listed, the document may contain
+ * any other metadata published by the provider.
+ *
+ * @typedef {Object} ProviderMetadata
+ * @prop {string} issuer
+ * @prop {string} authorization_endpoint
+ * @prop {string} token_endpoint
+ * @prop {string} [userinfo_endpoint]
+ * @prop {string} [jwks_uri]
+ * @prop {string} [end_session_endpoint]
+ * @prop {string} [revocation_endpoint]
+ * @prop {string} [introspection_endpoint]
+ * @prop {string} [registration_endpoint]
+ * @prop {string} [pushed_authorization_request_endpoint]
+ * @prop {boolean} [require_pushed_authorization_requests]
+ * @prop {Object<string, string>} [mtls_endpoint_aliases] - endpoints to use instead when the client presents a certificate
+ * @prop {string[]} [id_token_signing_alg_values_supported]
+ * @prop {string[]} [token_endpoint_auth_methods_supported]
+ * @prop {string[]} [code_challenge_methods_supported]
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderMetadata
+ */
+
+/**
+ * Callback with the provider's metadata.
+ *
+ * @callback DiscoveryCallback
+ * @param {Error | null} err
+ * @param {ProviderMetadata} [metadata]
+ * @returns {void}
+ */
+
+/**
+ * Location of the configuration document of an issuer.
+ *
+ * @param {string} issuer
+ * @returns {string}
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfigurationRequest
+ */
+exports.configurationURL = function (issuer) {
+    return issuer.replace(/\/$/, "") + "/.well-known/openid-configuration";
+};
+
+/**
+ * Retrieve and validate the configuration document of an OpenID provider.
+ *
+ * The document is rejected unless its `issuer` is identical to the issuer it
+ * was retrieved for.  Multi-tenant providers publish a document shared by all
+ * tenants, whose `issuer` may name none of them, so it is not checked with
+ * `options.multiTenant`.
+ *
+ * @param {string} issuer - issuer identifier of the provider
+ * @param {OAuth2} oauth2 - `OAuth2` instance used to make the http request
+ * @param {Object} [options]
+ * @param {boolean} [options.multiTenant] - true if tokens are issued by each tenant of the provider
+ * @param {DiscoveryCallback} cb
+ * @returns {void}
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfigurationValidation
+ */
+exports.discover = function (issuer, oauth2, options, cb) {
+    if (typeof options === "function") {
+        cb = options;
+        options = undefined;
+    }
+    options = options || {};
+
+    oauth2._request(
+        "GET",
+        exports.configurationURL(issuer),
+        { Accept: "application/json" },
+        null,
+        null,
+        function (err, body) {
+            if (err) {
+                return cb(
+                    new InternalOAuthError(
+                        "Failed to fetch OpenID provider metadata",
+                        err
+                    )
+                );
+            }
+
+            let metadata;
+            try {
+                metadata = JSON.parse(body);
+            } catch (ex) {
+                return cb(
+                    new Error("Failed to parse OpenID provider metadata")
+                );
+            }
+            if (!metadata || typeof metadata !== "object") {
+                return cb(
+                    new Error("Failed to parse OpenID provider metadata")
+                );
+            }
+
+            if (!options.multiTenant && metadata.issuer !== issuer) {
+                return cb(
+                    new Error(
+                        "OpenID provider metadata issuer does not match expected issuer"
+                    )
+                );
+            }
+            if (!metadata.authorization_endpoint) {
+                return cb(
+                    new Error(
+                        "OpenID provider metadata missing authorization_endpoint"
+                    )
+                );
+            }
+            if (!metadata.token_endpoint) {
+                return cb(
+                    new Error("OpenID provider metadata missing token_endpoint")
+                );
+            }
+
+            cb(null, metadata);
+        }
+    );
+};
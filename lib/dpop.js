@@ -0,0 +1,207 @@
+const crypto = require("crypto"),
+    url = require("url"),
+    jose = require("./jose");
+
+/**
+ * Parameters of the key pairs generated for each supported `alg`.
+ */
+const KEY_PAIRS = {
+    ES256: ["ec", { namedCurve: "P-256" }],
+    ES384: ["ec", { namedCurve: "P-384" }],
+    ES512: ["ec", { namedCurve: "P-521" }],
+    RS256: ["rsa", { modulusLength: 2048 }],
+    RS384: ["rsa", { modulusLength: 2048 }],
+    RS512: ["rsa", { modulusLength: 2048 }],
+    PS256: ["rsa", { modulusLength: 2048 }],
+    PS384: ["rsa", { modulusLength: 2048 }],
+    PS512: ["rsa", { modulusLength: 2048 }],
+    EdDSA: ["ed25519", {}],
+};
+
+/**
+ * Algorithms proofs can be signed with.
+ */
+const ALGORITHMS = Object.keys(KEY_PAIRS);
+
+/**
+ * Creates an instance of `DPoP`.
+ *
+ * A `DPoP` instance holds the key pair that access tokens are bound to, and
+ * creates the proof JWTs sent with each request that uses them.  The nonces
+ * servers provide in `DPoP-Nonce` headers are remembered per origin and
+ * included in later proofs to that origin.
+ *
+ * @param {string | Object | crypto.KeyObject} privateKey - PEM, JWK or `KeyObject` private key
+ * @param {string} [alg] - algorithm proofs are signed with. Defaults to the
+ *  `alg` of a JWK, or to the conventional algorithm for the key type.
+ * @throws {TypeError} when the key cannot sign with the algorithm
+ *
+ * @constructor
+ * @see https://www.rfc-editor.org/rfc/rfc9449
+ * @public
+ */
+function DPoP(privateKey, alg) {
+    const key = jose.importPrivateKey(privateKey);
+    const jwk = crypto.createPublicKey(key).export({ format: "jwk" });
+    const isJWK =
+        !(privateKey instanceof crypto.KeyObject) &&
+        typeof privateKey === "object" &&
+        !Buffer.isBuffer(privateKey);
+
+    alg = alg || (isJWK && privateKey.alg) || jose.defaultAlgorithm(jwk);
+    if (ALGORITHMS.indexOf(alg) === -1 || !jose.isKeyFor(jwk, alg)) {
+        throw new TypeError("DPoP key cannot sign with " + alg);
+    }
+
+    this._key = key;
+    this._jwk = jwk;
+    this.alg = alg;
+    this._nonces = {};
+}
+
+DPoP.ALGORITHMS = ALGORITHMS;
+
+/**
+ * Create a `DPoP` instance with a newly generated key pair.
+ *
+ * @param {string} [alg] - algorithm proofs are signed with. Defaults to `ES256`.
+ * @returns {DPoP}
+ * @throws {TypeError} when the algorithm is not supported
+ * @public
+ */
+DPoP.generate = function (alg) {
+    alg = alg || "ES256";
+    const params = KEY_PAIRS[alg];
+    if (!params) {
+        throw new TypeError("Unsupported DPoP alg " + alg);
+    }
+    const pair = crypto.generateKeyPairSync(params[0], params[1]);
+    return new DPoP(pair.privateKey, alg);
+};
+
+/**
+ * Export the private key as a JWK carrying the `alg` of the proofs, from which
+ * the instance can be recreated, such as when it is kept in a session.
+ *
+ * @returns {Object}
+ * @public
+ */
+DPoP.prototype.exportKey = function () {
+    return Object.assign(this._key.export({ format: "jwk" }), {
+        alg: this.alg,
+    });
+};
+
+/**
+ * The JWK thumbprint of the public key, which bound access tokens carry as
+ * their `jkt` confirmation.
+ *
+ * @returns {string}
+ * @public
+ */
+DPoP.prototype.thumbprint = function () {
+    return jose.thumbprint(this._jwk);
+};
+
+/**
+ * Create a DPoP proof for a request.
+ *
+ * @param {string} method - HTTP method of the request
+ * @param {string} uri - URL of the request. Its query and fragment are not
+ *  part of the proof.
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - access token sent with the request,
+ *  whose hash the proof then carries
+ * @param {string} [options.nonce] - nonce provided by the server. Defaults to
+ *  the last nonce remembered for the origin of the URL.
+ * @returns {string}
+ * @see https://www.rfc-editor.org/rfc/rfc9449#section-4.2
+ * @public
+ */
+DPoP.prototype.proof = function (method, uri, options) {
+    options = options || {};
+
+    const parsed = url.parse(uri);
+    const payload = {
+        jti: crypto.randomUUID(),
+        htm: method.toUpperCase(),
+        htu: parsed.protocol + "//" + parsed.host + parsed.pathname,
+        iat: Math.floor(Date.now() / 1000),
+    };
+    const nonce = options.nonce || this._nonces[origin(uri)];
+    if (nonce) {
+        payload.nonce = nonce;
+    }
+    if (options.accessToken) {
+        payload.ath = crypto
+            .createHash("sha256")
+            .update(options.accessToken)
+            .digest("base64url");
+    }
+
+    return jose.sign(
+        { typ: "dpop+jwt", alg: this.alg, jwk: this._jwk },
+        payload,
+        this._key
+    );
+};
+
+/**
+ * Remember the nonce a server provided in the `DPoP-Nonce` header of a
+ * response.
+ *
+ * @param {string} uri - URL of the request
+ * @param {http.IncomingHttpHeaders} [headers] - headers of the response
+ * @returns {boolean} true if the server provided a new nonce
+ * @public
+ */
+DPoP.prototype.updateNonce = function (uri, headers) {
+    const nonce = headers && headers["dpop-nonce"];
+    if (!nonce || this._nonces[origin(uri)] === nonce) {
+        return false;
+    }
+    this._nonces[origin(uri)] = nonce;
+    return true;
+};
+
+/**
+ * Check if an error response asks the client to retry with a DPoP nonce.
+ *
+ * Authorization servers respond with a `use_dpop_nonce` error in the body,
+ * resource servers in the `WWW-Authenticate` header.
+ *
+ * @param {Object} err - error passed by node-oauth, with the response headers
+ * @returns {boolean}
+ * @see https://www.rfc-editor.org/rfc/rfc9449#section-8
+ * @see https://www.rfc-editor.org/rfc/rfc9449#section-9
+ * @public
+ */
+DPoP.requiresNonce = function (err) {
+    if (err.statusCode === 401) {
+        const challenge =
+            (err.headers && err.headers["www-authenticate"]) || "";
+        return /error="use_dpop_nonce"/.test(challenge);
+    }
+    if (err.statusCode === 400) {
+        try {
+            return JSON.parse(err.data).error === "use_dpop_nonce";
+        } catch (ex) {
+            return false;
+        }
+    }
+    return false;
+};
+
+/**
+ * Origin of a URL, under which server nonces are remembered.
+ *
+ * @param {string} uri
+ * @returns {string}
+ */
+function origin(uri) {
+    const parsed = url.parse(uri);
+    return parsed.protocol + "//" + parsed.host;
+}
+
+// Expose constructor.
+module.exports = DPoP;
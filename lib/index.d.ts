@@ -5,6 +5,7 @@ import passportStrategy = require("passport-strategy");
 import express = require("express");
 import { OAuth2 } from "oauth";
 import { Agent, OutgoingHttpHeaders } from "http";
+import { KeyObject } from "crypto";
 
 /**
  * The OpenID Connect authentication strategy authenticates requests using
@@ -23,6 +24,17 @@ declare class OpenIDConnectStrategy extends passportStrategy.Strategy {
      */
     protected _oauth2: OAuth2;
 
+    /**
+     * Metadata of the OpenID provider, available once it has been discovered.
+     */
+    metadata?: OpenIDConnectStrategy.ProviderMetadata;
+
+    /**
+     * Registration of the client, when the strategy was created by
+     * {@link OpenIDConnectStrategy.register | Strategy.register()}.
+     */
+    registration?: OpenIDConnectStrategy.ClientRegistration;
+
     /**
      * Creates an instance of `OpenIDConnectStrategy`.
      *
@@ -57,6 +69,263 @@ declare class OpenIDConnectStrategy extends passportStrategy.Strategy {
      * @param options
      */
     authorizationParams(options?: any): object;
+
+    /**
+     * Retrieve the OpenID provider's metadata and configure endpoints that were
+     * not given as options from it.
+     *
+     * @remarks
+     * Called automatically before the first request is authenticated when
+     * `authorizationURL` or `tokenURL` is not given. The metadata is retrieved
+     * once and exposed as {@link OpenIDConnectStrategy.metadata | metadata}.
+     *
+     * @param cb - callback with the provider metadata
+     */
+    /**
+     * Build the URL that logs the user out at the OpenID provider.
+     *
+     * @remarks
+     * When a post logout redirect URL is used, a `state` is generated and kept in the
+     * state store for {@link OpenIDConnectStrategy.verifyLogout | verifyLogout()}.
+     *
+     * @param req - request object of the incoming http message
+     * @param options - logout {@link OpenIDConnectStrategy.LogoutOptions | options}
+     * @param cb - callback with the logout URL
+     *
+     * @see https://openid.net/specs/openid-connect-rpinitiated-1_0.html
+     */
+    logoutURL(
+        req: express.Request,
+        options: OpenIDConnectStrategy.LogoutOptions,
+        cb: (err: Error | null, url?: string) => void
+    ): void;
+    logoutURL(
+        req: express.Request,
+        cb: (err: Error | null, url?: string) => void
+    ): void;
+
+    /**
+     * Verify the `state` of a request the OpenID provider redirected back to the
+     * post logout redirect URL.
+     *
+     * @param req - request object of the incoming http message
+     * @param cb - callback with whether the state is valid, and either the app state or details on why it is not
+     */
+    verifyLogout(
+        req: express.Request,
+        cb: (err: Error | null, ok?: boolean, state?: any) => void
+    ): void;
+
+    /**
+     * Create a middleware that serves the public portion of the client's keys,
+     * `privateKey` and `clientKeys`, as a JWK Set.
+     *
+     * @remarks
+     * Register the URL the middleware is mounted at as the client's `jwks_uri`.
+     */
+    jwksHandler(): express.RequestHandler;
+
+    /**
+     * Create a middleware that handles front-channel logout requests from the
+     * OpenID provider.
+     *
+     * @remarks
+     * When the request carries `iss` and `sid` parameters, they must match the
+     * provider and the `sid` of the ID token the user logged in with. The login is
+     * then cleared from the session. Mismatched requests get a 400 response.
+     *
+     * @see https://openid.net/specs/openid-connect-frontchannel-1_0.html
+     */
+    frontchannelLogout(): express.RequestHandler;
+
+    /**
+     * Create a middleware that handles back-channel logout requests from the
+     * OpenID provider.
+     *
+     * @remarks
+     * The `logout_token` is validated, including its signature, and `callback` is
+     * invoked with its claims. The application should end the sessions identified
+     * by the `sid` and/or `sub` claims, then call `done`. Invalid tokens are
+     * rejected with a 400 response.
+     *
+     * @param callback - function invoked with the claims of a valid logout token
+     *
+     * @see https://openid.net/specs/openid-connect-backchannel-1_0.html
+     */
+    backchannelLogout(
+        callback:
+            | ((claims: any, done: (err?: Error | null) => void) => void)
+            | ((
+                  req: express.Request,
+                  claims: any,
+                  done: (err?: Error | null) => void
+              ) => void)
+    ): express.RequestHandler;
+
+    /**
+     * Obtain new tokens with a refresh token.
+     *
+     * @remarks
+     * A new ID token returned by the provider is validated like the one obtained at
+     * login. When the original ID token is given as `options.idToken`, the new one
+     * must also have the same `iss`, `sub`, `aud` and `auth_time`.
+     *
+     * @param refreshToken - refresh token passed to the verify function at login
+     * @param options - refresh {@link OpenIDConnectStrategy.RefreshOptions | options}
+     * @param cb - callback with the new tokens. If omitted, a promise is returned.
+     *
+     * @see https://openid.net/specs/openid-connect-core-1_0.html#RefreshTokens
+     */
+    refresh(
+        refreshToken: string,
+        options?: OpenIDConnectStrategy.RefreshOptions
+    ): Promise<OpenIDConnectStrategy.RefreshResult>;
+    refresh(
+        refreshToken: string,
+        options: OpenIDConnectStrategy.RefreshOptions,
+        cb: (
+            err: Error | null,
+            result?: OpenIDConnectStrategy.RefreshResult
+        ) => void
+    ): void;
+    refresh(
+        refreshToken: string,
+        cb: (
+            err: Error | null,
+            result?: OpenIDConnectStrategy.RefreshResult
+        ) => void
+    ): void;
+
+    /**
+     * Revoke an access or refresh token at the provider.
+     *
+     * @param token - access or refresh token to revoke
+     * @param options - `tokenTypeHint` of `access_token` or `refresh_token`
+     * @param cb - callback invoked once the token is revoked. If omitted, a promise is returned.
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc7009
+     */
+    revoke(
+        token: string,
+        options?: { tokenTypeHint?: string | undefined }
+    ): Promise<void>;
+    revoke(
+        token: string,
+        options: { tokenTypeHint?: string | undefined },
+        cb: (err: Error | null) => void
+    ): void;
+    revoke(token: string, cb: (err: Error | null) => void): void;
+
+    /**
+     * Query the provider for the state of an access or refresh token.
+     *
+     * @param token - access or refresh token to introspect
+     * @param options - `tokenTypeHint` of `access_token` or `refresh_token`
+     * @param cb - callback with the introspection response. If omitted, a promise is returned.
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc7662
+     */
+    introspect(
+        token: string,
+        options?: { tokenTypeHint?: string | undefined }
+    ): Promise<OpenIDConnectStrategy.IntrospectionResult>;
+    introspect(
+        token: string,
+        options: { tokenTypeHint?: string | undefined },
+        cb: (
+            err: Error | null,
+            result?: OpenIDConnectStrategy.IntrospectionResult
+        ) => void
+    ): void;
+    introspect(
+        token: string,
+        cb: (
+            err: Error | null,
+            result?: OpenIDConnectStrategy.IntrospectionResult
+        ) => void
+    ): void;
+
+    /**
+     * Create a DPoP proof for a request made with a DPoP-bound access token.
+     *
+     * @param method - HTTP method of the request
+     * @param uri - URL of the request
+     * @param options - `accessToken` sent with the request, `nonce` provided by the
+     * resource server and, when `dpop.session` is set, `req` of the login session
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc9449#section-7
+     */
+    dpopProof(
+        method: string,
+        uri: string,
+        options?: {
+            accessToken?: string | undefined;
+            nonce?: string | undefined;
+            req?: express.Request | undefined;
+        }
+    ): string;
+
+    /**
+     * Register a client at the provider's registration endpoint and create a strategy for it.
+     *
+     * @param issuer - issuer identifier of the provider
+     * @param metadata - client metadata to register. `redirect_uris` defaults to `options.callbackURL`.
+     * @param options - options of the strategy, along with the `initialAccessToken` and
+     * the `registrationStore` the registration is saved to
+     * @param verify - {@link OpenIDConnectStrategy.VerifyFunction | callback} to verify response from OIDC provider.
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc7591
+     */
+    static register(
+        issuer: string,
+        metadata: { [key: string]: any },
+        options: OpenIDConnectStrategy.RegisterOptions,
+        verify: OpenIDConnectStrategy.VerifyFunction
+    ): Promise<OpenIDConnectStrategy>;
+    static register(
+        issuer: string,
+        metadata: { [key: string]: any },
+        options: OpenIDConnectStrategy.RegisterOptions,
+        verify: OpenIDConnectStrategy.VerifyFunction,
+        cb: (err: Error | null, strategy?: OpenIDConnectStrategy) => void
+    ): void;
+
+    /**
+     * Read the client's registration from the provider.
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc7592#section-2.1
+     */
+    readRegistration(): Promise<OpenIDConnectStrategy.ClientRegistration>;
+    readRegistration(
+        cb: (
+            err: Error | null,
+            registration?: OpenIDConnectStrategy.ClientRegistration
+        ) => void
+    ): void;
+
+    /**
+     * Update the client's registration at the provider. Registered metadata that is
+     * not given is sent unchanged.
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc7592#section-2.2
+     */
+    updateRegistration(metadata: {
+        [key: string]: any;
+    }): Promise<OpenIDConnectStrategy.ClientRegistration>;
+    updateRegistration(
+        metadata: { [key: string]: any },
+        cb: (
+            err: Error | null,
+            registration?: OpenIDConnectStrategy.ClientRegistration
+        ) => void
+    ): void;
+
+    discover(
+        cb: (
+            err: Error | null,
+            metadata?: OpenIDConnectStrategy.ProviderMetadata
+        ) => void
+    ): void;
 }
 
 declare namespace OpenIDConnectStrategy {
@@ -69,6 +338,8 @@ declare namespace OpenIDConnectStrategy {
         maxAge?: number | undefined;
         nonce?: string | undefined;
         verifier?: string | undefined;
+        /** True if the state belongs to a logout request */
+        logout?: boolean | undefined;
     }
 
     /**
@@ -146,6 +417,92 @@ declare namespace OpenIDConnectStrategy {
         ): void;
     }
 
+    /**
+     * This is the store the OIDCStrategy uses to detect replayed tokens, such as
+     * logout tokens received through back-channel logout. It remembers token
+     * identifiers in memory until the token expires, and rejects identifiers of
+     * tokens that have already expired.
+     *
+     * Identifiers are not shared between processes. Applications running more than
+     * one instance should supply a store backed by a shared database.
+     */
+    class ReplayStore {
+        /**
+         * Verify that a token identifier has not been seen before, and remember it.
+         *
+         * @param id - unique identifier of the token
+         * @param expires - time after which the token is no longer accepted
+         * @param cb - callback with true if the identifier has not been seen before
+         */
+        verify(
+            id: string,
+            expires: Date,
+            cb: (err: Error | null, fresh?: boolean) => void
+        ): void;
+
+        /**
+         * Forget a token identifier, so that the token is accepted again. Called
+         * when the token could not be processed after it was verified. Custom
+         * stores may omit it.
+         *
+         * @param id - unique identifier of the token
+         * @param cb - callback after removing the identifier
+         */
+        remove?(id: string, cb: (err: Error | null) => void): void;
+    }
+
+    /**
+     * Store of dynamically registered clients, keyed by issuer.
+     *
+     * `save` is called whenever the registration is created or changes. If `load`
+     * yields a registration, {@link OpenIDConnectStrategy.register | Strategy.register()}
+     * uses it instead of registering a new client.
+     */
+    interface RegistrationStore {
+        load?(
+            issuer: string,
+            cb: (err: Error | null, registration?: ClientRegistration) => void
+        ): void;
+        save(
+            issuer: string,
+            registration: ClientRegistration,
+            cb: (err: Error | null) => void
+        ): void;
+    }
+
+    /**
+     * Client information returned by the provider's registration endpoint.
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc7591#section-3.2.1
+     */
+    interface ClientRegistration {
+        client_id: string;
+        client_secret?: string | undefined;
+        client_id_issued_at?: number | undefined;
+        client_secret_expires_at?: number | undefined;
+        /** Token to read and update the registration with */
+        registration_access_token?: string | undefined;
+        /** Location of the registration */
+        registration_client_uri?: string | undefined;
+        redirect_uris?: string[] | undefined;
+        token_endpoint_auth_method?: string | undefined;
+        [key: string]: any;
+    }
+
+    /**
+     * Options available to pass into {@link OpenIDConnectStrategy.register | Strategy.register()}.
+     * The strategy is created with them, taking its client credentials from the registration.
+     */
+    interface RegisterOptions
+        extends Omit<StrategyOptions, "issuer" | "clientID" | "callbackURL"> {
+        /** Defaults to the first registered redirect URI. */
+        callbackURL?: string | undefined;
+        /** Token authorizing the registration, if the provider requires one. */
+        initialAccessToken?: string | undefined;
+        /** Store the registration is saved to and loaded from. */
+        registrationStore?: RegistrationStore | undefined;
+    }
+
     /**
      * Options available to pass into {@link OpenIDConnectStrategy} during instantiation.
      *
@@ -153,12 +510,87 @@ declare namespace OpenIDConnectStrategy {
      */
     interface StrategyOptions {
         issuer: string;
-        authorizationURL: string;
-        tokenURL: string;
+        /**
+         * For multi-tenant providers, whose tokens are issued by each tenant, an issuer
+         * template such as `https://login.microsoftonline.com/{tid}/v2.0` or a function
+         * telling whether an issuer is accepted. Tokens' issuers are then validated with
+         * it instead of being compared with `issuer`, and the discovered metadata may
+         * have any issuer. Values a template captures must match the claims of the same name.
+         */
+        issuerValidator?:
+            | string
+            | ((iss: string, claims: { [key: string]: any }) => boolean)
+            | undefined;
+        /** `tid` of the tenants users may sign in from. */
+        allowedTenants?: string[] | undefined;
+        /** Discovered from the issuer's metadata if undefined. */
+        authorizationURL?: string | undefined;
+        /** Discovered from the issuer's metadata if undefined. */
+        tokenURL?: string | undefined;
         callbackURL: string;
-        userInfoURL: string;
+        userInfoURL?: string | undefined;
+        /** Provider's end session endpoint. Discovered from the issuer's metadata if undefined. */
+        endSessionURL?: string | undefined;
+        /** Where the provider returns the user to after RP-initiated logout. */
+        postLogoutRedirectURL?: string | undefined;
+        /** Provider's token revocation endpoint. Discovered from the issuer's metadata if undefined. */
+        revocationURL?: string | undefined;
+        /** Provider's token introspection endpoint. Discovered from the issuer's metadata if undefined. */
+        introspectionURL?: string | undefined;
+        /** Provider's pushed authorization request endpoint. Discovered from the issuer's metadata if undefined. */
+        pushedAuthorizationRequestURL?: string | undefined;
+        /**
+         * Push authorization requests to the provider and redirect with only `client_id` and
+         * `request_uri`. Always done when the provider's metadata requires it.
+         */
+        usePAR?: boolean | undefined;
         clientID: string;
-        clientSecret: string;
+        /** Client secret. Not needed with the `private_key_jwt`, mutual TLS and `none` auth methods. */
+        clientSecret?: string | undefined;
+        /**
+         * How the client authenticates to the token endpoint and other endpoints of the
+         * provider. Defaults to `client_secret_post`.
+         *
+         * @see https://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
+         */
+        tokenEndpointAuthMethod?:
+            | "client_secret_basic"
+            | "client_secret_post"
+            | "client_secret_jwt"
+            | "private_key_jwt"
+            | "tls_client_auth"
+            | "self_signed_tls_client_auth"
+            | "none"
+            | undefined;
+        /**
+         * Private key that signs client assertions with the `private_key_jwt` auth method,
+         * PEM encoded, as a JWK or as a `KeyObject`.
+         */
+        privateKey?: string | object | KeyObject | undefined;
+        /** `kid` of the private key. Defaults to the `kid` of a JWK, or its JWK thumbprint. */
+        privateKeyId?: string | undefined;
+        /**
+         * Further private keys of the client, PEM encoded, as JWKs or as `KeyObject`s.
+         * Their public portion is published by {@link OpenIDConnectStrategy.jwksHandler | jwksHandler()}
+         * along with `privateKey`, which allows keys to be rotated.
+         */
+        clientKeys?: Array<string | object | KeyObject> | undefined;
+        /**
+         * Algorithm client assertions are signed with. Defaults to `HS256` for
+         * `client_secret_jwt`, and for `private_key_jwt` to the `alg` of a JWK or an
+         * algorithm suiting the key type.
+         */
+        tokenEndpointAuthSigningAlg?: string | undefined;
+        /**
+         * PEM client certificate presented to the provider over mutual TLS, as needed by
+         * the `tls_client_auth` and `self_signed_tls_client_auth` auth methods. Cannot be
+         * combined with `agent`, which may carry the certificate instead.
+         *
+         * @see https://www.rfc-editor.org/rfc/rfc8705
+         */
+        clientCertificate?: string | Buffer | undefined;
+        /** PEM private key of `clientCertificate`. */
+        clientCertificateKey?: string | Buffer | undefined;
 
         acrValues?: string | undefined;
         claims?: object | undefined;
@@ -169,7 +601,29 @@ declare namespace OpenIDConnectStrategy {
         maxAge?: string | undefined;
         prompt?: string | undefined;
         proxy?: boolean | undefined;
+        /**
+         * `response_type` of authorization requests. Defaults to `code`. `code id_token`, `code token`
+         * and `code id_token token` select the hybrid flow, `id_token` and `id_token token` the implicit flow.
+         */
+        responseType?:
+            | "code"
+            | "code id_token"
+            | "code token"
+            | "code id_token token"
+            | "id_token"
+            | "id_token token"
+            | undefined;
+        /**
+         * `response_mode` of authorization requests. With `jwt`, `query.jwt`, `form_post.jwt`
+         * or `fragment.jwt`, the authorization response must be a JWT signed by the provider.
+         */
         responseMode?: string | undefined;
+        /** Algorithm the provider signs JWT secured authorization responses with. */
+        authorizationSignedResponseAlg?: string | undefined;
+        /** Key management algorithm the provider encrypts JWT secured authorization responses with. If defined, they must be encrypted. */
+        authorizationEncryptedResponseAlg?: string | undefined;
+        /** Content encryption algorithm the provider encrypts JWT secured authorization responses with. */
+        authorizationEncryptedResponseEnc?: string | undefined;
         scope?: string | string[] | undefined;
         uiLocales?: string | undefined;
 
@@ -179,6 +633,64 @@ declare namespace OpenIDConnectStrategy {
          * @see https://openid.net/specs/openid-connect-core-1_0.html#NonceNotes
          */
         nonce?: boolean | undefined;
+        /**
+         * Location of the provider's JSON Web Key Set. Signatures other than `HS*` are
+         * verified against the keys it contains, and cannot be verified without it.
+         *
+         * @see https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation
+         */
+        jwksURI?: string | undefined;
+        /**
+         * Milliseconds the JWK Set is cached for when its response carries no
+         * `Cache-Control` max-age. Defaults to 10 minutes.
+         */
+        jwksCacheMaxAge?: number | undefined;
+        /**
+         * Minimum milliseconds between fetches of the JWK Set, also when its response
+         * may not be cached or a fetch failed. Defaults to 30 seconds.
+         */
+        jwksCooldown?: number | undefined;
+        /**
+         * If true, ID tokens returned from the token endpoint that are not signed with
+         * `HS*` are accepted without verifying their signature when there is no
+         * `jwksURI`. Otherwise they are rejected with an error.
+         */
+        skipSignatureVerification?: boolean | undefined;
+        /**
+         * Algorithm the provider signs ID tokens with. If defined, ID tokens signed with
+         * any other algorithm are rejected and signatures are verified. `HS*` signatures
+         * are verified with the client secret.
+         */
+        idTokenSignedResponseAlg?: string | undefined;
+        /**
+         * Key management algorithm the provider encrypts ID tokens with, such as
+         * `RSA-OAEP-256` or `ECDH-ES+A256KW`. If defined, ID tokens that are not
+         * encrypted with it are rejected. Encrypted ID tokens are decrypted with
+         * `clientKeys` whether or not this is defined.
+         */
+        idTokenEncryptedResponseAlg?: string | undefined;
+        /** Content encryption algorithm the provider encrypts ID tokens with, such as `A256GCM`. */
+        idTokenEncryptedResponseEnc?: string | undefined;
+        /**
+         * Algorithm the provider signs UserInfo responses with. If defined, UserInfo
+         * responses that are not signed with it are rejected. Responses of type
+         * `application/jwt` are verified whether or not this is defined.
+         */
+        userInfoSignedResponseAlg?: string | undefined;
+        /** Key management algorithm the provider encrypts UserInfo responses with. If defined, UserInfo responses must be encrypted. */
+        userInfoEncryptedResponseAlg?: string | undefined;
+        /** Content encryption algorithm the provider encrypts UserInfo responses with. */
+        userInfoEncryptedResponseEnc?: string | undefined;
+        /**
+         * If defined, authorization requests are sent as a `request` object signed with this
+         * algorithm. `HS*` request objects are signed with the client secret, others with a
+         * matching key of `privateKey` or `clientKeys`.
+         */
+        requestObjectSigningAlg?: string | undefined;
+        /** If defined, request objects are encrypted to a key of the provider's JWK Set with this algorithm. */
+        requestObjectEncryptionAlg?: string | undefined;
+        /** Content encryption algorithm of request objects. Defaults to `A128CBC-HS256`. */
+        requestObjectEncryptionEnc?: string | undefined;
         /**
          * Http client agent. If undefined, the default node agent is used.
          *
@@ -195,6 +707,22 @@ declare namespace OpenIDConnectStrategy {
          * @see https://oauth.net/2/pkce/
          */
         pkce?: "S256" | "plain" | undefined;
+        /**
+         * If defined, tokens are bound to a key pair with DPoP proofs. `true` generates an
+         * `ES256` key pair for the strategy. `privateKey` uses the given key instead, and
+         * `session` generates an `ES*` or `EdDSA` key pair for each login and keeps it in
+         * the session.
+         *
+         * @see https://www.rfc-editor.org/rfc/rfc9449
+         */
+        dpop?:
+            | boolean
+            | {
+                  privateKey?: string | object | KeyObject | undefined;
+                  alg?: string | undefined;
+                  session?: boolean | undefined;
+              }
+            | undefined;
         /**
          * Unique session identifier for this issuer.
          * If none is given, the issuer's hostname will be used.
@@ -205,6 +733,11 @@ declare namespace OpenIDConnectStrategy {
          * If undefined, the internal store will be used.
          */
         store?: SessionStore | undefined;
+        /**
+         * Custom store with interface compliant to {@link ReplayStore}, used to reject
+         * replayed logout tokens. If undefined, an in-memory store is used.
+         */
+        replayStore?: ReplayStore | undefined;
         /**
          * Determines if user data is loaded from /userInfo endpoint. If not specified, loading of userInfo
          * is decided by arity of {@link VerifyFunction} and value of `passReqToCallback.`
@@ -220,6 +753,29 @@ declare namespace OpenIDConnectStrategy {
             | undefined;
     }
 
+    /**
+     * OpenID provider metadata retrieved from the issuer's configuration document.
+     *
+     * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderMetadata
+     */
+    interface ProviderMetadata {
+        issuer: string;
+        authorization_endpoint: string;
+        token_endpoint: string;
+        userinfo_endpoint?: string | undefined;
+        jwks_uri?: string | undefined;
+        end_session_endpoint?: string | undefined;
+        revocation_endpoint?: string | undefined;
+        introspection_endpoint?: string | undefined;
+        registration_endpoint?: string | undefined;
+        /** Endpoints to use instead when the client presents a certificate. */
+        mtls_endpoint_aliases?: { [key: string]: string } | undefined;
+        id_token_signing_alg_values_supported?: string[] | undefined;
+        token_endpoint_auth_methods_supported?: string[] | undefined;
+        code_challenge_methods_supported?: string[] | undefined;
+        [key: string]: any;
+    }
+
     type AuthContext = {
         timestamp?: Date;
         class?: string;
@@ -385,6 +941,75 @@ declare namespace OpenIDConnectStrategy {
         state?: any;
     }
 
+    /**
+     * Options available to pass {@link OpenIDConnectStrategy.refresh | Strategy.refresh()}
+     */
+    interface RefreshOptions {
+        /** ID token obtained at login, that a refreshed ID token must match */
+        idToken?: string | undefined;
+        /** Scope to request, which must not exceed the original scope */
+        scope?: string | string[] | undefined;
+        /** Request of the login session, whose DPoP key the tokens are bound to when `dpop.session` is set */
+        req?: express.Request | undefined;
+    }
+
+    /**
+     * Tokens obtained with {@link OpenIDConnectStrategy.refresh | Strategy.refresh()}
+     */
+    interface RefreshResult {
+        accessToken: string;
+        /** The new refresh token, or the one used if the provider did not rotate it */
+        refreshToken: string;
+        idToken?: string | undefined;
+        /** Validated claims of the ID token */
+        claims?: any;
+        tokenType?: string | undefined;
+        /** Lifetime of the access token in seconds */
+        expiresIn?: number | undefined;
+        /** Time the access token expires */
+        expiresAt?: Date | undefined;
+        /** All parameters of the token response */
+        params: any;
+    }
+
+    /**
+     * Introspection response returned by {@link OpenIDConnectStrategy.introspect | Strategy.introspect()}
+     *
+     * @see https://www.rfc-editor.org/rfc/rfc7662#section-2.2
+     */
+    interface IntrospectionResult {
+        /** True if the token is valid */
+        active: boolean;
+        scope?: string | undefined;
+        client_id?: string | undefined;
+        username?: string | undefined;
+        token_type?: string | undefined;
+        exp?: number | undefined;
+        iat?: number | undefined;
+        nbf?: number | undefined;
+        sub?: string | undefined;
+        aud?: string | string[] | undefined;
+        iss?: string | undefined;
+        jti?: string | undefined;
+        [key: string]: any;
+    }
+
+    /**
+     * Options available to pass {@link OpenIDConnectStrategy.logoutURL | Strategy.logoutURL()}
+     *
+     * @see https://openid.net/specs/openid-connect-rpinitiated-1_0.html#RPLogout
+     */
+    interface LogoutOptions {
+        /** ID token previously issued to the user */
+        idTokenHint?: string | undefined;
+        /** Hint about the user that is logging out */
+        logoutHint?: string | undefined;
+        postLogoutRedirectURL?: string | undefined;
+        uiLocales?: string | undefined;
+        /** App state returned by {@link OpenIDConnectStrategy.verifyLogout | verifyLogout()} */
+        state?: any;
+    }
+
     /**
      * AuthorizationError represents an error in response to an authorization
      * request.  For details, refer to RFC 6749, section 4.1.2.1.
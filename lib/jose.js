@@ -0,0 +1,317 @@
+/**
+ * Module dependencies.
+ */
+const crypto = require("crypto");
+
+/**
+ * Parameters for each supported JWS `alg` value.
+ *
+ * `kty` and `crv` describe the JWK a verification key must have, the remaining
+ * properties are handed to `crypto.verify()`, or `crypto.createHmac()` for
+ * symmetric keys.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7518#section-3.1
+ * @see https://www.rfc-editor.org/rfc/rfc8037#section-3.1
+ */
+const ALGORITHMS = {
+    HS256: { kty: "oct", hash: "sha256" },
+    HS384: { kty: "oct", hash: "sha384" },
+    HS512: { kty: "oct", hash: "sha512" },
+    RS256: { kty: "RSA", hash: "sha256" },
+    RS384: { kty: "RSA", hash: "sha384" },
+    RS512: { kty: "RSA", hash: "sha512" },
+    PS256: { kty: "RSA", hash: "sha256", pss: 32 },
+    PS384: { kty: "RSA", hash: "sha384", pss: 48 },
+    PS512: { kty: "RSA", hash: "sha512", pss: 64 },
+    ES256: { kty: "EC", hash: "sha256", crv: ["P-256"] },
+    ES384: { kty: "EC", hash: "sha384", crv: ["P-384"] },
+    ES512: { kty: "EC", hash: "sha512", crv: ["P-521"] },
+    EdDSA: { kty: "OKP", hash: null, crv: ["Ed25519", "Ed448"] },
+};
+
+exports.ALGORITHMS = ALGORITHMS;
+
+/**
+ * Decoded JSON Web Token
+ *
+ * @typedef {Object} DecodedJWT
+ * @prop {Object} header - parsed JOSE header
+ * @prop {Object} payload - parsed claims
+ * @prop {Buffer} signature - raw signature bytes
+ * @prop {string} input - signing input, ie `<header>.<payload>`
+ */
+
+/**
+ * Splits a compact serialized JWS and parses its header and payload.
+ *
+ * @param {string} token
+ * @returns {DecodedJWT}
+ * @throws {Error} when the token is not a well-formed JWS
+ */
+exports.decode = function (token) {
+    if (typeof token !== "string") {
+        throw new Error("Malformed JWT");
+    }
+    const parts = token.split(".");
+    if (parts.length !== 3) {
+        throw new Error("Malformed JWT");
+    }
+
+    let header, payload;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+        payload = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    } catch (ex) {
+        throw new Error("Malformed JWT");
+    }
+    if (!header || typeof header !== "object") {
+        throw new Error("Malformed JWT header");
+    }
+    if (!payload || typeof payload !== "object") {
+        throw new Error("Malformed JWT payload");
+    }
+
+    return {
+        header: header,
+        payload: payload,
+        signature: Buffer.from(parts[2], "base64url"),
+        input: parts[0] + "." + parts[1],
+    };
+};
+
+/**
+ * Checks whether a JWK may be used to verify a signature made with `alg`.
+ *
+ * @param {Object} jwk
+ * @param {string} alg
+ * @returns {boolean}
+ */
+exports.isKeyFor = function (jwk, alg) {
+    const params = ALGORITHMS[alg];
+    if (!params || !jwk || jwk.kty !== params.kty) {
+        return false;
+    }
+    if (params.crv && params.crv.indexOf(jwk.crv) === -1) {
+        return false;
+    }
+    if (jwk.use && jwk.use !== "sig") {
+        return false;
+    }
+    if (jwk.alg && jwk.alg !== alg) {
+        return false;
+    }
+    if (Array.isArray(jwk.key_ops) && jwk.key_ops.indexOf("verify") === -1) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Imports the public part of a JWK as a `KeyObject`.
+ *
+ * @param {Object} jwk
+ * @returns {crypto.KeyObject}
+ */
+exports.importJWK = function (jwk) {
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Imports a private key given as PEM, JWK or `KeyObject`.
+ *
+ * @param {string | Buffer | Object | crypto.KeyObject} key
+ * @returns {crypto.KeyObject}
+ */
+exports.importPrivateKey = function (key) {
+    if (key instanceof crypto.KeyObject) {
+        return key;
+    }
+    if (typeof key === "string" || Buffer.isBuffer(key)) {
+        return crypto.createPrivateKey(key);
+    }
+    return crypto.createPrivateKey({ key: key, format: "jwk" });
+};
+
+/**
+ * Returns the `alg` conventionally used to sign with a key of the given JWK.
+ *
+ * @param {Object} jwk
+ * @returns {string | undefined}
+ */
+exports.defaultAlgorithm = function (jwk) {
+    switch (jwk.kty) {
+        case "RSA":
+            return "RS256";
+        case "EC":
+            return { "P-256": "ES256", "P-384": "ES384", "P-521": "ES512" }[
+                jwk.crv
+            ];
+        case "OKP":
+            return "EdDSA";
+    }
+};
+
+/**
+ * Members of each key type that make up its JWK thumbprint.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7638#section-3.2
+ */
+const THUMBPRINT_MEMBERS = {
+    RSA: ["e", "kty", "n"],
+    EC: ["crv", "kty", "x", "y"],
+    OKP: ["crv", "kty", "x"],
+    oct: ["k", "kty"],
+};
+
+/**
+ * Computes the SHA-256 JWK thumbprint of a key.
+ *
+ * @param {Object} jwk
+ * @returns {string} base64url encoded thumbprint
+ * @see https://www.rfc-editor.org/rfc/rfc7638
+ */
+exports.thumbprint = function (jwk) {
+    const members = THUMBPRINT_MEMBERS[jwk.kty];
+    if (!members) {
+        throw new Error("Unsupported JWK key type " + jwk.kty);
+    }
+    const required = {};
+    members.forEach(function (name) {
+        required[name] = jwk[name];
+    });
+    return crypto
+        .createHash("sha256")
+        .update(JSON.stringify(required))
+        .digest("base64url");
+};
+
+/**
+ * Imports a shared secret, such as the client secret, as a `KeyObject`.
+ *
+ * @param {string | Buffer} secret
+ * @returns {crypto.KeyObject}
+ */
+exports.importSecret = function (secret) {
+    return crypto.createSecretKey(Buffer.from(secret));
+};
+
+/**
+ * Verifies the signature of a decoded JWS with the given key.
+ *
+ * @param {DecodedJWT} jwt
+ * @param {crypto.KeyObject} key
+ * @returns {boolean}
+ */
+exports.verify = function (jwt, key) {
+    const params = ALGORITHMS[jwt.header.alg];
+    if (!params) {
+        return false;
+    }
+
+    if (params.kty === "oct") {
+        if (key.type !== "secret") {
+            return false;
+        }
+        const mac = crypto
+            .createHmac(params.hash, key)
+            .update(jwt.input)
+            .digest();
+        return (
+            mac.length === jwt.signature.length &&
+            crypto.timingSafeEqual(mac, jwt.signature)
+        );
+    }
+    if (key.type === "secret") {
+        return false;
+    }
+
+    const options = { key: key };
+    if (params.pss) {
+        options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+        options.saltLength = params.pss;
+    }
+    if (params.kty === "EC") {
+        options.dsaEncoding = "ieee-p1363";
+    }
+
+    try {
+        return crypto.verify(
+            params.hash,
+            Buffer.from(jwt.input),
+            options,
+            jwt.signature
+        );
+    } catch (ex) {
+        // a key of the wrong type or a malformed signature simply does not verify
+        return false;
+    }
+};
+
+/**
+ * Signs a payload and serializes it as a compact JWS.
+ *
+ * @param {Object} header - JOSE header, which must carry a supported `alg`
+ * @param {Object} payload - claims to sign
+ * @param {crypto.KeyObject} key - secret key for `HS*`, private key otherwise
+ * @returns {string}
+ * @throws {Error} when the algorithm is not supported or does not suit the key
+ */
+exports.sign = function (header, payload, key) {
+    const params = ALGORITHMS[header.alg];
+    if (!params) {
+        throw new Error("Unsupported JWS algorithm " + header.alg);
+    }
+
+    const input =
+        Buffer.from(JSON.stringify(header)).toString("base64url") +
+        "." +
+        Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+    let signature;
+    if (params.kty === "oct") {
+        if (key.type !== "secret") {
+            throw new Error(header.alg + " requires a secret key");
+        }
+        signature = crypto.createHmac(params.hash, key).update(input).digest();
+    } else {
+        if (key.type !== "private") {
+            throw new Error(header.alg + " requires a private key");
+        }
+        const options = { key: key };
+        if (params.pss) {
+            options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+            options.saltLength = params.pss;
+        }
+        if (params.kty === "EC") {
+            options.dsaEncoding = "ieee-p1363";
+        }
+        signature = crypto.sign(params.hash, Buffer.from(input), options);
+    }
+
+    return input + "." + signature.toString("base64url");
+};
+
+/**
+ * Computes the `at_hash` or `c_hash` of a token: the base64url encoded left
+ * half of its hash with the algorithm used by the ID token's `alg`.
+ *
+ * `EdDSA` ID tokens are hashed with SHA-512, as used by Ed25519.
+ *
+ * @param {string} token - access token or authorization code
+ * @param {string} alg - `alg` of the ID token's JOSE header
+ * @returns {string}
+ * @throws {Error} when the algorithm is not supported
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#HybridIDToken
+ */
+exports.tokenHash = function (token, alg) {
+    const params = ALGORITHMS[alg];
+    if (!params) {
+        throw new Error("Unsupported JWS algorithm " + alg);
+    }
+
+    const digest = crypto
+        .createHash(params.hash || "sha512")
+        .update(token)
+        .digest();
+    return digest.subarray(0, digest.length / 2).toString("base64url");
+};
@@ -0,0 +1,442 @@
+/**
+ * Module dependencies.
+ */
+const crypto = require("crypto");
+
+/**
+ * Parameters for each supported JWE `alg` value.
+ *
+ * `kty` is the key type of the decryption key.  `oaepHash` is handed to
+ * `crypto.privateDecrypt()` for RSA keys, and `kw` is the size in bits of the
+ * AES key wrapping key derived with ECDH-ES.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7518#section-4.1
+ */
+const ALGORITHMS = {
+    "RSA-OAEP": { kty: "RSA", oaepHash: "sha1" },
+    "RSA-OAEP-256": { kty: "RSA", oaepHash: "sha256" },
+    "ECDH-ES": { kty: ["EC", "OKP"] },
+    "ECDH-ES+A128KW": { kty: ["EC", "OKP"], kw: 128 },
+    "ECDH-ES+A192KW": { kty: ["EC", "OKP"], kw: 192 },
+    "ECDH-ES+A256KW": { kty: ["EC", "OKP"], kw: 256 },
+};
+
+/**
+ * Parameters for each supported JWE `enc` value.
+ *
+ * `size` is the size in bits of the content encryption key.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7518#section-5.1
+ */
+const ENCRYPTIONS = {
+    "A128GCM": { size: 128, cipher: "aes-128-gcm" },
+    "A192GCM": { size: 192, cipher: "aes-192-gcm" },
+    "A256GCM": { size: 256, cipher: "aes-256-gcm" },
+    "A128CBC-HS256": { size: 256, cipher: "aes-128-cbc", hash: "sha256" },
+    "A192CBC-HS384": { size: 384, cipher: "aes-192-cbc", hash: "sha384" },
+    "A256CBC-HS512": { size: 512, cipher: "aes-256-cbc", hash: "sha512" },
+};
+
+exports.ALGORITHMS = ALGORITHMS;
+exports.ENCRYPTIONS = ENCRYPTIONS;
+
+/**
+ * Decoded JSON Web Encryption
+ *
+ * @typedef {Object} DecodedJWE
+ * @prop {Object} header - parsed protected header
+ * @prop {Buffer} encryptedKey
+ * @prop {Buffer} iv
+ * @prop {Buffer} ciphertext
+ * @prop {Buffer} tag
+ * @prop {Buffer} aad - additional authenticated data, ie the encoded protected header
+ */
+
+/**
+ * Checks whether a token is in JWE compact serialization.
+ *
+ * @param {string} token
+ * @returns {boolean}
+ */
+exports.isJWE = function (token) {
+    return typeof token === "string" && token.split(".").length === 5;
+};
+
+/**
+ * Splits a compact serialized JWE and parses its protected header.
+ *
+ * @param {string} token
+ * @returns {DecodedJWE}
+ * @throws {Error} when the token is not a well-formed JWE
+ */
+exports.decode = function (token) {
+    if (typeof token !== "string") {
+        throw new Error("Malformed JWE");
+    }
+    const parts = token.split(".");
+    if (parts.length !== 5) {
+        throw new Error("Malformed JWE");
+    }
+
+    let header;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+    } catch (ex) {
+        throw new Error("Malformed JWE");
+    }
+    if (!header || typeof header !== "object") {
+        throw new Error("Malformed JWE header");
+    }
+
+    return {
+        header: header,
+        encryptedKey: Buffer.from(parts[1], "base64url"),
+        iv: Buffer.from(parts[2], "base64url"),
+        ciphertext: Buffer.from(parts[3], "base64url"),
+        tag: Buffer.from(parts[4], "base64url"),
+        aad: Buffer.from(parts[0]),
+    };
+};
+
+/**
+ * Checks whether a JWK may be used to decrypt a JWE with the given `alg`.
+ *
+ * @param {Object} jwk
+ * @param {string} alg
+ * @returns {boolean}
+ */
+exports.isKeyFor = function (jwk, alg) {
+    const params = ALGORITHMS[alg];
+    if (!params || !jwk || [].concat(params.kty).indexOf(jwk.kty) === -1) {
+        return false;
+    }
+    if (jwk.use && jwk.use !== "enc") {
+        return false;
+    }
+    if (jwk.alg && jwk.alg !== alg) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Decrypts a decoded JWE with the given private key.
+ *
+ * @param {DecodedJWE} jwe
+ * @param {crypto.KeyObject} key
+ * @returns {Buffer} plaintext
+ * @throws {Error} when the algorithms are not supported or decryption fails
+ */
+exports.decrypt = function (jwe, key) {
+    const header = jwe.header;
+    const alg = ALGORITHMS[header.alg];
+    const enc = ENCRYPTIONS[header.enc];
+    if (!alg || !enc) {
+        throw new Error("Unsupported JWE algorithm");
+    }
+    // compressed content could inflate to any size once decrypted
+    if (header.zip) {
+        throw new Error("Unsupported JWE compression");
+    }
+
+    const cek = unwrapKey(jwe, key, alg, enc);
+    if (cek.length * 8 !== enc.size) {
+        throw new Error("Invalid JWE content encryption key");
+    }
+
+    let plaintext;
+    if (enc.hash) {
+        plaintext = decryptCBC(jwe, cek, enc);
+    } else {
+        plaintext = decryptGCM(jwe, cek, enc);
+    }
+
+    return plaintext;
+};
+
+/**
+ * Encrypts a plaintext to the given public key.
+ *
+ * For ECDH-ES an ephemeral key is generated and added to the header as `epk`.
+ *
+ * @param {string | Buffer} plaintext
+ * @param {crypto.KeyObject} key - public key of the recipient
+ * @param {Object} header - protected header, with at least `alg` and `enc`
+ * @returns {string} compact serialized JWE
+ * @throws {Error} when the algorithms are not supported or do not suit the key
+ */
+exports.encrypt = function (plaintext, key, header) {
+    const alg = ALGORITHMS[header.alg];
+    const enc = ENCRYPTIONS[header.enc];
+    if (!alg || !enc) {
+        throw new Error("Unsupported JWE algorithm");
+    }
+
+    header = Object.assign({}, header);
+    const wrapped = wrapKey(key, header, alg, enc);
+    const cek = wrapped.cek;
+
+    const protectedHeader = Buffer.from(JSON.stringify(header)).toString(
+        "base64url"
+    );
+    const aad = Buffer.from(protectedHeader);
+
+    let iv, ciphertext, tag;
+    if (enc.hash) {
+        iv = crypto.randomBytes(16);
+        const half = cek.length / 2;
+        const cipher = crypto.createCipheriv(
+            enc.cipher,
+            cek.subarray(half),
+            iv
+        );
+        ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        tag = macCBC(aad, iv, ciphertext, cek.subarray(0, half), enc);
+    } else {
+        iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(enc.cipher, cek, iv);
+        cipher.setAAD(aad);
+        ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        tag = cipher.getAuthTag();
+    }
+
+    return [
+        protectedHeader,
+        wrapped.encryptedKey.toString("base64url"),
+        iv.toString("base64url"),
+        ciphertext.toString("base64url"),
+        tag.toString("base64url"),
+    ].join(".");
+};
+
+/**
+ * Generate a content encryption key and encrypt it to the recipient.
+ *
+ * @param {crypto.KeyObject} key - public key of the recipient
+ * @param {Object} header - JWE header, which receives the `epk` for ECDH-ES
+ * @param {Object} alg - entry of `ALGORITHMS`
+ * @param {Object} enc - entry of `ENCRYPTIONS`
+ * @returns {{ cek: Buffer, encryptedKey: Buffer }}
+ * @api private
+ */
+function wrapKey(key, header, alg, enc) {
+    if (alg.oaepHash) {
+        const cek = crypto.randomBytes(enc.size / 8);
+        const encryptedKey = crypto.publicEncrypt(
+            {
+                key: key,
+                padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: alg.oaepHash,
+            },
+            cek
+        );
+        return { cek: cek, encryptedKey: encryptedKey };
+    }
+
+    const type = key.asymmetricKeyType;
+    const ephemeral = crypto.generateKeyPairSync(
+        type,
+        type === "ec"
+            ? { namedCurve: key.asymmetricKeyDetails.namedCurve }
+            : undefined
+    );
+    header.epk = ephemeral.publicKey.export({ format: "jwk" });
+    const z = crypto.diffieHellman({
+        privateKey: ephemeral.privateKey,
+        publicKey: key,
+    });
+
+    if (!alg.kw) {
+        return {
+            cek: concatKDF(z, header.enc, enc.size, header),
+            encryptedKey: Buffer.alloc(0),
+        };
+    }
+
+    const kek = concatKDF(z, header.alg, alg.kw, header);
+    const cek = crypto.randomBytes(enc.size / 8);
+    const cipher = crypto.createCipheriv(
+        "id-aes" + alg.kw + "-wrap",
+        kek,
+        Buffer.from("A6A6A6A6A6A6A6A6", "hex")
+    );
+    return {
+        cek: cek,
+        encryptedKey: Buffer.concat([cipher.update(cek), cipher.final()]),
+    };
+}
+
+/**
+ * Determine the content encryption key of a JWE.
+ *
+ * @param {DecodedJWE} jwe
+ * @param {crypto.KeyObject} key
+ * @param {Object} alg - entry of `ALGORITHMS`
+ * @param {Object} enc - entry of `ENCRYPTIONS`
+ * @returns {Buffer}
+ * @api private
+ */
+function unwrapKey(jwe, key, alg, enc) {
+    if (alg.oaepHash) {
+        return crypto.privateDecrypt(
+            {
+                key: key,
+                padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: alg.oaepHash,
+            },
+            jwe.encryptedKey
+        );
+    }
+
+    // https://www.rfc-editor.org/rfc/rfc7518#section-4.6
+    const header = jwe.header;
+    if (!header.epk) {
+        throw new Error("JWE header missing epk");
+    }
+    const z = crypto.diffieHellman({
+        privateKey: key,
+        publicKey: crypto.createPublicKey({ key: header.epk, format: "jwk" }),
+    });
+
+    if (!alg.kw) {
+        if (jwe.encryptedKey.length !== 0) {
+            throw new Error("Invalid JWE encrypted key");
+        }
+        return concatKDF(z, header.enc, enc.size, header);
+    }
+
+    const kek = concatKDF(z, header.alg, alg.kw, header);
+    const decipher = crypto.createDecipheriv(
+        "id-aes" + alg.kw + "-wrap",
+        kek,
+        Buffer.from("A6A6A6A6A6A6A6A6", "hex")
+    );
+    return Buffer.concat([decipher.update(jwe.encryptedKey), decipher.final()]);
+}
+
+/**
+ * Derive a key from an ECDH shared secret with the Concat KDF.
+ *
+ * @param {Buffer} z - shared secret
+ * @param {string} algorithmID - `enc` for direct key agreement, `alg` otherwise
+ * @param {number} keyDataLen - size in bits of the key to derive
+ * @param {Object} header - JWE header carrying any `apu` and `apv`
+ * @returns {Buffer}
+ * @see https://www.rfc-editor.org/rfc/rfc7518#section-4.6.2
+ * @api private
+ */
+function concatKDF(z, algorithmID, keyDataLen, header) {
+    function lengthPrefixed(data) {
+        return Buffer.concat([uint32(data.length), data]);
+    }
+
+    const otherInfo = Buffer.concat([
+        lengthPrefixed(Buffer.from(algorithmID)),
+        lengthPrefixed(Buffer.from(header.apu || "", "base64url")),
+        lengthPrefixed(Buffer.from(header.apv || "", "base64url")),
+        uint32(keyDataLen),
+    ]);
+
+    const rounds = Math.ceil(keyDataLen / 256);
+    const output = [];
+    for (let counter = 1; counter <= rounds; counter++) {
+        output.push(
+            crypto
+                .createHash("sha256")
+                .update(Buffer.concat([uint32(counter), z, otherInfo]))
+                .digest()
+        );
+    }
+    return Buffer.concat(output).subarray(0, keyDataLen / 8);
+}
+
+/**
+ * Decrypt the content of a JWE encrypted with AES-CBC and HMAC-SHA2.
+ *
+ * @param {DecodedJWE} jwe
+ * @param {Buffer} cek
+ * @param {Object} enc - entry of `ENCRYPTIONS`
+ * @returns {Buffer}
+ * @see https://www.rfc-editor.org/rfc/rfc7518#section-5.2.2.2
+ * @api private
+ */
+function decryptCBC(jwe, cek, enc) {
+    const half = cek.length / 2;
+    const macKey = cek.subarray(0, half);
+    const encKey = cek.subarray(half);
+
+    const mac = macCBC(jwe.aad, jwe.iv, jwe.ciphertext, macKey, enc);
+    if (
+        mac.length !== jwe.tag.length ||
+        !crypto.timingSafeEqual(mac, jwe.tag)
+    ) {
+        throw new Error("Invalid JWE authentication tag");
+    }
+
+    const decipher = crypto.createDecipheriv(enc.cipher, encKey, jwe.iv);
+    return Buffer.concat([decipher.update(jwe.ciphertext), decipher.final()]);
+}
+
+/**
+ * Decrypt the content of a JWE encrypted with AES-GCM.
+ *
+ * The IV and authentication tag must have the sizes the algorithm defines, as
+ * a truncated tag would be accepted by the cipher but is easier to forge.
+ *
+ * @param {DecodedJWE} jwe
+ * @param {Buffer} cek
+ * @param {Object} enc - entry of `ENCRYPTIONS`
+ * @returns {Buffer}
+ * @see https://www.rfc-editor.org/rfc/rfc7518#section-5.3
+ * @api private
+ */
+function decryptGCM(jwe, cek, enc) {
+    if (jwe.iv.length !== 12) {
+        throw new Error("Invalid JWE initialization vector");
+    }
+    if (jwe.tag.length !== 16) {
+        throw new Error("Invalid JWE authentication tag");
+    }
+
+    const decipher = crypto.createDecipheriv(enc.cipher, cek, jwe.iv, {
+        authTagLength: 16,
+    });
+    decipher.setAAD(jwe.aad);
+    decipher.setAuthTag(jwe.tag);
+    return Buffer.concat([decipher.update(jwe.ciphertext), decipher.final()]);
+}
+
+/**
+ * Compute the authentication tag of AES-CBC and HMAC-SHA2 content encryption.
+ *
+ * @param {Buffer} aad
+ * @param {Buffer} iv
+ * @param {Buffer} ciphertext
+ * @param {Buffer} macKey - first half of the content encryption key
+ * @param {Object} enc - entry of `ENCRYPTIONS`
+ * @returns {Buffer}
+ * @see https://www.rfc-editor.org/rfc/rfc7518#section-5.2.2.1
+ * @api private
+ */
+function macCBC(aad, iv, ciphertext, macKey, enc) {
+    // 64-bit length of the additional authenticated data in bits
+    const al = Buffer.concat([uint32(0), uint32(aad.length * 8)]);
+    return crypto
+        .createHmac(enc.hash, macKey)
+        .update(Buffer.concat([aad, iv, ciphertext, al]))
+        .digest()
+        .subarray(0, macKey.length);
+}
+
+/**
+ * Encode a number as a big-endian 32-bit unsigned integer.
+ *
+ * @param {number} value
+ * @returns {Buffer}
+ * @api private
+ */
+function uint32(value) {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(value);
+    return buf;
+}
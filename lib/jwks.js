@@ -0,0 +1,240 @@
+const jose = require("./jose"),
+    jwe = require("./jwe"),
+    InternalOAuthError = require("./errors/internaloautherror");
+
+/**
+ * Creates an instance of `JWKSClient`.
+ *
+ * The JWKS client retrieves the OpenID provider's JSON Web Key Set and selects
+ * the keys that may be used to verify a given JWS.
+ *
+ * Keys are cached in memory for `maxAge` milliseconds, or for as long as the
+ * `Cache-Control` header of the JWKS response allows.  A token signed with a
+ * key that is not in the cache causes the key set to be fetched again, so that
+ * keys rotated in by the provider are picked up.  Fetches happen at most once
+ * every `cooldown` milliseconds, even when the response may not be cached or the
+ * fetch failed, and the cached keys remain in use when a refetch fails.
+ *
+ * @param {Object} options - config options for the client
+ * @param {string} options.uri - location of the provider's JWK Set document
+ * @param {OAuth2} options.oauth2 - `OAuth2` instance used to make the http request
+ * @param {number} [options.maxAge] - how long keys are cached, defaults to 10 minutes
+ * @param {number} [options.cooldown] - minimum interval between refetches, defaults to 30 seconds
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7517#section-5
+ *
+ * @constructor
+ * @public
+ */
+function JWKSClient(options) {
+    if (!options.uri) {
+        throw new TypeError("JWKS client requires a uri option");
+    }
+    this._uri = options.uri;
+    this._oauth2 = options.oauth2;
+    this._maxAge = options.maxAge === undefined ? 600000 : options.maxAge;
+    this._cooldown = options.cooldown === undefined ? 30000 : options.cooldown;
+
+    this._keys = null;
+    this._error = null;
+    this._fetched = 0;
+    this._expires = 0;
+    this._callbacks = null;
+}
+
+/**
+ * Get the keys that may verify a JWS with the given header.
+ *
+ * When the header carries a `kid`, only the key with that identifier is
+ * considered.  Otherwise every key compatible with the `alg` is returned.
+ *
+ * @param {Object} header - JOSE header of the token to verify
+ * @param {JWKSCallback} cb
+ * @returns {void}
+ * @public
+ */
+JWKSClient.prototype.getKeys = function (header, cb) {
+    function match(jwk) {
+        if (header.kid && jwk.kid !== header.kid) {
+            return false;
+        }
+        return jose.isKeyFor(jwk, header.alg);
+    }
+
+    this._select(match, function (err, entries) {
+        if (err) {
+            return cb(err);
+        }
+        cb(
+            null,
+            entries.map(function (entry) {
+                return entry.key;
+            })
+        );
+    });
+};
+
+/**
+ * Get the keys that may be used to encrypt a JWE to the provider with the given
+ * key management algorithm.
+ *
+ * @param {string} alg - JWE `alg` value
+ * @param {function(Error | null, { jwk: Object, key: crypto.KeyObject }[]=): void} cb
+ * @returns {void}
+ * @public
+ */
+JWKSClient.prototype.getEncryptionKeys = function (alg, cb) {
+    this._select(function (jwk) {
+        return jwe.isKeyFor(jwk, alg);
+    }, cb);
+};
+
+/**
+ * Select cached keys, refetching the JWK Set when it has expired or no key
+ * matches and the last fetch was at least `cooldown` milliseconds ago.
+ *
+ * @param {function(Object): boolean} match - predicate on the JWK of a key
+ * @param {function(Error | null, { jwk: Object, key: crypto.KeyObject }[]=): void} cb
+ * @returns {void}
+ * @api private
+ */
+JWKSClient.prototype._select = function (match, cb) {
+    const self = this;
+    const now = Date.now();
+
+    function select() {
+        return self._keys.filter(function (entry) {
+            return match(entry.jwk);
+        });
+    }
+
+    const cooling = now - this._fetched < this._cooldown;
+    if (this._keys) {
+        const entries = select();
+        if (cooling || (now < this._expires && entries.length > 0)) {
+            return cb(null, entries);
+        }
+    } else if (cooling) {
+        return cb(this._error);
+    }
+
+    this._load(function (err) {
+        if (err && !self._keys) {
+            return cb(err);
+        }
+        cb(null, select());
+    });
+};
+
+/**
+ * Callback with the keys selected from the JWK Set.
+ *
+ * @callback JWKSCallback
+ * @param {Error | null} err
+ * @param {crypto.KeyObject[]} [keys]
+ * @returns {void}
+ */
+
+/**
+ * Fetch the JWK Set and replace the cached keys.
+ *
+ * Concurrent calls share a single request.
+ *
+ * @param {function(Error | null): void} cb
+ * @returns {void}
+ * @api private
+ */
+JWKSClient.prototype._load = function (cb) {
+    const self = this;
+
+    if (this._callbacks) {
+        this._callbacks.push(cb);
+        return;
+    }
+    this._callbacks = [cb];
+
+    this._fetch(function (err, jwks, res) {
+        const callbacks = self._callbacks;
+        self._callbacks = null;
+
+        const now = Date.now();
+        self._fetched = now;
+        self._error = err;
+        if (!err) {
+            self._keys = jwks.keys.reduce(function (keys, jwk) {
+                try {
+                    keys.push({ jwk: jwk, key: jose.importJWK(jwk) });
+                } catch (ex) {
+                    // keys that cannot be imported are of no use
+                }
+                return keys;
+            }, []);
+            self._expires = now + maxAge(res, self._maxAge);
+        }
+
+        callbacks.forEach(function (callback) {
+            callback(err);
+        });
+    });
+};
+
+/**
+ * Retrieve and parse the JWK Set document.
+ *
+ * @param {function(Error | null, Object=, http.IncomingMessage=): void} cb
+ * @returns {void}
+ * @api private
+ */
+JWKSClient.prototype._fetch = function (cb) {
+    this._oauth2._request(
+        "GET",
+        this._uri,
+        { Accept: "application/json" },
+        null,
+        null,
+        function (err, body, res) {
+            if (err) {
+                return cb(new InternalOAuthError("Failed to fetch JWKS", err));
+            }
+
+            let jwks;
+            try {
+                jwks = JSON.parse(body);
+            } catch (ex) {
+                return cb(new Error("Failed to parse JWKS"));
+            }
+            if (!jwks || !Array.isArray(jwks.keys)) {
+                return cb(new Error("JWKS document is missing keys"));
+            }
+
+            cb(null, jwks, res);
+        }
+    );
+};
+
+/**
+ * Determine how long a JWKS response may be cached from its `Cache-Control`
+ * header.
+ *
+ * @param {http.IncomingMessage} [res]
+ * @param {number} fallback - lifetime in milliseconds when the header is absent
+ * @returns {number}
+ * @api private
+ */
+function maxAge(res, fallback) {
+    const header = res && res.headers && res.headers["cache-control"];
+    if (!header) {
+        return fallback;
+    }
+    if (/(^|,)\s*(no-store|no-cache)\s*(,|$)/i.test(header)) {
+        return 0;
+    }
+    const match = /(^|,)\s*max-age\s*=\s*"?(\d+)"?\s*(,|$)/i.exec(header);
+    if (match) {
+        return parseInt(match[2], 10) * 1000;
+    }
+    return fallback;
+}
+
+// Expose constructor.
+module.exports = JWKSClient;
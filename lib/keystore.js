@@ -0,0 +1,120 @@
+const crypto = require("crypto"),
+    jose = require("./jose");
+
+/**
+ * Creates an instance of `KeyStore`.
+ *
+ * The key store holds the relying party's own private keys, which sign client
+ * assertions and decrypt tokens the provider encrypts to the relying party.
+ * Their public portion is published as a JWK Set for the provider to fetch.
+ *
+ * Keys are given as PEM, JWK or `KeyObject`.  A key without a `kid` is
+ * identified by its JWK thumbprint.  The `use` and `alg` of a JWK are kept, so
+ * that a key can be restricted to signing or encryption.  Several keys may be
+ * held at once, which allows keys to be rotated without downtime.
+ *
+ * @param {Array<string | Object | crypto.KeyObject>} [keys]
+ *
+ * @constructor
+ * @public
+ */
+function KeyStore(keys) {
+    this._entries = [];
+
+    (keys || []).forEach(function (key) {
+        this.add(key);
+    }, this);
+}
+
+/**
+ * Add a private key to the store.
+ *
+ * A key whose `kid` is already held is not added again.
+ *
+ * @param {string | Object | crypto.KeyObject} privateKey
+ * @param {Object} [attrs] - `kid`, `use` and `alg` overriding those of a JWK
+ * @returns {KeyStoreEntry}
+ * @public
+ */
+KeyStore.prototype.add = function (privateKey, attrs) {
+    attrs = attrs || {};
+
+    const key = jose.importPrivateKey(privateKey);
+    const jwk = crypto.createPublicKey(key).export({ format: "jwk" });
+    const isJWK =
+        !(privateKey instanceof crypto.KeyObject) &&
+        typeof privateKey === "object" &&
+        !Buffer.isBuffer(privateKey);
+
+    ["kid", "use", "alg"].forEach(function (name) {
+        const value = attrs[name] || (isJWK && privateKey[name]);
+        if (value) {
+            jwk[name] = value;
+        }
+    });
+    if (!jwk.kid) {
+        jwk.kid = jose.thumbprint(jwk);
+    }
+
+    const existing = this.get(jwk.kid);
+    if (existing) {
+        return existing;
+    }
+
+    const entry = { key: key, jwk: jwk };
+    this._entries.push(entry);
+    return entry;
+};
+
+/**
+ * Get the key with the given `kid`.
+ *
+ * @param {string} kid
+ * @returns {KeyStoreEntry | undefined}
+ * @public
+ */
+KeyStore.prototype.get = function (kid) {
+    return this._entries.find(function (entry) {
+        return entry.jwk.kid === kid;
+    });
+};
+
+/**
+ * Get the keys that may be used for `use`, ie `sig` or `enc`.
+ *
+ * Keys without a `use` may be used for either.
+ *
+ * @param {string} use
+ * @returns {KeyStoreEntry[]}
+ * @public
+ */
+KeyStore.prototype.filter = function (use) {
+    return this._entries.filter(function (entry) {
+        return !entry.jwk.use || entry.jwk.use === use;
+    });
+};
+
+/**
+ * The public JWK Set of the keys in the store.
+ *
+ * @returns {{ keys: Object[] }}
+ * @public
+ */
+KeyStore.prototype.toJWKS = function () {
+    return {
+        keys: this._entries.map(function (entry) {
+            return Object.assign({}, entry.jwk);
+        }),
+    };
+};
+
+/**
+ * Private key held in the store.
+ *
+ * @typedef {Object} KeyStoreEntry
+ * @prop {crypto.KeyObject} key - private key
+ * @prop {Object} jwk - public JWK, with `kid` and any `use` and `alg`
+ */
+
+// Expose constructor.
+module.exports = KeyStore;
@@ -0,0 +1,415 @@
+/**
+ * Module dependencies.
+ */
+const crypto = require("crypto"),
+    querystring = require("querystring"),
+    util = require("util"),
+    NodeOAuth2 = require("oauth").OAuth2,
+    jose = require("./jose"),
+    DPoP = require("./dpop");
+
+/**
+ * Client authentication methods supported at the token endpoint.
+ *
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
+ */
+const CLIENT_AUTH_METHODS = [
+    "client_secret_basic",
+    "client_secret_post",
+    "client_secret_jwt",
+    "private_key_jwt",
+    "tls_client_auth",
+    "self_signed_tls_client_auth",
+    "none",
+];
+
+/**
+ * Lifetime of client assertions in seconds.
+ */
+const ASSERTION_LIFETIME = 60;
+
+/**
+ * Creates an instance of `OAuth2`.
+ *
+ * This extends the node-oauth client so that the client can authenticate to
+ * the token endpoint with any of the methods defined by OpenID Connect, rather
+ * than always posting its secret in the request body.  Requests to other
+ * endpoints of the provider authenticate the same way through
+ * `authenticateClient()`.
+ *
+ * The client authenticates with `client_secret_post` until
+ * `setClientAuthentication()` is called.
+ *
+ * @param {string} clientId
+ * @param {string} clientSecret
+ * @param {string} baseSite
+ * @param {string} authorizePath
+ * @param {string} accessTokenPath
+ * @param {Object} [customHeaders]
+ *
+ * @constructor
+ * @extends NodeOAuth2
+ * @public
+ */
+function OAuth2(
+    clientId,
+    clientSecret,
+    baseSite,
+    authorizePath,
+    accessTokenPath,
+    customHeaders
+) {
+    NodeOAuth2.call(
+        this,
+        clientId,
+        clientSecret,
+        baseSite,
+        authorizePath,
+        accessTokenPath,
+        customHeaders
+    );
+    this._clientAuthMethod = "client_secret_post";
+    this._clientAssertionKey = null;
+    this._clientAssertionAlg = null;
+    this._clientAssertionKid = null;
+}
+
+/**
+ * Inherit from node-oauth `OAuth2`.
+ */
+util.inherits(OAuth2, NodeOAuth2);
+
+/**
+ * Set how the client authenticates to the provider.
+ *
+ * `client_secret_jwt` signs client assertions with the client secret, using
+ * `HS256` unless `options.alg` says otherwise.  `private_key_jwt` signs them
+ * with `options.privateKey`.  Its algorithm defaults to the `alg` of a JWK, or
+ * otherwise to `RS256` for RSA keys, `ES256`/`ES384`/`ES512` for EC keys and
+ * `EdDSA` for Edwards-curve keys.  The `kid` of a JWK is likewise used unless
+ * `options.kid` is given.
+ *
+ * The mutual TLS methods `tls_client_auth` and `self_signed_tls_client_auth`
+ * rely on the client certificate of the agent set with `setAgent()`.
+ *
+ * @param {string} method - one of `client_secret_basic`, `client_secret_post`,
+ *  `client_secret_jwt`, `private_key_jwt`, `tls_client_auth`,
+ *  `self_signed_tls_client_auth` or `none`
+ * @param {Object} [options]
+ * @param {string | Object | crypto.KeyObject} [options.privateKey] - PEM, JWK or `KeyObject` private key for `private_key_jwt`
+ * @param {string} [options.kid] - `kid` header of client assertions
+ * @param {string} [options.alg] - algorithm client assertions are signed with
+ * @returns {void}
+ * @throws {TypeError} when the method is not supported, or its key is missing or cannot sign with the algorithm
+ * @public
+ */
+OAuth2.prototype.setClientAuthentication = function (method, options) {
+    options = options || {};
+
+    if (CLIENT_AUTH_METHODS.indexOf(method) === -1) {
+        throw new TypeError(
+            'Unsupported token endpoint auth method "' + method + '"'
+        );
+    }
+
+    this._clientAuthMethod = method;
+    this._clientAssertionKey = null;
+    this._clientAssertionAlg = null;
+    this._clientAssertionKid = options.kid || null;
+
+    if (method === "client_secret_jwt") {
+        if (!this._clientSecret) {
+            throw new TypeError("client_secret_jwt requires a client secret");
+        }
+        const alg = options.alg || "HS256";
+        if (!jose.ALGORITHMS[alg] || jose.ALGORITHMS[alg].kty !== "oct") {
+            throw new TypeError("client_secret_jwt cannot sign with " + alg);
+        }
+        this._clientAssertionKey = jose.importSecret(this._clientSecret);
+        this._clientAssertionAlg = alg;
+    }
+    if (method === "private_key_jwt") {
+        const privateKey = options.privateKey;
+        if (!privateKey) {
+            throw new TypeError("private_key_jwt requires a private key");
+        }
+        const key = jose.importPrivateKey(privateKey);
+        const jwk = crypto.createPublicKey(key).export({ format: "jwk" });
+        const isJWK =
+            !(privateKey instanceof crypto.KeyObject) &&
+            typeof privateKey === "object" &&
+            !Buffer.isBuffer(privateKey);
+
+        const alg =
+            options.alg ||
+            (isJWK && privateKey.alg) ||
+            jose.defaultAlgorithm(jwk);
+        if (!jose.isKeyFor(jwk, alg)) {
+            throw new TypeError("private_key_jwt cannot sign with " + alg);
+        }
+        this._clientAssertionKey = key;
+        this._clientAssertionAlg = alg;
+        this._clientAssertionKid =
+            options.kid || (isJWK && privateKey.kid) || null;
+    }
+};
+
+/**
+ * Replace the client secret, such as when the provider issues a new one.
+ *
+ * @param {string} secret
+ * @returns {void}
+ * @public
+ */
+OAuth2.prototype.setClientSecret = function (secret) {
+    this._clientSecret = secret;
+    if (this._clientAuthMethod === "client_secret_jwt") {
+        this._clientAssertionKey = jose.importSecret(secret);
+    }
+};
+
+/**
+ * Add the client's credentials to a request to the provider.
+ *
+ * @param {Object} params - form parameters of the request, modified in place
+ * @param {Object} headers - headers of the request, modified in place
+ * @returns {void}
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#ClientAuthentication
+ * @public
+ */
+OAuth2.prototype.authenticateClient = function (params, headers) {
+    switch (this._clientAuthMethod) {
+        case "client_secret_basic":
+            // https://www.rfc-editor.org/rfc/rfc6749#section-2.3.1
+            headers.Authorization =
+                "Basic " +
+                Buffer.from(
+                    encodeURIComponent(this._clientId) +
+                        ":" +
+                        encodeURIComponent(this._clientSecret)
+                ).toString("base64");
+            break;
+        case "client_secret_jwt":
+        case "private_key_jwt":
+            params.client_id = this._clientId;
+            params.client_assertion_type =
+                "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+            params.client_assertion = this.clientAssertion();
+            break;
+        // the certificate authenticates the client for the mutual TLS methods
+        // https://www.rfc-editor.org/rfc/rfc8705#section-2
+        case "tls_client_auth":
+        case "self_signed_tls_client_auth":
+        case "none":
+            params.client_id = this._clientId;
+            break;
+        default:
+            params.client_id = this._clientId;
+            params.client_secret = this._clientSecret;
+    }
+};
+
+/**
+ * Create a client assertion to authenticate the client with.
+ *
+ * Every assertion has a unique `jti`, is addressed to the token endpoint and
+ * expires shortly after it is created.
+ *
+ * @returns {string}
+ * @see https://www.rfc-editor.org/rfc/rfc7523#section-3
+ * @api protected
+ */
+OAuth2.prototype.clientAssertion = function () {
+    const now = Math.floor(Date.now() / 1000);
+
+    const header = { alg: this._clientAssertionAlg, typ: "JWT" };
+    if (this._clientAssertionKid) {
+        header.kid = this._clientAssertionKid;
+    }
+
+    return jose.sign(
+        header,
+        {
+            iss: this._clientId,
+            sub: this._clientId,
+            aud: this._getAccessTokenUrl(),
+            jti: crypto.randomUUID(),
+            iat: now,
+            exp: now + ASSERTION_LIFETIME,
+        },
+        this._clientAssertionKey
+    );
+};
+
+/**
+ * Request an access token from the token endpoint.
+ *
+ * Behaves like node-oauth's implementation, except that the client
+ * authenticates with the configured method, and tokens are bound to
+ * `options.dpop` when it is given.
+ *
+ * @param {string} code - authorization code, or refresh token when `params.grant_type` is `refresh_token`
+ * @param {Object} [params]
+ * @param {Object} [options]
+ * @param {DPoP} [options.dpop] - key to bind the tokens to with DPoP proofs
+ * @param {function(Object | null, string=, string=, Object=): void} callback
+ * @returns {void}
+ * @public
+ */
+OAuth2.prototype.getOAuthAccessToken = function (
+    code,
+    params,
+    options,
+    callback
+) {
+    if (typeof options === "function") {
+        callback = options;
+        options = undefined;
+    }
+    options = options || {};
+    params = params || {};
+    const codeParam =
+        params.grant_type === "refresh_token" ? "refresh_token" : "code";
+    params[codeParam] = code;
+
+    const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+    this.authenticateClient(params, headers);
+
+    this.requestWithDPoP(
+        options.dpop,
+        "POST",
+        this._getAccessTokenUrl(),
+        headers,
+        querystring.stringify(params),
+        null,
+        function (error, data) {
+            if (error) {
+                return callback(error);
+            }
+
+            let results;
+            try {
+                results = JSON.parse(data);
+            } catch (e) {
+                // some providers respond with a form encoded body
+                results = querystring.parse(data);
+            }
+            const accessToken = results.access_token;
+            const refreshToken = results.refresh_token;
+            delete results.refresh_token;
+            callback(null, accessToken, refreshToken, results);
+        }
+    );
+};
+
+/**
+ * Make a request to the provider, with a DPoP proof when `dpop` is given.
+ *
+ * The nonce of the server's `DPoP-Nonce` header is remembered, and a request
+ * rejected with a `use_dpop_nonce` error is retried once with the new nonce.
+ * The access token, if any, is sent in the `Authorization` header with the
+ * `DPoP` scheme.
+ *
+ * @param {DPoP} [dpop]
+ * @param {string} method
+ * @param {string} location - URL of the request
+ * @param {Object} headers
+ * @param {string} body
+ * @param {string | null} accessToken
+ * @param {function(Object | null, string=, http.IncomingMessage=): void} callback
+ * @returns {void}
+ * @see https://www.rfc-editor.org/rfc/rfc9449#section-7.1
+ * @public
+ */
+OAuth2.prototype.requestWithDPoP = function (
+    dpop,
+    method,
+    location,
+    headers,
+    body,
+    accessToken,
+    callback
+) {
+    const self = this;
+    if (!dpop) {
+        return this._request(
+            method,
+            location,
+            headers,
+            body,
+            accessToken,
+            callback
+        );
+    }
+
+    function attempt(retry) {
+        const proof = dpop.proof(method, location, {
+            accessToken: accessToken,
+        });
+        const attemptHeaders = Object.assign({}, headers, { DPoP: proof });
+        if (accessToken) {
+            attemptHeaders.Authorization = "DPoP " + accessToken;
+        }
+
+        self._request(
+            method,
+            location,
+            attemptHeaders,
+            body,
+            null,
+            function (error, data, response) {
+                const updated = dpop.updateNonce(
+                    location,
+                    error ? error.headers : response && response.headers
+                );
+                if (error && retry && updated && DPoP.requiresNonce(error)) {
+                    return attempt(false);
+                }
+                callback(error, data, response);
+            }
+        );
+    }
+
+    attempt(true);
+};
+
+/**
+ * Execute a request as node-oauth does, adding the response headers to the
+ * error passed for error responses so that headers such as `DPoP-Nonce` can be
+ * read.
+ *
+ * @api private
+ */
+OAuth2.prototype._executeRequest = function (
+    httpLibrary,
+    options,
+    body,
+    callback
+) {
+    let response;
+    const library = {
+        request: function (options) {
+            const request = httpLibrary.request(options);
+            request.on("response", function (res) {
+                response = res;
+            });
+            return request;
+        },
+    };
+
+    NodeOAuth2.prototype._executeRequest.call(
+        this,
+        library,
+        options,
+        body,
+        function (error, data, res) {
+            if (error && error.statusCode && response) {
+                error.headers = response.headers;
+            }
+            callback(error, data, res);
+        }
+    );
+};
+
+// Expose constructor.
+module.exports = OAuth2;
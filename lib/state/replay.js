@@ -0,0 +1,73 @@
+/**
+ * Creates an instance of `ReplayStore`.
+ *
+ * This is the default store the OIDCStrategy uses to detect replayed tokens,
+ * such as logout tokens received through back-channel logout.  It remembers
+ * token identifiers in memory until the token expires.
+ *
+ * Identifiers are not shared between processes.  Applications running more
+ * than one instance should supply a store backed by a shared database, with
+ * the same `verify` interface.
+ *
+ * @constructor
+ * @public
+ */
+function ReplayStore() {
+    this._seen = new Map();
+}
+
+/**
+ * Verify that a token identifier has not been seen before, and remember it.
+ *
+ * Identifiers of tokens that have already expired are rejected.
+ *
+ * @param {string} id - unique identifier of the token
+ * @param {Date} expires - time after which the token is no longer accepted
+ * @param {ReplayVerifyCallback} cb - callback to execute after verifying the identifier
+ * @returns {void}
+ * @public
+ */
+ReplayStore.prototype.verify = function (id, expires, cb) {
+    const now = Date.now();
+
+    this._seen.forEach(function (exp, key, seen) {
+        if (exp <= now) {
+            seen.delete(key);
+        }
+    });
+
+    // Identifiers that would be forgotten right away cannot be checked later.
+    if (this._seen.has(id) || expires.valueOf() <= now) {
+        return cb(null, false);
+    }
+    this._seen.set(id, expires.valueOf());
+
+    cb(null, true);
+};
+
+/**
+ * Forget a token identifier, so that the token is accepted again.
+ *
+ * Called when the token could not be processed after it was verified.
+ *
+ * @param {string} id - unique identifier of the token
+ * @param {function(Error | null): void} cb - callback to execute after removing the identifier
+ * @returns {void}
+ * @public
+ */
+ReplayStore.prototype.remove = function (id, cb) {
+    this._seen.delete(id);
+    cb(null);
+};
+
+/**
+ * Callback function after verifying a token identifier
+ *
+ * @callback ReplayVerifyCallback
+ * @param {Error | null} err - Error object if the store function encounters any error, null otherwise.
+ * @param {boolean} [fresh] - true if the identifier has not been seen before
+ * @returns {void}
+ */
+
+// Expose constructor.
+module.exports = ReplayStore;
@@ -62,6 +62,9 @@ SessionStore.prototype.store = function (req, ctx, appState, cb) {
     if (ctx.verifier) {
         state.verifier = ctx.verifier;
     }
+    if (ctx.logout) {
+        state.logout = ctx.logout;
+    }
 
     if (appState) {
         state.state = appState;
@@ -91,6 +94,7 @@ SessionStore.prototype.store = function (req, ctx, appState, cb) {
  * @prop {string} [maxAge]
  * @prop {string} [nonce]
  * @prop {string} [verifier]
+ * @prop {boolean} [logout] - true if the state belongs to a logout request
  */
 
 /**
@@ -154,6 +158,9 @@ SessionStore.prototype.verify = function (req, handle, cb) {
         // if pkce verifier string is present
         ctx.verifier = state.verifier;
     }
+    if (state.logout) {
+        ctx.logout = state.logout;
+    }
 
     return cb(null, ctx, state.state);
 };
@@ -3,13 +3,22 @@
  */
 const passport = require("passport-strategy"),
     crypto = require("crypto"),
+    https = require("https"),
     url = require("url"),
+    querystring = require("querystring"),
     util = require("util"),
     utils = require("./utils"),
-    OAuth2 = require("oauth").OAuth2,
+    OAuth2 = require("./oauth2"),
     Profile = require("./profile"),
     Context = require("./context"),
+    jose = require("./jose"),
+    jwe = require("./jwe"),
+    KeyStore = require("./keystore"),
+    DPoP = require("./dpop"),
+    JWKSClient = require("./jwks"),
+    discovery = require("./discovery"),
     SessionStateStore = require("./state/session"),
+    ReplayStore = require("./state/replay"),
     AuthorizationError = require("./errors/authorizationerror"),
     TokenError = require("./errors/tokenerror"),
     InternalOAuthError = require("./errors/internaloautherror");
@@ -58,32 +67,74 @@ const passport = require("passport-strategy"),
  * The OpenID Connect authentication strategy authenticates requests using
  * OpenID Connect, which is an identity layer on top of the OAuth 2.0 protocol.
  *
+ * When `authorizationURL` or `tokenURL` is not given, the provider's endpoints
+ * are discovered from its configuration document before the first request is
+ * processed.  Options given explicitly always take precedence over discovered
+ * values.
+ *
  * @param {Object} options - config params for the passport strategy.
  * @param {string} options.issuer
- * @param {string} options.authorizationURL
- * @param {string} options.tokenURL
+ * @param {string | function(string, Object): boolean} [options.issuerValidator] - for multi-tenant providers, an issuer template such as `https://login.microsoftonline.com/{tid}/v2.0`, or a function telling whether an issuer is accepted, used instead of comparing tokens' issuers with `issuer`
+ * @param {string[]} [options.allowedTenants] - `tid` of the tenants users may sign in from
+ * @param {string} [options.authorizationURL]
+ * @param {string} [options.tokenURL]
  * @param {string} options.callbackURL
- * @param {string} options.userInfoURL
+ * @param {string} [options.userInfoURL]
+ * @param {string} [options.endSessionURL] - provider's end session endpoint used for RP-initiated logout
+ * @param {string} [options.postLogoutRedirectURL] - where the provider returns the user to after logout
+ * @param {string} [options.revocationURL] - provider's token revocation endpoint
+ * @param {string} [options.introspectionURL] - provider's token introspection endpoint
+ * @param {boolean} [options.usePAR] - push authorization requests to the provider rather than sending them in the redirect
+ * @param {string} [options.pushedAuthorizationRequestURL] - provider's pushed authorization request endpoint
  * @param {string} options.clientID
- * @param {string} options.clientSecret
+ * @param {string} [options.clientSecret]
+ * @param {string} [options.tokenEndpointAuthMethod] - how the client authenticates to the provider, defaults to `client_secret_post`
+ * @param {string | Object | crypto.KeyObject} [options.privateKey] - PEM, JWK or `KeyObject` private key that signs client assertions for `private_key_jwt`
+ * @param {string} [options.privateKeyId] - `kid` of the private key, defaults to the `kid` of a JWK or its thumbprint
+ * @param {Array<string | Object | crypto.KeyObject>} [options.clientKeys] - further private keys of the client, published by {@link Strategy#jwksHandler}
+ * @param {string} [options.tokenEndpointAuthSigningAlg] - algorithm client assertions are signed with
+ * @param {string | Buffer} [options.clientCertificate] - PEM client certificate presented to the provider over mutual TLS
+ * @param {string | Buffer} [options.clientCertificateKey] - PEM private key of the client certificate
  * @param {string} [options.acrValues]
  * @param {http.Agent} [options.agent]
  * @param {object} [options.claims]
  * @param {http.OutgoingHttpHeaders} [options.customHeaders]
  * @param {string} [options.display]
  * @param {string} [options.idTokenHint]
+ * @param {string} [options.jwksURI] - location of the provider's JWK Set, against which signatures other than `HS*` are verified
+ * @param {number} [options.jwksCacheMaxAge] - milliseconds the JWK Set is cached for when the response has no `Cache-Control` header. Defaults to 10 minutes.
+ * @param {number} [options.jwksCooldown] - minimum milliseconds between fetches of the JWK Set, whatever its caching headers or failures. Defaults to 30 seconds.
+ * @param {boolean} [options.skipSignatureVerification] - if true, ID tokens from the token endpoint that are not signed with `HS*` are accepted without verification when there is no JWK Set
+ * @param {string} [options.idTokenSignedResponseAlg] - expected ID token signing algorithm. If defined, ID token signatures are verified.
+ * @param {string} [options.idTokenEncryptedResponseAlg] - expected ID token key management algorithm. If defined, ID tokens must be encrypted.
+ * @param {string} [options.idTokenEncryptedResponseEnc] - expected ID token content encryption algorithm
+ * @param {string} [options.userInfoSignedResponseAlg] - expected UserInfo signing algorithm. If defined, UserInfo responses must be signed.
+ * @param {string} [options.userInfoEncryptedResponseAlg] - expected UserInfo key management algorithm. If defined, UserInfo responses must be encrypted.
+ * @param {string} [options.userInfoEncryptedResponseEnc] - expected UserInfo content encryption algorithm
+ * @param {string} [options.requestObjectSigningAlg] - if defined, authorization requests are sent as a `request` object signed with this algorithm
+ * @param {string} [options.requestObjectEncryptionAlg] - if defined, request objects are encrypted to the provider with this key management algorithm
+ * @param {string} [options.requestObjectEncryptionEnc] - content encryption algorithm of request objects. Defaults to `A128CBC-HS256`.
  * @param {string} [options.loginHint]
  * @param {string} [options.maxAge]
  * @param {string} [options.prompt]
  * @param {boolean} [options.proxy]
- * @param {string} [options.responseMode]
+ * @param {string} [options.responseType] - `code` (default), or `code id_token`, `code token`, `code id_token token`, `id_token` or `id_token token` for the hybrid and implicit flows
+ * @param {string} [options.responseMode] - `jwt`, `query.jwt`, `form_post.jwt` or `fragment.jwt` for JWT secured authorization responses
+ * @param {string} [options.authorizationSignedResponseAlg] - expected signing algorithm of JWT secured authorization responses
+ * @param {string} [options.authorizationEncryptedResponseAlg] - expected key management algorithm of JWT secured authorization responses. If defined, they must be encrypted.
+ * @param {string} [options.authorizationEncryptedResponseEnc] - expected content encryption algorithm of JWT secured authorization responses
  * @param {string | string[]} [options.scope]
  * @param {string} [options.uiLocales]
  * @param {boolean} [options.nonce]
  * @param {boolean} [options.passReqToCallback] - If defined, the `Request` object will be passed into {@link VerifyFunction}
  * @param {string} [options.pkce] - defines a PKCE protocol to use. If not defined, PKCE is disabled.
+ * @param {boolean | Object} [options.dpop] - if defined, tokens are bound to a key pair with DPoP proofs
+ * @param {string | Object | crypto.KeyObject} [options.dpop.privateKey] - PEM, JWK or `KeyObject` private key. If not defined, a key pair is generated.
+ * @param {string} [options.dpop.alg] - algorithm DPoP proofs are signed with. Defaults to `ES256` for generated keys.
+ * @param {boolean} [options.dpop.session] - if true, a key pair is generated for each login and kept in the session. RSA algorithms are not supported.
  * @param {string} [options.sessionKey] - unqiue session id for this issuer. If none is given, issuer's hostname is used.
  * @param {SessionStateStore} [options.store] - custom session store instance
+ * @param {ReplayStore} [options.replayStore] - custom store used to reject replayed logout tokens
  * @param {SkipUserProfileFunc | boolean} [options.skipUserProfile] - determines if user data is loaded from /userInfo endpoint.
  * @param {VerifyFunction} verify - {@link VerifyFunction} callback
  *
@@ -100,14 +151,6 @@ function Strategy(options, verify) {
     if (!options.issuer) {
         throw new TypeError("OpenIDConnectStrategy requires an issuer option");
     }
-    if (!options.authorizationURL) {
-        throw new TypeError(
-            "OpenIDConnectStrategy requires an authorizationURL option"
-        );
-    }
-    if (!options.tokenURL) {
-        throw new TypeError("OpenIDConnectStrategy requires a tokenURL option");
-    }
     if (!options.clientID) {
         throw new TypeError("OpenIDConnectStrategy requires a clientID option");
     }
@@ -129,14 +172,121 @@ function Strategy(options, verify) {
         options.customHeaders
     );
     this._oauth2.useAuthorizationHeaderforGET(true);
-    if (options.agent) {
-        this._oauth2.setAgent(options.agent);
+    this._keyStore = new KeyStore(options.clientKeys);
+    let signingKey;
+    if (options.privateKey) {
+        signingKey = this._keyStore.add(options.privateKey, {
+            kid: options.privateKeyId,
+            use: "sig",
+        });
+    }
+    this._tokenEndpointAuthMethod = options.tokenEndpointAuthMethod;
+    this._oauth2.setClientAuthentication(
+        options.tokenEndpointAuthMethod || "client_secret_post",
+        {
+            privateKey: options.privateKey,
+            kid: signingKey && signingKey.jwk.kid,
+            alg: options.tokenEndpointAuthSigningAlg,
+        }
+    );
+    let agent = options.agent;
+    if (options.clientCertificate) {
+        if (agent) {
+            throw new TypeError(
+                "agent and clientCertificate options cannot be combined"
+            );
+        }
+        if (!options.clientCertificateKey) {
+            throw new TypeError(
+                "clientCertificateKey option is required with clientCertificate"
+            );
+        }
+        agent = new https.Agent({
+            cert: options.clientCertificate,
+            key: options.clientCertificateKey,
+        });
+    }
+    if (agent) {
+        this._oauth2.setAgent(agent);
+    }
+    // https://www.rfc-editor.org/rfc/rfc8705#section-5
+    this._useMTLS = !!(
+        agent &&
+        agent.options &&
+        (agent.options.cert || agent.options.pfx)
+    );
+    if (
+        MTLS_AUTH_METHODS.indexOf(options.tokenEndpointAuthMethod) !== -1 &&
+        !this._useMTLS
+    ) {
+        throw new TypeError(
+            options.tokenEndpointAuthMethod +
+                " requires a client certificate, given as clientCertificate or with the agent option"
+        );
+    }
+
+    this._requestObjectSigningAlg = options.requestObjectSigningAlg;
+    this._requestObjectEncryptionAlg = options.requestObjectEncryptionAlg;
+    this._requestObjectEncryptionEnc =
+        options.requestObjectEncryptionEnc || "A128CBC-HS256";
+    if (this._requestObjectSigningAlg) {
+        this._requestObjectKey = this._requestObjectSigningKey(
+            this._requestObjectSigningAlg
+        );
+    }
+    if (
+        this._requestObjectEncryptionAlg &&
+        (!jwe.ALGORITHMS[this._requestObjectEncryptionAlg] ||
+            !jwe.ENCRYPTIONS[this._requestObjectEncryptionEnc])
+    ) {
+        throw new TypeError(
+            "Unsupported request object encryption algorithm " +
+                this._requestObjectEncryptionAlg +
+                " " +
+                this._requestObjectEncryptionEnc
+        );
+    }
+
+    // Endpoints missing from options are filled in by `discover()`.  As
+    // passport calls `authenticate()` on objects derived from this instance,
+    // discovery state refers back to the instance it must configure.
+    this._discovery = {
+        strategy: this,
+        required: !options.authorizationURL || !options.tokenURL,
+        callbacks: null,
+    };
+    if (this._discovery.required) {
+        this._oauth2._authorizeUrl = options.authorizationURL;
+        this._oauth2._accessTokenUrl = options.tokenURL;
     }
 
     this._issuer = options.issuer;
+    if (typeof options.issuerValidator === "string") {
+        this._issuerValidator = issuerPattern(options.issuerValidator);
+    } else if (typeof options.issuerValidator === "function") {
+        this._issuerValidator = options.issuerValidator;
+    } else if (options.issuerValidator) {
+        throw new TypeError(
+            "issuerValidator option must be an issuer template or a function"
+        );
+    }
+    if (options.allowedTenants && !Array.isArray(options.allowedTenants)) {
+        throw new TypeError("allowedTenants option must be an array");
+    }
+    this._allowedTenants = options.allowedTenants;
     this._callbackURL = options.callbackURL;
     this._scope = options.scope;
+    this._responseType = options.responseType || "code";
+    if (RESPONSE_TYPES.indexOf(this._responseType) === -1) {
+        throw new TypeError("Unsupported response type " + this._responseType);
+    }
     this._responseMode = options.responseMode;
+    this._authorizationSignedResponseAlg =
+        options.authorizationSignedResponseAlg;
+    this._authorizationEncryptedResponseAlg =
+        options.authorizationEncryptedResponseAlg;
+    this._authorizationEncryptedResponseEnc =
+        options.authorizationEncryptedResponseEnc;
     this._prompt = options.prompt;
     this._trustProxy = options.proxy;
     this._display = options.display;
@@ -147,16 +297,58 @@ function Strategy(options, verify) {
     this._idTokenHint = options.idTokenHint;
     this._claims = options.claims;
     this._userInfoURL = options.userInfoURL;
+    this._endSessionURL = options.endSessionURL;
+    this._revocationURL = options.revocationURL;
+    this._introspectionURL = options.introspectionURL;
+    this._usePAR = options.usePAR;
+    this._pushedAuthorizationRequestURL = options.pushedAuthorizationRequestURL;
+    this._postLogoutRedirectURL = options.postLogoutRedirectURL;
+
+    this._idTokenSignedResponseAlg = options.idTokenSignedResponseAlg;
+    this._idTokenEncryptedResponseAlg = options.idTokenEncryptedResponseAlg;
+    this._idTokenEncryptedResponseEnc = options.idTokenEncryptedResponseEnc;
+    this._userInfoSignedResponseAlg = options.userInfoSignedResponseAlg;
+    this._userInfoEncryptedResponseAlg = options.userInfoEncryptedResponseAlg;
+    this._userInfoEncryptedResponseEnc = options.userInfoEncryptedResponseEnc;
+    this._jwksCacheMaxAge = options.jwksCacheMaxAge;
+    this._jwksCooldown = options.jwksCooldown;
+    this._skipSignatureVerification = !!options.skipSignatureVerification;
+    if (options.jwksURI) {
+        this._useJWKS(options.jwksURI);
+    }
 
     this._nonce = options.nonce;
     this._pkce = options.pkce;
 
+    const dpop = options.dpop === true ? {} : options.dpop;
+    if (dpop && dpop.session) {
+        if (dpop.alg && DPoP.ALGORITHMS.indexOf(dpop.alg) === -1) {
+            throw new TypeError("Unsupported DPoP alg " + dpop.alg);
+        }
+        // generating an RSA key pair at every login would block the process
+        if (dpop.alg && jose.ALGORITHMS[dpop.alg].kty === "RSA") {
+            throw new TypeError(
+                "dpop.session option does not support RSA alg " + dpop.alg
+            );
+        }
+        this._dpopSession = true;
+        this._dpopAlg = dpop.alg;
+    } else if (dpop) {
+        this._dpop = dpop.privateKey
+            ? new DPoP(dpop.privateKey, dpop.alg)
+            : DPoP.generate(dpop.alg);
+    }
+
     this._originalReqProp = options.originalReqProp;
 
     const key =
         options.sessionKey ||
-        this.name + ":" + url.parse(options.authorizationURL).hostname;
+        this.name +
+            ":" +
+            url.parse(options.authorizationURL || options.issuer).hostname;
+    this._sessionKey = key;
     this._stateStore = options.store || new SessionStateStore({ key: key });
+    this._replayStore = options.replayStore || new ReplayStore();
 
     // This determine if /userInfo endpoint is called.
     this._skipUserProfile =
@@ -195,36 +387,152 @@ Strategy.prototype.authenticate = function (req, options) {
     options = options || {};
     const self = this;
 
-    if (req.query && req.query.error) {
-        if (req.query.error == "access_denied") {
-            return this.fail({ message: req.query.error_description });
+    if (this._discovery.required && !this.metadata) {
+        return this.discover(function (err) {
+            if (err) {
+                return self.error(err);
+            }
+            self.authenticate(req, options);
+        });
+    }
+
+    if (
+        req.method === "POST" &&
+        POSTED_RESPONSE_MODES.indexOf(this._responseMode) !== -1
+    ) {
+        return utils.parseForm(req, function (err, form) {
+            if (err) {
+                return self.error(err);
+            }
+            self._authorizationResponse(req, options, form);
+        });
+    }
+
+    this._authorizationResponse(req, options, req.query || {});
+};
+
+/**
+ * Client authentication methods in which the client authenticates with its TLS
+ * certificate.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc8705#section-2
+ */
+const MTLS_AUTH_METHODS = ["tls_client_auth", "self_signed_tls_client_auth"];
+
+/**
+ * Supported `response_type` values.  Other than `code`, these select the
+ * hybrid and implicit flows, in which tokens are returned from the
+ * authorization endpoint.
+ *
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#Authentication
+ */
+const RESPONSE_TYPES = [
+    "code",
+    "code id_token",
+    "code token",
+    "code id_token token",
+    "id_token",
+    "id_token token",
+];
+
+/**
+ * Response modes in which the authorization response reaches the callback in
+ * the body of a POST request.  Responses returned in the fragment must be
+ * posted to the callback by the application.
+ *
+ * @see https://openid.net/specs/oauth-v2-form-post-response-mode-1_0.html
+ */
+const POSTED_RESPONSE_MODES = [
+    "form_post",
+    "form_post.jwt",
+    "fragment",
+    "fragment.jwt",
+];
+
+/**
+ * Process the parameters of an authorization response, verifying JWT secured
+ * authorization responses first.
+ *
+ * @param {http.IncomingMessage} req - request object of the incoming http message
+ * @param {object} options - options passed to `authenticate()`
+ * @param {Object} params - parameters of the query or posted form
+ * @returns {void}
+ * @api private
+ */
+Strategy.prototype._authorizationResponse = function (req, options, params) {
+    const self = this;
+
+    if (JARM_RESPONSE_MODES.indexOf(this._responseMode) !== -1) {
+        if (params.response) {
+            return this._verifyAuthorizationResponse(
+                params.response,
+                function (err, response, info) {
+                    if (err) {
+                        return self.error(err);
+                    }
+                    if (!response) {
+                        return self.fail(info, 403);
+                    }
+                    self._authenticate(req, options, response);
+                }
+            );
+        }
+        if (
+            params.code ||
+            params.id_token ||
+            params.access_token ||
+            params.error
+        ) {
+            return this.fail(
+                { message: "Authorization response is not a JWT." },
+                403
+            );
+        }
+    }
+
+    this._authenticate(req, options, params);
+};
+
+/**
+ * Complete authentication with the parameters of the authorization response,
+ * or start it by redirecting to the provider when there are none.
+ *
+ * @param {http.IncomingMessage} req - request object of the incoming http message
+ * @param {object} options - options passed to `authenticate()`
+ * @param {Object} response - parameters of the authorization response
+ * @returns {void}
+ * @api private
+ */
+Strategy.prototype._authenticate = function (req, options, response) {
+    const self = this;
+
+    if (response.error) {
+        if (response.error == "access_denied") {
+            return this.fail({ message: response.error_description });
         } else {
             return this.error(
                 new AuthorizationError(
-                    req.query.error_description,
-                    req.query.error,
-                    req.query.error_uri
+                    response.error_description,
+                    response.error,
+                    response.error_uri
                 )
             );
         }
     }
 
-    let callbackURL = options.callbackURL || self._callbackURL;
-    if (callbackURL) {
-        const parsed = url.parse(callbackURL);
-        if (!parsed.protocol) {
-            // The callback URL is relative, resolve a fully qualified URL from the
-            // URL of the originating request.
-            callbackURL = url.resolve(
-                utils.originalURL(req, { proxy: self._trustProxy }),
-                callbackURL
-            );
-        }
-    }
+    const callbackURL = this._resolveURL(
+        req,
+        options.callbackURL || self._callbackURL
+    );
 
-    if (req.query && req.query.code) {
+    if (
+        response.code ||
+        (this._responseType !== "code" &&
+            (response.id_token || response.access_token))
+    ) {
         // form the /token request using response from /authorize
-        // using the auth code grant flow
+        // using the auth code grant flow, or take the tokens from the
+        // response in the implicit flow
 
         /** @type {SessionStateStore.SessionVerifyCallback} */
         function restored(err, ctx, state) {
@@ -234,8 +542,14 @@ Strategy.prototype.authenticate = function (req, options) {
             if (!ctx) {
                 return self.fail(state, 403);
             }
+            if (ctx.logout) {
+                return self.fail(
+                    { message: "Invalid authorization request state." },
+                    403
+                );
+            }
 
-            const code = req.query.code;
+            const code = response.code;
 
             const params = { grant_type: "authorization_code" };
             if (callbackURL) {
@@ -254,401 +568,396 @@ Strategy.prototype.authenticate = function (req, options) {
                 params.code_verifier = ctx.verifier;
             }
 
-            self._oauth2.getOAuthAccessToken(
-                code,
-                params,
-                function (err, accessToken, refreshToken, params) {
-                    if (err) {
-                        if (err.statusCode && err.data) {
-                            try {
-                                console.log(err);
-                                const json = JSON.parse(err.data);
-
-                                if (json.error) {
-                                    return self.error(
-                                        new TokenError(
-                                            json.error_description,
-                                            json.error,
-                                            json.error_uri
-                                        )
-                                    );
-                                }
-                                // eslint-disable-next-line no-empty
-                            } catch (e) {
-                                // trap it here and do nothing to the json parse throws
-                                // and let InternalOAuthError return it instead
-                            }
-                        }
-                        return self.error(
-                            new InternalOAuthError(
-                                "Failed to obtain access token",
-                                err
-                            )
-                        );
-                    }
-
-                    const idToken = params["id_token"];
-                    if (!idToken) {
-                        return self.error(
-                            new Error("ID token not present in token response")
-                        );
-                    }
+            // claims of the ID token returned from the authorization endpoint
+            let responseClaims;
 
-                    let components = idToken.split("."),
-                        payload,
-                        claims;
+            // key the tokens are bound to with DPoP, if enabled
+            const dpop = self._dpopKey(req, true);
+            const tokenOptions = { dpop: dpop };
 
-                    try {
-                        payload = Buffer.from(components[1], "base64");
-                        claims = JSON.parse(payload);
-                    } catch (ex) {
-                        return self.error(ex);
-                    }
+            /**
+             * Validate the tokens returned from the authorization endpoint
+             * before exchanging the code for tokens, or completing the
+             * implicit flow with them.
+             *
+             * @param {string} [code]
+             * @param {Object} params - token request parameters
+             * @param {function(*, string=, string=, Object=): void} cb
+             * @returns {void}
+             */
+            function obtainTokens(code, params, cb) {
+                if (self._responseType === "code") {
+                    return self._oauth2.getOAuthAccessToken(
+                        code,
+                        params,
+                        tokenOptions,
+                        cb
+                    );
+                }
 
-                    if (!claims.iss) {
-                        return self.error(
-                            new Error("ID token missing issuer claim")
-                        );
-                    }
-                    if (!claims.sub) {
-                        return self.error(
-                            new Error("ID token missing subject claim")
-                        );
-                    }
-                    if (!claims.aud) {
-                        return self.error(
-                            new Error("ID token missing audience claim")
-                        );
-                    }
-                    if (!claims.exp) {
-                        return self.error(
-                            new Error("ID token missing expiration time claim")
-                        );
-                    }
-                    if (!claims.iat) {
-                        return self.error(
-                            new Error("ID token missing issued at claim")
-                        );
-                    }
+                self._validateResponseTokens(
+                    response,
+                    ctx,
+                    function (err, claims, info) {
+                        if (err) {
+                            return self.error(err);
+                        }
+                        if (!claims) {
+                            return self.fail(info, 403);
+                        }
 
-                    if (
-                        !(
-                            typeof claims.aud === "string" ||
-                            Array.isArray(claims.aud)
-                        )
-                    ) {
-                        return self.error(
-                            new Error(
-                                "ID token audience claim not an array or string value"
-                            )
+                        if (response.id_token) {
+                            responseClaims = claims;
+                        }
+                        if (!code) {
+                            return cb(
+                                null,
+                                response.access_token,
+                                undefined,
+                                response
+                            );
+                        }
+                        self._oauth2.getOAuthAccessToken(
+                            code,
+                            params,
+                            tokenOptions,
+                            cb
                         );
                     }
+                );
+            } // obtainTokens
 
-                    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 1.
-                    if (claims.iss !== self._issuer) {
-                        return self.fail(
-                            {
-                                message:
-                                    "ID token not issued by expected OpenID provider.",
-                            },
-                            403
-                        );
-                    }
+            /**
+             * Validate the ID token of the token response, unless it is the
+             * one already validated from the authorization response, and
+             * check that the access token matches its `at_hash` claim.
+             *
+             * @param {string} idToken
+             * @param {string} [accessToken]
+             * @param {SessionStateStore.SessionContext} ctx
+             * @param {ValidateTokenCallback} cb
+             * @returns {void}
+             * @see https://openid.net/specs/openid-connect-core-1_0.html#HybridTokenResponse
+             * @see https://openid.net/specs/openid-connect-core-1_0.html#CodeIDToken
+             */
+            function validateTokenIdToken(idToken, accessToken, ctx, cb) {
+                if (responseClaims && idToken === response.id_token) {
+                    return cb(null, responseClaims);
+                }
 
-                    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - checks 2 and 3.
-                    if (typeof claims.aud === "string") {
-                        if (claims.aud !== self._oauth2._clientId) {
-                            return self.fail(
-                                {
-                                    message:
-                                        "ID token not intended for this relying party.",
-                                },
-                                403
-                            );
+                self._validateIdToken(
+                    idToken,
+                    ctx,
+                    function (err, claims, header) {
+                        if (err || !claims) {
+                            return cb(err, false, header);
                         }
-                    } else {
-                        if (claims.aud.indexOf(self._oauth2._clientId) === -1) {
-                            return self.fail(
-                                {
-                                    message:
-                                        "ID token not intended for this relying party.",
-                                },
-                                403
-                            );
+                        if (
+                            responseClaims &&
+                            (claims.iss !== responseClaims.iss ||
+                                claims.sub !== responseClaims.sub)
+                        ) {
+                            return cb(null, false, {
+                                message:
+                                    "ID token does not match ID token of authorization response.",
+                            });
                         }
-                        if (claims.aud.length > 1 && !claims.azp) {
-                            return self.fail(
-                                {
-                                    message:
-                                        "ID token missing authorizied party claim.",
-                                },
-                                403
+                        // at_hash is optional in the token response
+                        if (accessToken && claims.at_hash) {
+                            const info = checkTokenHash(
+                                claims,
+                                header,
+                                "at_hash",
+                                accessToken
                             );
+                            if (info) {
+                                return cb(null, false, info);
+                            }
                         }
+                        cb(null, claims);
                     }
+                );
+            } // validateTokenIdToken
 
-                    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 4.
-                    if (claims.azp && claims.azp !== self._oauth2._clientId) {
-                        return self.fail(
-                            {
-                                message:
-                                    "ID token not issued to this relying party.",
-                            },
-                            403
-                        );
-                    }
-
-                    // Possible TODO: Add accounting for some clock skew.
-                    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 5.
-                    if (claims.exp <= Date.now() / 1000) {
-                        return self.fail(
-                            { message: "ID token has expired." },
-                            403
-                        );
-                    }
-
-                    // Note: https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - checks 6 and 7 are out of scope of this library.
-
-                    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 8.
-                    if (
-                        ctx.maxAge &&
-                        (!claims.auth_time ||
-                            ctx.issued.valueOf() - ctx.maxAge * 1000 >
-                                claims.auth_time * 1000)
-                    ) {
-                        return self.fail(
-                            {
-                                message:
-                                    "Too much time has elapsed since last authentication.",
-                            },
-                            403
+            obtainTokens(
+                code,
+                params,
+                function (err, accessToken, refreshToken, params) {
+                    if (err) {
+                        return self.error(
+                            tokenError(err, "Failed to obtain access token")
                         );
                     }
 
-                    if (ctx.nonce && claims.nonce !== ctx.nonce) {
-                        return self.fail(
-                            { message: "ID token contains invalid nonce." },
-                            403
+                    const idToken = params["id_token"];
+                    if (!idToken) {
+                        return self.error(
+                            new Error("ID token not present in token response")
                         );
                     }
 
-                    self._shouldLoadUserProfile(
-                        req,
-                        claims,
-                        function (err, load) {
+                    validateTokenIdToken(
+                        idToken,
+                        accessToken,
+                        ctx,
+                        function (err, claims, info) {
                             if (err) {
                                 return self.error(err);
                             }
+                            if (!claims) {
+                                return self.fail(info, 403);
+                            }
 
-                            /**
-                             * Callback to handle result from GET /userInfo endpont
-                             *
-                             * @param {Profile.MergedProfile} [uiProfile]
-                             * @param {*} [json]
-                             * @param {*} [body]
-                             * @returns {void}
-                             */
-                            function loaded(uiProfile, json, body) {
-                                /** @type {VerifyCallback} */
-                                function verified(err, user, info) {
+                            self._shouldLoadUserProfile(
+                                req,
+                                claims,
+                                function (err, load) {
                                     if (err) {
                                         return self.error(err);
                                     }
-                                    if (!user) {
-                                        return self.fail(info);
-                                    }
 
-                                    info = info || {};
-                                    // return session appState if available
-                                    if (state) {
-                                        info.state = state;
-                                    }
-                                    self.success(user, info);
-                                } // verified
-
-                                /** @type {Profile.Profile} */
-                                const idProfile = Profile.parse(claims);
-                                /** @type {Profile.Profile} */
-                                let profile = {};
-                                utils.merge(profile, idProfile);
-                                utils.merge(profile, uiProfile);
-
-                                if (uiProfile) {
-                                    uiProfile._raw = body;
-                                    uiProfile._json = json;
-                                }
+                                    /**
+                                     * Callback to handle result from GET /userInfo endpont
+                                     *
+                                     * @param {Profile.MergedProfile} [uiProfile]
+                                     * @param {*} [json]
+                                     * @param {*} [body]
+                                     * @returns {void}
+                                     */
+                                    function loaded(uiProfile, json, body) {
+                                        /** @type {VerifyCallback} */
+                                        function verified(err, user, info) {
+                                            if (err) {
+                                                return self.error(err);
+                                            }
+                                            if (!user) {
+                                                return self.fail(info);
+                                            }
 
-                                const context = Context.parse(claims); // nothing from id token for this.
-
-                                try {
-                                    if (self._passReqToCallback) {
-                                        const arity = self._verify.length;
-                                        if (arity == 10) {
-                                            self._verify(
-                                                req,
-                                                claims.iss,
-                                                uiProfile,
-                                                idProfile,
-                                                context,
-                                                idToken,
-                                                accessToken,
-                                                refreshToken,
-                                                params,
-                                                verified
-                                            );
-                                        } else if (arity == 9) {
-                                            self._verify(
-                                                req,
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                idToken,
-                                                accessToken,
-                                                refreshToken,
-                                                params,
-                                                verified
-                                            );
-                                        } else if (arity == 8) {
-                                            self._verify(
-                                                req,
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                idToken,
-                                                accessToken,
-                                                refreshToken,
-                                                verified
-                                            );
-                                        } else if (arity == 6) {
-                                            self._verify(
-                                                req,
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                idToken,
-                                                verified
-                                            );
-                                        } else if (arity == 5) {
-                                            self._verify(
-                                                req,
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                verified
-                                            );
-                                        } else {
-                                            // arity == 4
-                                            self._verify(
-                                                req,
-                                                claims.iss,
-                                                profile,
-                                                verified
-                                            );
-                                        }
-                                    } else {
-                                        const arity = self._verify.length;
-                                        if (arity == 9) {
-                                            self._verify(
-                                                claims.iss,
-                                                uiProfile,
-                                                idProfile,
-                                                context,
-                                                idToken,
-                                                accessToken,
-                                                refreshToken,
-                                                params,
-                                                verified
-                                            );
-                                        } else if (arity == 8) {
-                                            self._verify(
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                idToken,
-                                                accessToken,
-                                                refreshToken,
-                                                params,
-                                                verified
-                                            );
-                                        } else if (arity == 7) {
-                                            self._verify(
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                idToken,
-                                                accessToken,
-                                                refreshToken,
-                                                verified
-                                            );
-                                        } else if (arity == 5) {
-                                            self._verify(
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                idToken,
-                                                verified
-                                            );
-                                        } else if (arity == 4) {
-                                            self._verify(
-                                                claims.iss,
-                                                profile,
-                                                context,
-                                                verified
-                                            );
-                                        } else {
-                                            // arity == 3
-                                            self._verify(
-                                                claims.iss,
-                                                profile,
-                                                verified
-                                            );
+                                            info = info || {};
+                                            // return session appState if available
+                                            if (state) {
+                                                info.state = state;
+                                            }
+                                            // remember the provider session for front-channel logout
+                                            if (req.session && claims.sid) {
+                                                const key = self._sessionKey;
+                                                req.session[key] =
+                                                    req.session[key] || {};
+                                                req.session[key].sid =
+                                                    claims.sid;
+                                            }
+                                            // keep the key the tokens are bound to for later requests
+                                            if (self._dpopSession) {
+                                                const key = self._sessionKey;
+                                                req.session[key] =
+                                                    req.session[key] || {};
+                                                req.session[key].dpop =
+                                                    dpop.exportKey();
+                                            }
+                                            self.success(user, info);
+                                        } // verified
+
+                                        /** @type {Profile.Profile} */
+                                        const idProfile = Profile.parse(claims);
+                                        /** @type {Profile.Profile} */
+                                        let profile = {};
+                                        utils.merge(profile, idProfile);
+                                        utils.merge(profile, uiProfile);
+
+                                        if (uiProfile) {
+                                            uiProfile._raw = body;
+                                            uiProfile._json = json;
                                         }
-                                    }
-                                } catch (ex) {
-                                    return self.error(ex);
-                                }
-                            } // loaded
 
-                            if (!load) {
-                                return loaded();
-                            }
+                                        const context = Context.parse(claims); // nothing from id token for this.
 
-                            self._oauth2.get(
-                                self._userInfoURL,
-                                accessToken,
-                                function (err, body, res) {
-                                    if (err) {
-                                        return self.error(
-                                            new InternalOAuthError(
-                                                "Failed to fetch user profile",
-                                                err
-                                            )
-                                        );
-                                    }
+                                        try {
+                                            if (self._passReqToCallback) {
+                                                const arity =
+                                                    self._verify.length;
+                                                if (arity == 10) {
+                                                    self._verify(
+                                                        req,
+                                                        claims.iss,
+                                                        uiProfile,
+                                                        idProfile,
+                                                        context,
+                                                        idToken,
+                                                        accessToken,
+                                                        refreshToken,
+                                                        params,
+                                                        verified
+                                                    );
+                                                } else if (arity == 9) {
+                                                    self._verify(
+                                                        req,
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        idToken,
+                                                        accessToken,
+                                                        refreshToken,
+                                                        params,
+                                                        verified
+                                                    );
+                                                } else if (arity == 8) {
+                                                    self._verify(
+                                                        req,
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        idToken,
+                                                        accessToken,
+                                                        refreshToken,
+                                                        verified
+                                                    );
+                                                } else if (arity == 6) {
+                                                    self._verify(
+                                                        req,
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        idToken,
+                                                        verified
+                                                    );
+                                                } else if (arity == 5) {
+                                                    self._verify(
+                                                        req,
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        verified
+                                                    );
+                                                } else {
+                                                    // arity == 4
+                                                    self._verify(
+                                                        req,
+                                                        claims.iss,
+                                                        profile,
+                                                        verified
+                                                    );
+                                                }
+                                            } else {
+                                                const arity =
+                                                    self._verify.length;
+                                                if (arity == 9) {
+                                                    self._verify(
+                                                        claims.iss,
+                                                        uiProfile,
+                                                        idProfile,
+                                                        context,
+                                                        idToken,
+                                                        accessToken,
+                                                        refreshToken,
+                                                        params,
+                                                        verified
+                                                    );
+                                                } else if (arity == 8) {
+                                                    self._verify(
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        idToken,
+                                                        accessToken,
+                                                        refreshToken,
+                                                        params,
+                                                        verified
+                                                    );
+                                                } else if (arity == 7) {
+                                                    self._verify(
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        idToken,
+                                                        accessToken,
+                                                        refreshToken,
+                                                        verified
+                                                    );
+                                                } else if (arity == 5) {
+                                                    self._verify(
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        idToken,
+                                                        verified
+                                                    );
+                                                } else if (arity == 4) {
+                                                    self._verify(
+                                                        claims.iss,
+                                                        profile,
+                                                        context,
+                                                        verified
+                                                    );
+                                                } else {
+                                                    // arity == 3
+                                                    self._verify(
+                                                        claims.iss,
+                                                        profile,
+                                                        verified
+                                                    );
+                                                }
+                                            }
+                                        } catch (ex) {
+                                            return self.error(ex);
+                                        }
+                                    } // loaded
 
-                                    let json;
-                                    try {
-                                        json = JSON.parse(body);
-                                    } catch (ex) {
-                                        return self.error(
-                                            new Error(
-                                                "Failed to parse user profile"
-                                            )
-                                        );
+                                    // no access token is issued for response type id_token
+                                    if (!load || !accessToken) {
+                                        return loaded();
                                     }
 
-                                    /** @type {Profile.Profile} */
-                                    const uiProfile = Profile.parse(json);
-                                    loaded(uiProfile, json, body);
+                                    self._getUserInfo(
+                                        accessToken,
+                                        params.token_type,
+                                        dpop,
+                                        function (err, body, res) {
+                                            if (err) {
+                                                return self.error(
+                                                    new InternalOAuthError(
+                                                        "Failed to fetch user profile",
+                                                        err
+                                                    )
+                                                );
+                                            }
+
+                                            self._parseUserInfo(
+                                                body,
+                                                res,
+                                                claims,
+                                                function (err, json, info) {
+                                                    if (err) {
+                                                        return self.error(err);
+                                                    }
+                                                    if (!json) {
+                                                        return self.fail(
+                                                            info,
+                                                            403
+                                                        );
+                                                    }
+
+                                                    /** @type {Profile.Profile} */
+                                                    const uiProfile =
+                                                        Profile.parse(json);
+                                                    loaded(
+                                                        uiProfile,
+                                                        json,
+                                                        body
+                                                    );
+                                                }
+                                            );
+                                        }
+                                    );
                                 }
-                            );
+                            ); // self._shouldLoadUserProfile
                         }
-                    ); // self._shouldLoadUserProfile
+                    ); // validateTokenIdToken
                 }
-            ); // oauth2.getOAuthAccessToken
+            ); // obtainTokens
         } // restored
 
-        const state = req.query.state;
+        const state = response.state;
         try {
             self._stateStore.verify(req, state, restored);
         } catch (ex) {
@@ -657,7 +966,7 @@ Strategy.prototype.authenticate = function (req, options) {
     } else {
         // form the /authorize request
         const params = this.authorizationParams(options);
-        params.response_type = "code";
+        params.response_type = this._responseType;
         if (this._responseMode) {
             params.response_mode = this._responseMode;
         }
@@ -709,7 +1018,8 @@ Strategy.prototype.authenticate = function (req, options) {
         if (idTokenHint) {
             params.id_token_hint = idTokenHint;
         }
-        const nonce = this._nonce;
+        // nonce is required in the hybrid and implicit flows
+        const nonce = this._nonce || this._responseType !== "code";
         if (nonce) {
             params.nonce = utils.uid(20);
         }
@@ -772,12 +1082,68 @@ Strategy.prototype.authenticate = function (req, options) {
             }
 
             params.state = handle;
-            const parsed = url.parse(self._oauth2._authorizeUrl, true);
 
-            utils.merge(parsed.query, params);
-            delete parsed.search;
-            const location = url.format(parsed);
-            self.redirect(location);
+            /**
+             * Redirect the user agent to the provider's authorization endpoint.
+             *
+             * @param {Object} query
+             * @returns {void}
+             */
+            function redirect(query) {
+                const parsed = url.parse(self._oauth2._authorizeUrl, true);
+
+                utils.merge(parsed.query, query);
+                delete parsed.search;
+                const location = url.format(parsed);
+                self.redirect(location);
+            } // redirect
+
+            /**
+             * Send the authorization request, pushing it to the provider first
+             * if pushed authorization requests are used.
+             *
+             * @param {Object} query
+             * @returns {void}
+             */
+            function send(query) {
+                const metadata = self.metadata || {};
+                if (
+                    !self._usePAR &&
+                    !metadata.require_pushed_authorization_requests
+                ) {
+                    return redirect(query);
+                }
+
+                self._pushAuthorizationRequest(
+                    query,
+                    function (err, requestURI) {
+                        if (err) {
+                            return self.error(err);
+                        }
+                        redirect({
+                            client_id: query.client_id,
+                            request_uri: requestURI,
+                        });
+                    }
+                );
+            } // send
+
+            if (!self._requestObjectSigningAlg) {
+                return send(params);
+            }
+
+            self._requestObject(params, function (err, request) {
+                if (err) {
+                    return self.error(err);
+                }
+                // OpenID Connect requires these outside the request object too
+                send({
+                    response_type: params.response_type,
+                    client_id: params.client_id,
+                    scope: params.scope,
+                    request: request,
+                });
+            });
         } // stored
 
         try {
@@ -789,42 +1155,2412 @@ Strategy.prototype.authenticate = function (req, options) {
 };
 
 /**
- * Return extra parameters to be included in the authorization request.
+ * Build the URL that logs the user out at the OpenID provider.
  *
- * Some OpenID Connect providers allow additional, non-standard parameters to be
- * included when requesting authorization.  Since these parameters are not
- * standardized by the OpenID Connect specification, OpenID Connect-based
- * authentication strategies can overrride this function in order to populate
- * these parameters as required by the provider.
+ * When a post logout redirect URL is used, a `state` is generated and stored
+ * with the strategy's state store, so that `verifyLogout()` can check it when
+ * the provider redirects the user back to the application.  The state store
+ * holds one pending request at a time, so it is best called after the user's
+ * local session has been ended.
  *
+ * @param {http.IncomingMessage} req - request object of the incoming http message
  * @param {Object} options
- * @return {Object}
- * @api protected
+ * @param {string} [options.idTokenHint] - ID token previously issued to the user
+ * @param {string} [options.logoutHint] - hint about the user that is logging out
+ * @param {string} [options.postLogoutRedirectURL] - supercedes the value passed into the Strategy constructor
+ * @param {string} [options.uiLocales]
+ * @param {*} [options.state] - app state returned by `verifyLogout()`
+ * @param {function(Error | null, string=): void} cb - callback with the logout URL
+ * @returns {void}
+ * @see https://openid.net/specs/openid-connect-rpinitiated-1_0.html#RPLogout
+ * @public
  */
-Strategy.prototype.authorizationParams = function (options) {
-    return {};
-};
+Strategy.prototype.logoutURL = function (req, options, cb) {
+    if (typeof options === "function") {
+        cb = options;
+        options = undefined;
+    }
+    options = options || {};
+    const self = this;
 
-/**
- * Check if should load user profile, contingent upon options.
- *
- * @param {http.IncomingMessage} req
- * @param {string} claims
- * @param {LoadUserProfileCallback} done
- * @api private
- */
-Strategy.prototype._shouldLoadUserProfile = function (req, claims, done) {
-    if (
-        typeof this._skipUserProfile == "function" &&
-        this._skipUserProfile.length > 2
-    ) {
-        // async
-        this._skipUserProfile(req, claims, function (err, skip) {
+    if (!this._endSessionURL && !this.metadata) {
+        return this.discover(function (err) {
             if (err) {
-                return done(err);
-            }
-            if (!skip) {
-                return done(null, true);
+                return cb(err);
+            }
+            self.logoutURL(req, options, cb);
+        });
+    }
+    if (!this._endSessionURL) {
+        return cb(
+            new Error("OpenID provider does not support RP-initiated logout")
+        );
+    }
+
+    const params = { client_id: this._oauth2._clientId };
+    if (options.idTokenHint) {
+        params.id_token_hint = options.idTokenHint;
+    }
+    if (options.logoutHint) {
+        params.logout_hint = options.logoutHint;
+    }
+    const uiLocales = options.uiLocales || this._uiLocales;
+    if (uiLocales) {
+        params.ui_locales = uiLocales;
+    }
+
+    function build() {
+        const parsed = url.parse(self._endSessionURL, true);
+        utils.merge(parsed.query, params);
+        delete parsed.search;
+        cb(null, url.format(parsed));
+    } // build
+
+    const redirectURL = this._resolveURL(
+        req,
+        options.postLogoutRedirectURL || this._postLogoutRedirectURL
+    );
+    if (!redirectURL) {
+        return build();
+    }
+    params.post_logout_redirect_uri = redirectURL;
+
+    /** @type {SessionStateStore.SessionStoreCallback} */
+    function stored(err, handle) {
+        if (err) {
+            return cb(err);
+        }
+        if (!handle) {
+            return cb(
+                new Error(
+                    "OpenID Connect state store did not yield state for logout request"
+                )
+            );
+        }
+        params.state = handle;
+        build();
+    } // stored
+
+    try {
+        this._stateStore.store(req, { logout: true }, options.state, stored);
+    } catch (ex) {
+        return cb(ex);
+    }
+};
+
+/**
+ * Verify the `state` of a request the OpenID provider redirected back to the
+ * post logout redirect URL.
+ *
+ * @param {http.IncomingMessage} req - request object of the incoming http message
+ * @param {function(Error | null, boolean=, *=): void} cb - callback with whether
+ *  the state is valid, and either the app state or details on why it is not
+ * @returns {void}
+ * @see https://openid.net/specs/openid-connect-rpinitiated-1_0.html#RedirectionAfterLogout
+ * @public
+ */
+Strategy.prototype.verifyLogout = function (req, cb) {
+    const handle = req.query && req.query.state;
+    if (!handle) {
+        return cb(null, false, { message: "Missing logout request state." });
+    }
+
+    try {
+        this._stateStore.verify(req, handle, function (err, ctx, state) {
+            if (err) {
+                return cb(err);
+            }
+            if (!ctx) {
+                return cb(null, false, state);
+            }
+            if (!ctx.logout) {
+                return cb(null, false, {
+                    message: "Invalid logout request state.",
+                });
+            }
+            cb(null, true, state);
+        });
+    } catch (ex) {
+        return cb(ex);
+    }
+};
+
+/**
+ * Create a middleware that serves the client's public keys as a JWK Set.
+ *
+ * The set holds the public portion of `privateKey` and `clientKeys`, for the
+ * provider to verify client assertions and encrypt tokens to the client with.
+ * Register the URL the middleware is mounted at as the client's `jwks_uri`.
+ * Requests other than `GET` and `HEAD` are answered with 405.
+ *
+ * @returns {function(http.IncomingMessage, http.ServerResponse): void}
+ * @see https://www.rfc-editor.org/rfc/rfc7591#section-2
+ * @public
+ */
+Strategy.prototype.jwksHandler = function () {
+    const self = this;
+
+    return function jwksHandler(req, res) {
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.statusCode = 405;
+            res.setHeader("Allow", "GET, HEAD");
+            return res.end();
+        }
+
+        res.statusCode = 200;
+        res.setHeader("Content-Type", "application/jwk-set+json");
+        res.setHeader("Cache-Control", "public, max-age=300");
+        if (req.method === "HEAD") {
+            return res.end();
+        }
+        res.end(JSON.stringify(self._keyStore.toJWKS()));
+    };
+};
+
+/**
+ * Create a middleware that handles front-channel logout requests.
+ *
+ * The OpenID provider renders this middleware's URL in an iframe when the
+ * user's session at the provider ends.  When the request carries `iss` and
+ * `sid` parameters, they must identify the provider and the provider session
+ * captured from the ID token at login.  The login is then cleared from the
+ * session.  Requests without either parameter clear the login unconditionally.
+ *
+ * The middleware responds with 200 once the login is cleared, or with 400 if
+ * the parameters do not match the login.
+ *
+ * @returns {function(http.IncomingMessage, http.ServerResponse, Function): void}
+ * @see https://openid.net/specs/openid-connect-frontchannel-1_0.html
+ * @public
+ */
+Strategy.prototype.frontchannelLogout = function () {
+    const self = this;
+
+    function respond(res, status) {
+        res.statusCode = status;
+        res.setHeader("Cache-Control", "no-cache, no-store");
+        res.setHeader("Pragma", "no-cache");
+        res.end();
+    }
+
+    return function frontchannelLogout(req, res, next) {
+        if (!req.session) {
+            return next(
+                new Error(
+                    "OpenID Connect requires session support. Did you forget to use `express-session` middleware?"
+                )
+            );
+        }
+
+        const query = req.query || url.parse(req.url || "", true).query;
+        const key = self._sessionKey;
+        const login = req.session[key];
+
+        if (query.iss !== undefined || query.sid !== undefined) {
+            if (!self._validIssuer(query.iss)) {
+                return respond(res, 400);
+            }
+            if (!login || !login.sid || login.sid !== query.sid) {
+                return respond(res, 400);
+            }
+        }
+
+        if (login) {
+            delete login.sid;
+            if (Object.keys(login).length === 0) {
+                delete req.session[key];
+            }
+        }
+        if (req.session.passport) {
+            delete req.session.passport.user;
+        }
+
+        respond(res, 200);
+    };
+};
+
+/**
+ * Create a middleware that handles back-channel logout requests.
+ *
+ * The OpenID provider POSTs a `logout_token` to this middleware when the user's
+ * session at the provider ends.  Once the token is validated, `callback` is
+ * invoked with its claims, of which `sid` and/or `sub` identify the sessions
+ * the application should end.  The middleware then responds with 200, or 400
+ * if the token is invalid.  Errors are passed on to `next`.
+ *
+ * The callback is invoked as `callback(claims, done)`, or as
+ * `callback(req, claims, done)` when it accepts three arguments.
+ *
+ * @param {BackchannelLogoutCallback} callback
+ * @returns {function(http.IncomingMessage, http.ServerResponse, Function): void}
+ * @see https://openid.net/specs/openid-connect-backchannel-1_0.html
+ * @public
+ */
+Strategy.prototype.backchannelLogout = function (callback) {
+    if (typeof callback !== "function") {
+        throw new TypeError("Back-channel logout requires a callback function");
+    }
+    const self = this;
+
+    function reject(res, description) {
+        res.statusCode = 400;
+        res.setHeader("Content-Type", "application/json");
+        res.setHeader("Cache-Control", "no-store");
+        res.end(
+            JSON.stringify({
+                error: "invalid_request",
+                error_description: description,
+            })
+        );
+    }
+
+    return function backchannelLogout(req, res, next) {
+        if (self._discovery.required && !self.metadata) {
+            return self.discover(function (err) {
+                if (err) {
+                    return next(err);
+                }
+                backchannelLogout(req, res, next);
+            });
+        }
+
+        utils.parseForm(req, function (err, form) {
+            if (err) {
+                return next(err);
+            }
+            if (!form.logout_token) {
+                return reject(res, "Missing logout_token parameter.");
+            }
+
+            self._validateLogoutToken(
+                form.logout_token,
+                function (err, claims, info) {
+                    if (err) {
+                        return next(err);
+                    }
+                    if (!claims) {
+                        return reject(res, info.message);
+                    }
+
+                    // Forget the token when the logout fails, so that the
+                    // provider can retry it.
+                    function failed(err) {
+                        if (typeof self._replayStore.remove !== "function") {
+                            return next(err);
+                        }
+                        self._replayStore.remove(replayId(claims), function () {
+                            next(err);
+                        });
+                    }
+
+                    function done(err) {
+                        if (err) {
+                            return failed(err);
+                        }
+                        res.statusCode = 200;
+                        res.setHeader("Cache-Control", "no-store");
+                        res.end();
+                    } // done
+
+                    try {
+                        if (callback.length >= 3) {
+                            callback(req, claims, done);
+                        } else {
+                            callback(claims, done);
+                        }
+                    } catch (ex) {
+                        return failed(ex);
+                    }
+                }
+            );
+        });
+    };
+};
+
+/**
+ * Callback invoked with the claims of a valid logout token.
+ *
+ * @typedef {{
+ *  (claims: any, done: (err?: Error | null) => void): void;
+ *  (req: http.IncomingMessage, claims: any, done: (err?: Error | null) => void): void;
+ * }} BackchannelLogoutCallback
+ */
+
+/**
+ * Obtain new tokens with a refresh token.
+ *
+ * A new ID token returned by the provider is validated like the one obtained at
+ * login.  When the original ID token is given as `options.idToken`, the new one
+ * must also be about the same user and authentication.
+ *
+ * Returns a promise when no callback is given.
+ *
+ * @param {string} refreshToken
+ * @param {RefreshOptions} [options]
+ * @param {RefreshCallback} [cb]
+ * @returns {Promise<RefreshResult> | void}
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#RefreshTokens
+ * @public
+ */
+Strategy.prototype.refresh = function (refreshToken, options, cb) {
+    if (typeof options === "function") {
+        cb = options;
+        options = undefined;
+    }
+    options = options || {};
+    const self = this;
+
+    if (!cb) {
+        return promised(function (cb) {
+            self.refresh(refreshToken, options, cb);
+        });
+    }
+
+    if (!refreshToken) {
+        return cb(new TypeError("refresh() requires a refresh token"));
+    }
+    if (this._discovery.required && !this.metadata) {
+        return this.discover(function (err) {
+            if (err) {
+                return cb(err);
+            }
+            self.refresh(refreshToken, options, cb);
+        });
+    }
+
+    const params = { grant_type: "refresh_token" };
+    if (options.scope) {
+        params.scope = Array.isArray(options.scope)
+            ? options.scope.join(" ")
+            : options.scope;
+    }
+
+    let dpop;
+    try {
+        dpop = this._dpopKey(options.req);
+    } catch (ex) {
+        return cb(ex);
+    }
+
+    this._oauth2.getOAuthAccessToken(
+        refreshToken,
+        params,
+        { dpop: dpop },
+        function (err, accessToken, newRefreshToken, params) {
+            if (err) {
+                return cb(tokenError(err, "Failed to refresh access token"));
+            }
+
+            /** @type {RefreshResult} */
+            const result = {
+                accessToken: accessToken,
+                refreshToken: newRefreshToken || refreshToken,
+                idToken: params.id_token,
+                tokenType: params.token_type,
+                params: params,
+            };
+            if (params.expires_in) {
+                result.expiresIn = Number(params.expires_in);
+                result.expiresAt = new Date(
+                    Date.now() + result.expiresIn * 1000
+                );
+            }
+
+            if (!result.idToken) {
+                return cb(null, result);
+            }
+            self._validateRefreshedIdToken(
+                result.idToken,
+                options.idToken,
+                function (err, claims, info) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    if (!claims) {
+                        return cb(new Error(info.message));
+                    }
+                    result.claims = claims;
+                    cb(null, result);
+                }
+            );
+        }
+    );
+};
+
+/**
+ * Options available to pass to {@link Strategy.refresh}.
+ *
+ * @typedef {Object} RefreshOptions
+ * @prop {string} [idToken] - ID token obtained at login, that a refreshed ID token must match
+ * @prop {string | string[]} [scope] - scope to request, which must not exceed the original scope
+ * @prop {http.IncomingMessage} [req] - request of the login session, whose DPoP key the tokens are bound to when the `dpop.session` option is set
+ */
+
+/**
+ * Tokens obtained with a refresh token.
+ *
+ * @typedef {Object} RefreshResult
+ * @prop {string} accessToken
+ * @prop {string} refreshToken - the new refresh token, or the one used if the provider did not rotate it
+ * @prop {string} [idToken]
+ * @prop {Object} [claims] - validated claims of the ID token
+ * @prop {string} [tokenType]
+ * @prop {number} [expiresIn] - lifetime of the access token in seconds
+ * @prop {Date} [expiresAt] - time the access token expires
+ * @prop {Object} params - all parameters of the token response
+ */
+
+/**
+ * Callback with the tokens obtained with a refresh token.
+ *
+ * @callback RefreshCallback
+ * @param {Error | null} err
+ * @param {RefreshResult} [result]
+ * @returns {void}
+ */
+
+/**
+ * Revoke an access or refresh token at the provider.
+ *
+ * The provider responds successfully even if the token was already invalid, so
+ * the callback receives no result.  Returns a promise when no callback is given.
+ *
+ * @param {string} token - access or refresh token to revoke
+ * @param {Object} [options]
+ * @param {string} [options.tokenTypeHint] - `access_token` or `refresh_token`
+ * @param {function(Error | null): void} [cb]
+ * @returns {Promise<void> | void}
+ * @see https://www.rfc-editor.org/rfc/rfc7009
+ * @public
+ */
+Strategy.prototype.revoke = function (token, options, cb) {
+    if (typeof options === "function") {
+        cb = options;
+        options = undefined;
+    }
+    options = options || {};
+    const self = this;
+
+    if (!cb) {
+        return promised(function (cb) {
+            self.revoke(token, options, cb);
+        });
+    }
+
+    if (!token) {
+        return cb(new TypeError("revoke() requires a token"));
+    }
+    if (!this._revocationURL && !this.metadata) {
+        return this.discover(function (err) {
+            if (err) {
+                return cb(err);
+            }
+            self.revoke(token, options, cb);
+        });
+    }
+    if (!this._revocationURL) {
+        return cb(
+            new Error("OpenID provider does not support token revocation")
+        );
+    }
+
+    const params = { token: token };
+    if (options.tokenTypeHint) {
+        params.token_type_hint = options.tokenTypeHint;
+    }
+
+    this._clientRequest(this._revocationURL, params, function (err) {
+        if (err) {
+            return cb(tokenError(err, "Failed to revoke token"));
+        }
+        cb(null);
+    });
+};
+
+/**
+ * Query the provider for the state of an access or refresh token.
+ *
+ * The result is the provider's introspection response, of which `active` tells
+ * whether the token is still valid.  Returns a promise when no callback is
+ * given.
+ *
+ * @param {string} token - access or refresh token to introspect
+ * @param {Object} [options]
+ * @param {string} [options.tokenTypeHint] - `access_token` or `refresh_token`
+ * @param {IntrospectCallback} [cb]
+ * @returns {Promise<IntrospectionResult> | void}
+ * @see https://www.rfc-editor.org/rfc/rfc7662
+ * @public
+ */
+Strategy.prototype.introspect = function (token, options, cb) {
+    if (typeof options === "function") {
+        cb = options;
+        options = undefined;
+    }
+    options = options || {};
+    const self = this;
+
+    if (!cb) {
+        return promised(function (cb) {
+            self.introspect(token, options, cb);
+        });
+    }
+
+    if (!token) {
+        return cb(new TypeError("introspect() requires a token"));
+    }
+    if (!this._introspectionURL && !this.metadata) {
+        return this.discover(function (err) {
+            if (err) {
+                return cb(err);
+            }
+            self.introspect(token, options, cb);
+        });
+    }
+    if (!this._introspectionURL) {
+        return cb(
+            new Error("OpenID provider does not support token introspection")
+        );
+    }
+
+    const params = { token: token };
+    if (options.tokenTypeHint) {
+        params.token_type_hint = options.tokenTypeHint;
+    }
+
+    this._clientRequest(
+        this._introspectionURL,
+        params,
+        function (err, body, res) {
+            if (!err && res && res.statusCode !== 200) {
+                err = { statusCode: res.statusCode, data: body };
+            }
+            if (err) {
+                return cb(
+                    new InternalOAuthError("Failed to introspect token", err)
+                );
+            }
+
+            let json;
+            try {
+                json = JSON.parse(body);
+            } catch (ex) {
+                return cb(
+                    new InternalOAuthError(
+                        "Failed to parse introspection response",
+                        ex
+                    )
+                );
+            }
+            if (!json || typeof json.active !== "boolean") {
+                return cb(
+                    new InternalOAuthError(
+                        "Introspection response missing active member",
+                        { data: body }
+                    )
+                );
+            }
+
+            cb(null, json);
+        }
+    );
+};
+
+/**
+ * Introspection response of the provider.
+ *
+ * @typedef {Object} IntrospectionResult
+ * @prop {boolean} active - true if the token is valid
+ * @prop {string} [scope]
+ * @prop {string} [client_id]
+ * @prop {string} [username]
+ * @prop {string} [token_type]
+ * @prop {number} [exp]
+ * @prop {number} [iat]
+ * @prop {number} [nbf]
+ * @prop {string} [sub]
+ * @prop {string | string[]} [aud]
+ * @prop {string} [iss]
+ * @prop {string} [jti]
+ */
+
+/**
+ * Callback with the introspection response.
+ *
+ * @callback IntrospectCallback
+ * @param {Error | null} err
+ * @param {IntrospectionResult} [result]
+ * @returns {void}
+ */
+
+/**
+ * Create a DPoP proof for a request the application makes with a DPoP-bound
+ * access token, such as to its own APIs.
+ *
+ * The proof is signed with the strategy's DPoP key, or with the key of the
+ * login session given as `options.req` when the `dpop.session` option is set.
+ * When the resource server responds with a `use_dpop_nonce` error, create a new
+ * proof with the nonce of its `DPoP-Nonce` header.
+ *
+ * @param {string} method - HTTP method of the request
+ * @param {string} uri - URL of the request
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - access token sent with the request
+ * @param {string} [options.nonce] - nonce provided by the resource server
+ * @param {http.IncomingMessage} [options.req] - request of the login session
+ * @returns {string}
+ * @throws {Error} when DPoP is not enabled, or the session has no DPoP key
+ * @see https://www.rfc-editor.org/rfc/rfc9449#section-7
+ * @public
+ */
+Strategy.prototype.dpopProof = function (method, uri, options) {
+    options = options || {};
+
+    const dpop = this._dpopKey(options.req);
+    if (!dpop) {
+        throw new TypeError("dpop option is required to create DPoP proofs");
+    }
+    return dpop.proof(method, uri, {
+        accessToken: options.accessToken,
+        nonce: options.nonce,
+    });
+};
+
+/**
+ * Store of dynamically registered clients.
+ *
+ * `save` is called with the registration whenever it is created or changes,
+ * and must keep it along with its secrets.  If the store has a `load` method,
+ * `Strategy.register()` uses the registration it yields for the issuer instead
+ * of registering a new client.
+ *
+ * @typedef {Object} RegistrationStore
+ * @prop {function(string, function(Error | null, ClientRegistration=): void): void} [load]
+ * @prop {function(string, ClientRegistration, function(Error | null): void): void} save
+ */
+
+/**
+ * Client information returned by the provider's registration endpoint.  It
+ * holds the registered client metadata along with the members listed.
+ *
+ * @typedef {Object} ClientRegistration
+ * @prop {string} client_id
+ * @prop {string} [client_secret]
+ * @prop {string} [registration_access_token] - token to read and update the registration with
+ * @prop {string} [registration_client_uri] - location of the registration
+ * @prop {string[]} [redirect_uris]
+ * @prop {string} [token_endpoint_auth_method]
+ * @see https://www.rfc-editor.org/rfc/rfc7591#section-3.2.1
+ */
+
+/**
+ * Callback with a strategy for a registered client.
+ *
+ * @callback RegisterCallback
+ * @param {Error | null} err
+ * @param {Strategy} [strategy]
+ * @returns {void}
+ */
+
+/**
+ * Callback with the client registration.
+ *
+ * @callback RegistrationCallback
+ * @param {Error | null} err
+ * @param {ClientRegistration} [registration]
+ * @returns {void}
+ */
+
+/**
+ * Register a client at the provider's registration endpoint and create a
+ * strategy for it.
+ *
+ * The endpoint is discovered from the issuer's metadata.  `redirect_uris`
+ * defaults to `options.callbackURL`, and `token_endpoint_auth_method` to
+ * `options.tokenEndpointAuthMethod`.  The registration is saved to
+ * `options.registrationStore`, and the strategy is created with `options`,
+ * taking `clientID`, `clientSecret` and any missing `tokenEndpointAuthMethod`
+ * and `callbackURL` from the registration, which it exposes as
+ * `strategy.registration`.  Returns a promise when no callback is given.
+ *
+ * @param {string} issuer - issuer identifier of the provider
+ * @param {Object} metadata - client metadata to register
+ * @param {Object} options - options of the strategy
+ * @param {string} [options.initialAccessToken] - token authorizing the registration, if the provider requires one
+ * @param {RegistrationStore} [options.registrationStore] - store the registration is saved to
+ * @param {VerifyFunction} verify
+ * @param {RegisterCallback} [cb]
+ * @returns {Promise<Strategy> | void}
+ * @see https://www.rfc-editor.org/rfc/rfc7591
+ * @see https://openid.net/specs/openid-connect-registration-1_0.html
+ * @public
+ */
+Strategy.register = function (issuer, metadata, options, verify, cb) {
+    options = options || {};
+
+    if (!cb) {
+        return promised(function (cb) {
+            Strategy.register(issuer, metadata, options, verify, cb);
+        });
+    }
+
+    if (!issuer) {
+        return cb(new TypeError("register() requires an issuer"));
+    }
+
+    const store = options.registrationStore;
+    const oauth2 = new OAuth2(
+        "",
+        undefined,
+        "",
+        undefined,
+        undefined,
+        options.customHeaders
+    );
+    if (options.agent) {
+        oauth2.setAgent(options.agent);
+    }
+
+    discovery.discover(issuer, oauth2, function (err, providerMetadata) {
+        if (err) {
+            return cb(err);
+        }
+
+        function created(registration) {
+            let strategy;
+            try {
+                strategy = new Strategy(
+                    Object.assign({}, options, {
+                        issuer: issuer,
+                        clientID: registration.client_id,
+                        clientSecret: registration.client_secret,
+                        // https://www.rfc-editor.org/rfc/rfc7591#section-2
+                        tokenEndpointAuthMethod:
+                            options.tokenEndpointAuthMethod ||
+                            registration.token_endpoint_auth_method ||
+                            "client_secret_basic",
+                        callbackURL:
+                            options.callbackURL ||
+                            (registration.redirect_uris || [])[0],
+                    }),
+                    verify
+                );
+            } catch (ex) {
+                return cb(ex);
+            }
+            const error = strategy._configure(providerMetadata);
+            if (error) {
+                return cb(error);
+            }
+            strategy.registration = registration;
+            strategy._registrationStore = store;
+            cb(null, strategy);
+        }
+
+        function loaded(err, registration) {
+            if (err) {
+                return cb(err);
+            }
+            if (registration) {
+                return created(registration);
+            }
+            if (!providerMetadata.registration_endpoint) {
+                return cb(
+                    new Error(
+                        "OpenID provider does not support dynamic client registration"
+                    )
+                );
+            }
+
+            const body = Object.assign({}, metadata);
+            if (!body.redirect_uris && options.callbackURL) {
+                body.redirect_uris = [options.callbackURL];
+            }
+            if (
+                !body.token_endpoint_auth_method &&
+                options.tokenEndpointAuthMethod
+            ) {
+                body.token_endpoint_auth_method =
+                    options.tokenEndpointAuthMethod;
+            }
+
+            registrationRequest(
+                oauth2,
+                "POST",
+                providerMetadata.registration_endpoint,
+                options.initialAccessToken,
+                body,
+                "Failed to register client",
+                function (err, registration) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    if (!store) {
+                        return created(registration);
+                    }
+                    store.save(issuer, registration, function (err) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        created(registration);
+                    });
+                }
+            );
+        }
+
+        if (store && store.load) {
+            return store.load(issuer, loaded);
+        }
+        loaded(null);
+    });
+};
+
+/**
+ * Read the client's registration from the provider.
+ *
+ * The strategy must have been created by `Strategy.register()`, with a
+ * provider that supports registration management.  `strategy.registration`
+ * is updated with the response, and saved to the registration store.  Returns
+ * a promise when no callback is given.
+ *
+ * @param {RegistrationCallback} [cb]
+ * @returns {Promise<ClientRegistration> | void}
+ * @see https://www.rfc-editor.org/rfc/rfc7592#section-2.1
+ * @public
+ */
+Strategy.prototype.readRegistration = function (cb) {
+    const self = this;
+
+    if (!cb) {
+        return promised(function (cb) {
+            self.readRegistration(cb);
+        });
+    }
+
+    const err = this._checkRegistration("readRegistration");
+    if (err) {
+        return cb(err);
+    }
+
+    registrationRequest(
+        this._oauth2,
+        "GET",
+        this.registration.registration_client_uri,
+        this.registration.registration_access_token,
+        null,
+        "Failed to read client registration",
+        function (err, registration) {
+            if (err) {
+                return cb(err);
+            }
+            self._updateRegistration(registration, cb);
+        }
+    );
+};
+
+/**
+ * Members of the client registration managed by the provider, which must not
+ * be sent in update requests.
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc7592#section-2.2
+ */
+const REGISTRATION_SERVER_MEMBERS = [
+    "registration_access_token",
+    "registration_client_uri",
+    "client_secret_expires_at",
+    "client_id_issued_at",
+];
+
+/**
+ * Update the client's registration at the provider.
+ *
+ * The given metadata replaces the registered metadata of the same name, other
+ * registered metadata is sent unchanged as the provider would otherwise remove
+ * it.  The provider may issue a new client secret or registration access
+ * token, which the strategy then uses.  `strategy.registration` is updated
+ * with the response, and saved to the registration store.  Returns a promise
+ * when no callback is given.
+ *
+ * @param {Object} metadata - client metadata to change
+ * @param {RegistrationCallback} [cb]
+ * @returns {Promise<ClientRegistration> | void}
+ * @see https://www.rfc-editor.org/rfc/rfc7592#section-2.2
+ * @public
+ */
+Strategy.prototype.updateRegistration = function (metadata, cb) {
+    const self = this;
+
+    if (!cb) {
+        return promised(function (cb) {
+            self.updateRegistration(metadata, cb);
+        });
+    }
+
+    const err = this._checkRegistration("updateRegistration");
+    if (err) {
+        return cb(err);
+    }
+
+    const body = Object.assign({}, this.registration, metadata, {
+        client_id: this.registration.client_id,
+    });
+    REGISTRATION_SERVER_MEMBERS.forEach(function (name) {
+        delete body[name];
+    });
+
+    registrationRequest(
+        this._oauth2,
+        "PUT",
+        this.registration.registration_client_uri,
+        this.registration.registration_access_token,
+        body,
+        "Failed to update client registration",
+        function (err, registration) {
+            if (err) {
+                return cb(err);
+            }
+            self._updateRegistration(registration, cb);
+        }
+    );
+};
+
+/**
+ * Response modes of JWT secured authorization responses.
+ *
+ * @see https://openid.net/specs/oauth-v2-jarm.html#name-response-modes
+ */
+const JARM_RESPONSE_MODES = [
+    "jwt",
+    "query.jwt",
+    "form_post.jwt",
+    "fragment.jwt",
+];
+
+/**
+ * Verify a JWT secured authorization response and extract its parameters.
+ *
+ * The response must be signed by the provider, may be encrypted to the client,
+ * and must be issued to this client and not have expired.  Since it arrives
+ * through the user agent, responses that are malformed or missing claims are
+ * rejected rather than treated as errors.
+ *
+ * @param {string} token - the `response` parameter
+ * @param {ValidateTokenCallback} cb - callback with the authorization response parameters
+ * @returns {void}
+ * @see https://openid.net/specs/oauth-v2-jarm.html#name-processing-rules
+ * @api private
+ */
+Strategy.prototype._verifyAuthorizationResponse = function (token, cb) {
+    const self = this;
+    const label = "Authorization response";
+
+    try {
+        (jwe.isJWE(token) ? jwe : jose).decode(token);
+    } catch (ex) {
+        return cb(null, false, {
+            message: "Malformed authorization response.",
+        });
+    }
+
+    const options = {
+        label: label,
+        alg: this._authorizationSignedResponseAlg,
+        required: true,
+        encAlg: this._authorizationEncryptedResponseAlg,
+        encEnc: this._authorizationEncryptedResponseEnc,
+    };
+    this._verifyJWT(token, options, function (err, claims, info) {
+        if (err || !claims) {
+            return cb(err, false, info);
+        }
+
+        self._validateClaims(
+            claims,
+            label,
+            ["iss", "aud", "exp"],
+            function (err, ok, info) {
+                if (err) {
+                    return cb(null, false, { message: err.message + "." });
+                }
+                if (!ok) {
+                    return cb(null, false, info);
+                }
+                cb(null, claims);
+            }
+        );
+    });
+};
+
+/**
+ * Lifetime of request objects in seconds.
+ */
+const REQUEST_OBJECT_LIFETIME = 300;
+
+/**
+ * Select the key that signs request objects with the given algorithm.
+ *
+ * `HS*` request objects are signed with the client secret, others with a
+ * signing key of the client's key store.
+ *
+ * @param {string} alg
+ * @returns {{ key: crypto.KeyObject, kid: (string | undefined) }}
+ * @throws {TypeError} when the algorithm is not supported or no key can sign with it
+ * @api private
+ */
+Strategy.prototype._requestObjectSigningKey = function (alg) {
+    if (!jose.ALGORITHMS[alg]) {
+        throw new TypeError("Unsupported request object signing alg " + alg);
+    }
+
+    if (jose.ALGORITHMS[alg].kty === "oct") {
+        const secret = this._oauth2._clientSecret;
+        if (!secret) {
+            throw new TypeError(
+                "clientSecret option is required to sign request objects with " +
+                    alg
+            );
+        }
+        return { key: jose.importSecret(secret) };
+    }
+
+    const entry = this._keyStore.filter("sig").find(function (entry) {
+        return jose.isKeyFor(entry.jwk, alg);
+    });
+    if (!entry) {
+        throw new TypeError(
+            "No private key found to sign request objects with " + alg
+        );
+    }
+    return { key: entry.key, kid: entry.jwk.kid };
+};
+
+/**
+ * Create a request object carrying the parameters of an authorization request.
+ *
+ * The request object is signed, and encrypted to a key of the provider's JWK
+ * Set when `requestObjectEncryptionAlg` is configured.
+ *
+ * @param {Object} params - authorization request parameters
+ * @param {function(Error | null, string=): void} cb - callback with the request object
+ * @returns {void}
+ * @see https://www.rfc-editor.org/rfc/rfc9101
+ * @api private
+ */
+Strategy.prototype._requestObject = function (params, cb) {
+    const self = this;
+    const now = Math.floor(Date.now() / 1000);
+
+    const header = {
+        alg: this._requestObjectSigningAlg,
+        typ: "oauth-authz-req+jwt",
+    };
+    if (this._requestObjectKey.kid) {
+        header.kid = this._requestObjectKey.kid;
+    }
+    const claims = Object.assign({}, params, {
+        iss: this._oauth2._clientId,
+        aud: this._issuer,
+        jti: crypto.randomUUID(),
+        iat: now,
+        nbf: now,
+        exp: now + REQUEST_OBJECT_LIFETIME,
+    });
+    if (this._claims) {
+        claims.claims = this._claims;
+    }
+
+    let request;
+    try {
+        request = jose.sign(header, claims, this._requestObjectKey.key);
+    } catch (ex) {
+        return cb(ex);
+    }
+
+    const alg = this._requestObjectEncryptionAlg;
+    if (!alg) {
+        return cb(null, request);
+    }
+    if (!this._jwks && !this.metadata) {
+        return this.discover(function (err) {
+            if (err) {
+                return cb(err);
+            }
+            self._requestObject(params, cb);
+        });
+    }
+    if (!this._jwks) {
+        return cb(
+            new Error("jwksURI option is required to encrypt request objects")
+        );
+    }
+
+    this._jwks.getEncryptionKeys(alg, function (err, entries) {
+        if (err) {
+            return cb(err);
+        }
+        if (entries.length === 0) {
+            return cb(
+                new Error("No key found to encrypt request object with " + alg)
+            );
+        }
+
+        const entry = entries[0];
+        const encHeader = {
+            alg: alg,
+            enc: self._requestObjectEncryptionEnc,
+            cty: "JWT",
+        };
+        if (entry.jwk.kid) {
+            encHeader.kid = entry.jwk.kid;
+        }
+        try {
+            request = jwe.encrypt(request, entry.key, encHeader);
+        } catch (ex) {
+            return cb(ex);
+        }
+        cb(null, request);
+    });
+};
+
+/**
+ * Push the parameters of an authorization request to the provider.
+ *
+ * The client authenticates as in the token request.  The provider responds with
+ * a `request_uri` that refers to the parameters in the authorization redirect.
+ *
+ * @param {Object} params - authorization request parameters
+ * @param {function(Error | null, string=): void} cb - callback with the `request_uri`
+ * @returns {void}
+ * @see https://www.rfc-editor.org/rfc/rfc9126
+ * @api private
+ */
+Strategy.prototype._pushAuthorizationRequest = function (params, cb) {
+    const self = this;
+
+    if (!this._pushedAuthorizationRequestURL && !this.metadata) {
+        return this.discover(function (err) {
+            if (err) {
+                return cb(err);
+            }
+            self._pushAuthorizationRequest(params, cb);
+        });
+    }
+    if (!this._pushedAuthorizationRequestURL) {
+        return cb(
+            new Error(
+                "OpenID provider does not support pushed authorization requests"
+            )
+        );
+    }
+
+    this._clientRequest(
+        this._pushedAuthorizationRequestURL,
+        params,
+        function (err, body) {
+            if (err) {
+                return cb(
+                    tokenError(err, "Failed to push authorization request")
+                );
+            }
+
+            let json;
+            try {
+                json = JSON.parse(body);
+            } catch (ex) {
+                return cb(
+                    new InternalOAuthError(
+                        "Failed to parse pushed authorization response",
+                        ex
+                    )
+                );
+            }
+            if (!json || typeof json.request_uri !== "string") {
+                return cb(
+                    new InternalOAuthError(
+                        "Pushed authorization response missing request_uri",
+                        { data: body }
+                    )
+                );
+            }
+
+            cb(null, json.request_uri);
+        }
+    );
+};
+
+/**
+ * POST a form to an endpoint of the provider, authenticating the client.
+ *
+ * The client authenticates the same way as in the token request made by
+ * `OAuth2#getOAuthAccessToken()`.
+ *
+ * @param {string} location - URL of the endpoint
+ * @param {Object} params - form parameters
+ * @param {function(Object | null, string=, http.IncomingMessage=): void} cb
+ * @returns {void}
+ * @api private
+ */
+Strategy.prototype._clientRequest = function (location, params, cb) {
+    const body = Object.assign({}, params);
+    const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+    this._oauth2.authenticateClient(body, headers);
+
+    this._oauth2._request(
+        "POST",
+        location,
+        headers,
+        querystring.stringify(body),
+        null,
+        cb
+    );
+};
+
+/**
+ * Check that the client's registration can be managed.
+ *
+ * @param {string} method - name of the calling method
+ * @returns {Error | undefined}
+ * @api private
+ */
+Strategy.prototype._checkRegistration = function (method) {
+    if (!this.registration) {
+        return new TypeError(
+            method + "() requires a strategy created by Strategy.register()"
+        );
+    }
+    if (
+        !this.registration.registration_client_uri ||
+        !this.registration.registration_access_token
+    ) {
+        return new Error(
+            "OpenID provider does not support client registration management"
+        );
+    }
+};
+
+/**
+ * Take over a client registration returned by the provider and save it.
+ *
+ * The provider may leave out the registration access token when it is not
+ * replaced, so the response is merged into the current registration.
+ *
+ * @param {ClientRegistration} response
+ * @param {RegistrationCallback} cb
+ * @returns {void}
+ * @api private
+ */
+Strategy.prototype._updateRegistration = function (response, cb) {
+    const self = this;
+    const registration = Object.assign({}, this.registration, response);
+    const store = this._registrationStore;
+
+    function updated(err) {
+        if (err) {
+            return cb(err);
+        }
+        self.registration = registration;
+        if (registration.client_secret) {
+            self._oauth2.setClientSecret(registration.client_secret);
+        }
+        cb(null, registration);
+    }
+
+    if (!store) {
+        return updated(null);
+    }
+    store.save(this._issuer, registration, updated);
+};
+
+/**
+ * Get the DPoP key that tokens are bound to.
+ *
+ * This is the strategy's own key, unless the `dpop.session` option is set.
+ * Each login session then has its own key, which is generated when `create`
+ * is true and kept in the session as a JWK once the login succeeds.
+ *
+ * @param {http.IncomingMessage} [req]
+ * @param {boolean} [create] - true to generate a new key for the session
+ * @returns {DPoP | undefined} undefined if DPoP is not enabled
+ * @throws {Error} when the session has no DPoP key
+ * @api private
+ */
+Strategy.prototype._dpopKey = function (req, create) {
+    if (!this._dpopSession) {
+        return this._dpop;
+    }
+
+    const key = this._sessionKey;
+    if (create) {
+        return DPoP.generate(this._dpopAlg);
+    }
+
+    const session = req && req.session && req.session[key];
+    if (!session || !session.dpop) {
+        throw new Error("DPoP key not found in session");
+    }
+    return new DPoP(session.dpop);
+};
+
+/**
+ * Fetch the UserInfo response with an access token, proving possession of the
+ * DPoP key when the token is bound to it.
+ *
+ * @param {string} accessToken
+ * @param {string} [tokenType] - `token_type` of the token response
+ * @param {DPoP} [dpop] - key the tokens were requested with
+ * @param {function(Object | null, string=, http.IncomingMessage=): void} cb
+ * @returns {void}
+ * @see https://www.rfc-editor.org/rfc/rfc9449#section-7.1
+ * @api private
+ */
+Strategy.prototype._getUserInfo = function (accessToken, tokenType, dpop, cb) {
+    if (!dpop || String(tokenType).toLowerCase() !== "dpop") {
+        return this._oauth2.get(this._userInfoURL, accessToken, cb);
+    }
+    this._oauth2.requestWithDPoP(
+        dpop,
+        "GET",
+        this._userInfoURL,
+        {},
+        "",
+        accessToken,
+        cb
+    );
+};
+
+/**
+ * Resolve a URL relative to the URL of the originating request.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {string} [location]
+ * @returns {string | undefined}
+ * @api private
+ */
+Strategy.prototype._resolveURL = function (req, location) {
+    if (location && !url.parse(location).protocol) {
+        // The URL is relative, resolve a fully qualified URL from the URL of
+        // the originating request.
+        return url.resolve(
+            utils.originalURL(req, { proxy: this._trustProxy }),
+            location
+        );
+    }
+    return location;
+};
+
+/**
+ * Return extra parameters to be included in the authorization request.
+ *
+ * Some OpenID Connect providers allow additional, non-standard parameters to be
+ * included when requesting authorization.  Since these parameters are not
+ * standardized by the OpenID Connect specification, OpenID Connect-based
+ * authentication strategies can overrride this function in order to populate
+ * these parameters as required by the provider.
+ *
+ * @param {Object} options
+ * @return {Object}
+ * @api protected
+ */
+Strategy.prototype.authorizationParams = function (options) {
+    return {};
+};
+
+/**
+ * Retrieve the OpenID provider's metadata and configure endpoints from it.
+ *
+ * Endpoints given as options are kept, only missing ones are taken from the
+ * metadata.  The metadata is retrieved once and afterwards exposed as
+ * `strategy.metadata`.  Concurrent calls share the same request, and a failed
+ * request is retried on the next call.
+ *
+ * @param {discovery.DiscoveryCallback} cb
+ * @returns {void}
+ * @see https://openid.net/specs/openid-connect-discovery-1_0.html
+ * @public
+ */
+Strategy.prototype.discover = function (cb) {
+    const state = this._discovery;
+    const strategy = state.strategy;
+
+    if (strategy.metadata) {
+        return cb(null, strategy.metadata);
+    }
+    if (state.callbacks) {
+        state.callbacks.push(cb);
+        return;
+    }
+
+    state.callbacks = [cb];
+    discovery.discover(
+        this._issuer,
+        this._oauth2,
+        { multiTenant: !!this._issuerValidator },
+        function (err, metadata) {
+            const callbacks = state.callbacks;
+            state.callbacks = null;
+
+            if (!err) {
+                err = strategy._configure(metadata) || null;
+            }
+            callbacks.forEach(function (callback) {
+                callback(err, metadata);
+            });
+        }
+    );
+};
+
+/**
+ * Fill in endpoints that were not given as options from provider metadata.
+ *
+ * The token endpoint auth method, PKCE method and ID token signing algorithm
+ * given as options must be among those the provider supports, if it lists them.
+ * Without a `tokenEndpointAuthMethod` option, `client_secret_basic` is used
+ * when the provider supports it but not the default `client_secret_post`.
+ *
+ * @param {discovery.ProviderMetadata} metadata
+ * @returns {Error | undefined} error if the provider does not support the configuration
+ * @api private
+ */
+Strategy.prototype._configure = function (metadata) {
+    const methods = metadata.token_endpoint_auth_methods_supported;
+    const method = this._oauth2._clientAuthMethod;
+    if (methods && methods.indexOf(method) === -1) {
+        if (this._tokenEndpointAuthMethod) {
+            return new Error(
+                'OpenID provider does not support token endpoint auth method "' +
+                    method +
+                    '"'
+            );
+        }
+        if (methods.indexOf("client_secret_basic") !== -1) {
+            this._oauth2.setClientAuthentication("client_secret_basic");
+        }
+    }
+    const challenges = metadata.code_challenge_methods_supported;
+    if (this._pkce && challenges && challenges.indexOf(this._pkce) === -1) {
+        return new Error(
+            'OpenID provider does not support PKCE method "' + this._pkce + '"'
+        );
+    }
+    const algs = metadata.id_token_signing_alg_values_supported;
+    const alg = this._idTokenSignedResponseAlg;
+    if (alg && algs && algs.indexOf(alg) === -1) {
+        return new Error(
+            'OpenID provider does not support ID token signing algorithm "' +
+                alg +
+                '"'
+        );
+    }
+
+    this.metadata = metadata;
+
+    // a client presenting a certificate uses the provider's mutual TLS
+    // endpoints, which are not part of the user agent's interactions
+    const endpoints = Object.assign(
+        {},
+        metadata,
+        (this._useMTLS && metadata.mtls_endpoint_aliases) || {}
+    );
+
+    this._oauth2._authorizeUrl =
+        this._oauth2._authorizeUrl || metadata.authorization_endpoint;
+    this._oauth2._accessTokenUrl =
+        this._oauth2._accessTokenUrl || endpoints.token_endpoint;
+    this._userInfoURL = this._userInfoURL || endpoints.userinfo_endpoint;
+    this._endSessionURL = this._endSessionURL || metadata.end_session_endpoint;
+    this._revocationURL = this._revocationURL || endpoints.revocation_endpoint;
+    this._introspectionURL =
+        this._introspectionURL || endpoints.introspection_endpoint;
+    this._pushedAuthorizationRequestURL =
+        this._pushedAuthorizationRequestURL ||
+        endpoints.pushed_authorization_request_endpoint;
+
+    if (!this._jwksURI && metadata.jwks_uri) {
+        this._useJWKS(metadata.jwks_uri);
+    }
+};
+
+/**
+ * Set the location of the provider's JWK Set used to verify signatures.
+ *
+ * @param {string} uri
+ * @api private
+ */
+Strategy.prototype._useJWKS = function (uri) {
+    this._jwksURI = uri;
+    this._jwks = new JWKSClient({
+        uri: uri,
+        oauth2: this._oauth2,
+        maxAge: this._jwksCacheMaxAge,
+        cooldown: this._jwksCooldown,
+    });
+};
+
+/**
+ * Validate an ID token returned by the OpenID provider.
+ *
+ * Verifies the token's signature and then its claims, following the rules of
+ * the OpenID Connect specification.
+ *
+ * @param {string} idToken - compact serialized ID token
+ * @param {SessionStateStore.SessionContext} ctx - context of the authorization request
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - true for ID tokens returned from the authorization endpoint, whose signature must be verified regardless of configuration and whose invalid claims fail authentication rather than error
+ * @param {ValidateTokenCallback} cb - callback with the claims and the JOSE header
+ * @see https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation
+ * @api private
+ */
+Strategy.prototype._validateIdToken = function (idToken, ctx, options, cb) {
+    const self = this;
+    if (typeof options === "function") {
+        cb = options;
+        options = undefined;
+    }
+
+    const verify = Object.assign(this._idTokenOptions(), options);
+    this._verifyJWT(idToken, verify, function (err, claims, header) {
+        if (err || !claims) {
+            return cb(err, false, header);
+        }
+
+        const required = ["iss", "sub", "aud", "exp", "iat"];
+        self._validateClaims(
+            claims,
+            "ID token",
+            required,
+            function (err, ok, info) {
+                // claims of a token that passed through the user agent are
+                // not the provider's fault
+                if (err && verify.required) {
+                    return cb(null, false, { message: err.message + "." });
+                }
+                if (err || !ok) {
+                    return cb(err, false, info);
+                }
+
+                // Note: https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - checks 6 and 7 are out of scope of this library.
+
+                // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 8.
+                if (
+                    ctx.maxAge &&
+                    (!claims.auth_time ||
+                        ctx.issued.valueOf() - ctx.maxAge * 1000 >
+                            claims.auth_time * 1000)
+                ) {
+                    return cb(null, false, {
+                        message:
+                            "Too much time has elapsed since last authentication.",
+                    });
+                }
+
+                if (ctx.nonce && claims.nonce !== ctx.nonce) {
+                    return cb(null, false, {
+                        message: "ID token contains invalid nonce.",
+                    });
+                }
+
+                cb(null, claims, header);
+            }
+        );
+    });
+};
+
+/**
+ * Validate the tokens returned from the authorization endpoint in the hybrid
+ * and implicit flows.
+ *
+ * The response passes through the user agent, so the signature of its ID token
+ * is always verified and the token must carry the nonce of the request.  The
+ * code and access token are bound to the ID token by its `c_hash` and
+ * `at_hash` claims.
+ *
+ * @param {Object} response - parameters of the authorization response
+ * @param {SessionStateStore.SessionContext} ctx - context of the authorization request
+ * @param {ValidateTokenCallback} cb - callback with the claims of the ID token, empty if the response has none
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#HybridAuthResponse
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#ImplicitAuthResponse
+ * @api private
+ */
+Strategy.prototype._validateResponseTokens = function (response, ctx, cb) {
+    const types = this._responseType.split(" ");
+    if (types.indexOf("code") !== -1 && !response.code) {
+        return cb(null, false, {
+            message: "Authorization response missing code.",
+        });
+    }
+    if (types.indexOf("id_token") !== -1 && !response.id_token) {
+        return cb(null, false, {
+            message: "Authorization response missing ID token.",
+        });
+    }
+    if (types.indexOf("token") !== -1 && !response.access_token) {
+        return cb(null, false, {
+            message: "Authorization response missing access token.",
+        });
+    }
+
+    if (!response.id_token) {
+        return cb(null, {});
+    }
+    if (!ctx.nonce) {
+        return cb(null, false, {
+            message: "Authorization request did not include a nonce.",
+        });
+    }
+
+    const options = { required: true };
+    this._validateIdToken(
+        response.id_token,
+        ctx,
+        options,
+        function (err, claims, header) {
+            if (err || !claims) {
+                return cb(err, false, header);
+            }
+
+            const info =
+                (response.code &&
+                    checkTokenHash(claims, header, "c_hash", response.code)) ||
+                (response.access_token &&
+                    checkTokenHash(
+                        claims,
+                        header,
+                        "at_hash",
+                        response.access_token
+                    ));
+            if (info) {
+                return cb(null, false, info);
+            }
+            cb(null, claims, header);
+        }
+    );
+};
+
+/**
+ * Names of the tokens bound to an ID token by its hash claims, as used in
+ * failure messages.
+ */
+const TOKEN_HASH_NAMES = {
+    at_hash: "access token",
+    c_hash: "code",
+};
+
+/**
+ * Check that a token matches the `at_hash` or `c_hash` claim of an ID token.
+ *
+ * @param {Object} claims - claims of the ID token
+ * @param {Object} header - JOSE header of the ID token
+ * @param {string} claim - `at_hash` or `c_hash`
+ * @param {string} token - access token or authorization code
+ * @returns {Object | undefined} details on why the token is rejected, if it is,
+ * with a `code` of `missing_at_hash`, `invalid_at_hash`, `missing_c_hash` or
+ * `invalid_c_hash` when the claim is missing or does not match
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#CodeIDToken
+ */
+function checkTokenHash(claims, header, claim, token) {
+    const name = TOKEN_HASH_NAMES[claim];
+    if (!claims[claim]) {
+        return {
+            message: "ID token missing " + name + " hash.",
+            code: "missing_" + claim,
+        };
+    }
+    if (!jose.ALGORITHMS[header.alg]) {
+        return { message: "ID token signed with unsupported algorithm." };
+    }
+    if (claims[claim] !== jose.tokenHash(token, header.alg)) {
+        return {
+            message: "ID token contains invalid " + name + " hash.",
+            code: "invalid_" + claim,
+        };
+    }
+}
+
+/**
+ * Validate an ID token returned from a refresh token grant.
+ *
+ * @param {string} idToken - compact serialized ID token
+ * @param {string} [originalIdToken] - ID token obtained at login
+ * @param {ValidateTokenCallback} cb
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#RefreshTokenResponse
+ * @api private
+ */
+Strategy.prototype._validateRefreshedIdToken = function (
+    idToken,
+    originalIdToken,
+    cb
+) {
+    const self = this;
+
+    if (jwe.isJWE(originalIdToken)) {
+        return this._decryptJWT(
+            originalIdToken,
+            { label: "ID token" },
+            function (err, decrypted, info) {
+                if (err || !decrypted) {
+                    return cb(err, false, info);
+                }
+                self._validateRefreshedIdToken(idToken, decrypted, cb);
+            }
+        );
+    }
+
+    let original;
+    if (originalIdToken) {
+        try {
+            original = jose.decode(originalIdToken).payload;
+        } catch (ex) {
+            return cb(ex);
+        }
+    }
+
+    const options = this._idTokenOptions();
+    this._verifyJWT(idToken, options, function (err, claims, info) {
+        if (err || !claims) {
+            return cb(err, false, info);
+        }
+
+        const required = ["iss", "sub", "aud", "exp", "iat"];
+        self._validateClaims(
+            claims,
+            "ID token",
+            required,
+            function (err, ok, info) {
+                if (err || !ok) {
+                    return cb(err, false, info);
+                }
+                if (!original) {
+                    return cb(null, claims);
+                }
+
+                if (claims.iss !== original.iss) {
+                    return cb(null, false, {
+                        message: "Refreshed ID token issuer does not match.",
+                    });
+                }
+                if (claims.sub !== original.sub) {
+                    return cb(null, false, {
+                        message: "Refreshed ID token subject does not match.",
+                    });
+                }
+                if (
+                    [].concat(claims.aud).sort().join(" ") !==
+                        [].concat(original.aud).sort().join(" ") ||
+                    claims.azp !== original.azp
+                ) {
+                    return cb(null, false, {
+                        message: "Refreshed ID token audience does not match.",
+                    });
+                }
+                if (
+                    original.auth_time !== undefined &&
+                    claims.auth_time !== undefined &&
+                    claims.auth_time !== original.auth_time
+                ) {
+                    return cb(null, false, {
+                        message:
+                            "Refreshed ID token authentication time does not match.",
+                    });
+                }
+
+                cb(null, claims);
+            }
+        );
+    });
+};
+
+/**
+ * Member of the `events` claim that identifies a logout token.
+ */
+const BACKCHANNEL_LOGOUT_EVENT =
+    "http://schemas.openid.net/event/backchannel-logout";
+
+/**
+ * Identifier of a logout token in the replay store.
+ *
+ * @param {Object} claims
+ * @returns {string}
+ */
+function replayId(claims) {
+    return claims.iss + " " + claims.jti;
+}
+
+/**
+ * Seconds after it is issued that a logout token is accepted and remembered to
+ * reject replays, unless its `exp` claim is later.
+ */
+const LOGOUT_TOKEN_MAX_AGE = 600;
+
+/**
+ * Seconds a logout token may be issued ahead of the local clock.
+ */
+const LOGOUT_TOKEN_CLOCK_SKEW = 60;
+
+/**
+ * Names of claims used in error messages.
+ */
+const CLAIM_NAMES = {
+    iss: "issuer",
+    sub: "subject",
+    aud: "audience",
+    exp: "expiration time",
+    iat: "issued at",
+    jti: "JWT ID",
+    events: "events",
+};
+
+/**
+ * Validate the claims common to JWTs the OpenID provider issues to this client.
+ *
+ * Checks that the `required` claims are present, that the token was issued by
+ * the expected provider to this client, and that it has not expired.
+ *
+ * @param {Object} claims
+ * @param {string} label - name of the token used in error and failure messages
+ * @param {string[]} required - claims the token must contain
+ * @param {ValidateTokenCallback} cb
+ * @see https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation
+ * @api private
+ */
+Strategy.prototype._validateClaims = function (claims, label, required, cb) {
+    for (let i = 0; i < required.length; i++) {
+        if (!claims[required[i]]) {
+            return cb(
+                new Error(
+                    label + " missing " + CLAIM_NAMES[required[i]] + " claim"
+                )
+            );
+        }
+    }
+
+    if (!(typeof claims.aud === "string" || Array.isArray(claims.aud))) {
+        return cb(
+            new Error(label + " audience claim not an array or string value")
+        );
+    }
+
+    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 1.
+    if (!this._validIssuer(claims.iss, claims)) {
+        return cb(null, false, {
+            message: label + " not issued by expected OpenID provider.",
+        });
+    }
+
+    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - checks 2 and 3.
+    if (typeof claims.aud === "string") {
+        if (claims.aud !== this._oauth2._clientId) {
+            return cb(null, false, {
+                message: label + " not intended for this relying party.",
+            });
+        }
+    } else {
+        if (claims.aud.indexOf(this._oauth2._clientId) === -1) {
+            return cb(null, false, {
+                message: label + " not intended for this relying party.",
+            });
+        }
+        if (claims.aud.length > 1 && !claims.azp) {
+            return cb(null, false, {
+                message: label + " missing authorizied party claim.",
+            });
+        }
+    }
+
+    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 4.
+    if (claims.azp && claims.azp !== this._oauth2._clientId) {
+        return cb(null, false, {
+            message: label + " not issued to this relying party.",
+        });
+    }
+
+    // Possible TODO: Add accounting for some clock skew.
+    // https://openid.net/specs/openid-connect-basic-1_0.html#IDTokenValidation - check 5.
+    if (claims.exp && claims.exp <= Date.now() / 1000) {
+        return cb(null, false, { message: label + " has expired." });
+    }
+
+    cb(null, true);
+};
+
+/**
+ * Check that a token was issued by the expected OpenID provider.
+ *
+ * The issuer must equal the `issuer` option, unless an issuer validator is
+ * configured for a multi-tenant provider.  Values an issuer template captures
+ * must then match the claims of the same name, such as `tid`.  With
+ * `allowedTenants`, the tenant must be listed.  Without claims, as for
+ * front-channel logout requests, the tenant is only known from a template.
+ *
+ * @param {string} iss
+ * @param {Object} [claims]
+ * @returns {boolean}
+ * @api private
+ */
+Strategy.prototype._validIssuer = function (iss, claims) {
+    claims = claims || {};
+    if (typeof iss !== "string") {
+        return false;
+    }
+
+    const validator = this._issuerValidator;
+    let tenant = claims.tid;
+    if (typeof validator === "function") {
+        if (!validator(iss, claims)) {
+            return false;
+        }
+    } else if (validator) {
+        const match = validator.regexp.exec(iss);
+        if (!match) {
+            return false;
+        }
+        for (let i = 0; i < validator.names.length; i++) {
+            const name = validator.names[i];
+            if (claims[name] !== undefined && claims[name] !== match[i + 1]) {
+                return false;
+            }
+            if (name === "tid") {
+                tenant = match[i + 1];
+            }
+        }
+    } else if (iss !== this._issuer) {
+        return false;
+    }
+
+    return !this._allowedTenants || this._allowedTenants.indexOf(tenant) !== -1;
+};
+
+/**
+ * Validate a logout token received through back-channel logout.
+ *
+ * The token is validated like an ID token, must carry the back-channel logout
+ * event, identify a session or subject, be issued recently and must not have
+ * been used before.
+ *
+ * Since the token is sent by the provider rather than obtained from it, tokens
+ * that are malformed or missing claims are rejected rather than treated as
+ * errors.
+ *
+ * @param {string} logoutToken - compact serialized logout token
+ * @param {ValidateTokenCallback} cb
+ * @see https://openid.net/specs/openid-connect-backchannel-1_0.html#Validation
+ * @api private
+ */
+Strategy.prototype._validateLogoutToken = function (logoutToken, cb) {
+    const self = this;
+
+    try {
+        jose.decode(logoutToken);
+    } catch (ex) {
+        return cb(null, false, { message: "Malformed logout token." });
+    }
+
+    const options = {
+        label: "Logout token",
+        alg: this._idTokenSignedResponseAlg,
+        required: true,
+    };
+    this._verifyJWT(logoutToken, options, function (err, claims, info) {
+        if (err || !claims) {
+            return cb(err, false, info);
+        }
+
+        const required = ["iss", "aud", "iat", "jti", "events"];
+        self._validateClaims(
+            claims,
+            "Logout token",
+            required,
+            function (err, ok, info) {
+                if (err) {
+                    return cb(null, false, { message: err.message + "." });
+                }
+                if (!ok) {
+                    return cb(null, false, info);
+                }
+
+                const event = claims.events[BACKCHANNEL_LOGOUT_EVENT];
+                if (!event || typeof event !== "object") {
+                    return cb(null, false, {
+                        message:
+                            "Logout token missing back-channel logout event.",
+                    });
+                }
+                if (!claims.sub && !claims.sid) {
+                    return cb(null, false, {
+                        message:
+                            "Logout token missing subject and session ID claims.",
+                    });
+                }
+                if (claims.nonce !== undefined) {
+                    return cb(null, false, {
+                        message: "Logout token must not contain a nonce.",
+                    });
+                }
+
+                // Tokens must be fresh, as they are only remembered for a
+                // limited time.
+                const now = Date.now() / 1000;
+                if (typeof claims.iat !== "number") {
+                    return cb(null, false, {
+                        message: "Logout token issued at claim not a number.",
+                    });
+                }
+                if (claims.iat > now + LOGOUT_TOKEN_CLOCK_SKEW) {
+                    return cb(null, false, {
+                        message: "Logout token issued in the future.",
+                    });
+                }
+                if (claims.iat + LOGOUT_TOKEN_MAX_AGE <= now) {
+                    return cb(null, false, {
+                        message: "Logout token is too old.",
+                    });
+                }
+
+                const expires =
+                    Math.max(
+                        claims.exp || 0,
+                        claims.iat + LOGOUT_TOKEN_MAX_AGE
+                    ) * 1000;
+                self._replayStore.verify(
+                    replayId(claims),
+                    new Date(expires),
+                    function (err, fresh) {
+                        if (err) {
+                            return cb(err);
+                        }
+                        if (!fresh) {
+                            return cb(null, false, {
+                                message: "Logout token has already been used.",
+                            });
+                        }
+                        cb(null, claims);
+                    }
+                );
+            }
+        );
+    });
+};
+
+/**
+ * Options to verify ID tokens with.
+ *
+ * @returns {Object}
+ * @api private
+ */
+Strategy.prototype._idTokenOptions = function () {
+    return {
+        label: "ID token",
+        alg: this._idTokenSignedResponseAlg,
+        encAlg: this._idTokenEncryptedResponseAlg,
+        encEnc: this._idTokenEncryptedResponseEnc,
+    };
+};
+
+/**
+ * Decode a JWT issued by the OpenID provider, decrypting it if it is a JWE, and
+ * verify its signature.
+ *
+ * The signature of a decrypted token is always verified, since anyone may
+ * encrypt a token to the client's public key.
+ *
+ * @param {string} token - compact serialized JWS or JWE
+ * @param {Object} options
+ * @param {string} options.label - name of the token used in failure messages
+ * @param {string} [options.alg] - expected `alg` header value
+ * @param {boolean} [options.required] - true if the signature must be verified regardless of configuration
+ * @param {string} [options.encAlg] - expected JWE `alg` header value. If defined, the token must be encrypted.
+ * @param {string} [options.encEnc] - expected JWE `enc` header value
+ * @param {ValidateTokenCallback} cb
+ * @api private
+ */
+Strategy.prototype._verifyJWT = function (token, options, cb) {
+    const self = this;
+
+    if (jwe.isJWE(token)) {
+        return this._decryptJWT(token, options, function (err, jws, info) {
+            if (err || !jws) {
+                return cb(err, false, info);
+            }
+            const nested = Object.assign({}, options, { required: true });
+            self._verifyJWS(jws, nested, cb);
+        });
+    }
+    if (options.encAlg) {
+        return cb(null, false, {
+            message: options.label + " is not encrypted.",
+        });
+    }
+    this._verifyJWS(token, options, cb);
+};
+
+/**
+ * Decrypt a JWE issued by the OpenID provider with the client's keys.
+ *
+ * @param {string} token - compact serialized JWE
+ * @param {Object} options
+ * @param {string} options.label - name of the token used in failure messages
+ * @param {string} [options.encAlg] - expected `alg` header value
+ * @param {string} [options.encEnc] - expected `enc` header value
+ * @param {function(Error | null, (string | false)=, Object=): void} cb - callback with the plaintext
+ * @see https://www.rfc-editor.org/rfc/rfc7516#section-5.2
+ * @api private
+ */
+Strategy.prototype._decryptJWT = function (token, options, cb) {
+    const label = options.label;
+
+    let encrypted;
+    try {
+        encrypted = jwe.decode(token);
+    } catch (ex) {
+        return cb(null, false, { message: label + " is malformed." });
+    }
+
+    const header = encrypted.header;
+    if (
+        (options.encAlg && header.alg !== options.encAlg) ||
+        (options.encEnc && header.enc !== options.encEnc)
+    ) {
+        return cb(null, false, {
+            message: label + " encrypted with unexpected algorithm.",
+        });
+    }
+    if (!jwe.ALGORITHMS[header.alg] || !jwe.ENCRYPTIONS[header.enc]) {
+        return cb(null, false, {
+            message: label + " encrypted with unsupported algorithm.",
+        });
+    }
+
+    const entries = this._keyStore.filter("enc");
+    if (entries.length === 0) {
+        return cb(
+            new Error("clientKeys option is required to decrypt " + label)
+        );
+    }
+    const keys = entries.filter(function (entry) {
+        if (header.kid && entry.jwk.kid !== header.kid) {
+            return false;
+        }
+        return jwe.isKeyFor(entry.jwk, header.alg);
+    });
+    if (keys.length === 0) {
+        return cb(null, false, {
+            message: "No key found to decrypt " + label + ".",
+        });
+    }
+
+    let plaintext;
+    keys.some(function (entry) {
+        try {
+            plaintext = jwe.decrypt(encrypted, entry.key);
+            return true;
+        } catch (ex) {
+            // try the next key, a key of the wrong type simply does not decrypt
+            return false;
+        }
+    });
+    if (!plaintext) {
+        return cb(null, false, {
+            message: label + " could not be decrypted.",
+        });
+    }
+
+    cb(null, plaintext.toString());
+};
+
+/**
+ * Decode a JWS issued by the OpenID provider and verify its signature.
+ *
+ * HMAC signatures are verified with the client secret, other signatures
+ * against the provider's JWK Set.  Without a JWK Set, verification fails with an
+ * error unless `skipSignatureVerification` is set, in which case a token for
+ * which no algorithm is expected and verification is not required is trusted
+ * on the strength of the TLS connection it was received over, as permitted for
+ * the authorization code flow.
+ *
+ * @param {string} token - compact serialized JWS
+ * @param {Object} options
+ * @param {string} options.label - name of the token used in failure messages
+ * @param {string} [options.alg] - expected `alg` header value
+ * @param {boolean} [options.required] - true if the signature must be verified regardless of configuration
+ * @param {ValidateTokenCallback} cb
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation
+ * @api private
+ */
+Strategy.prototype._verifyJWS = function (token, options, cb) {
+    const label = options.label;
+
+    let jwt;
+    try {
+        jwt = jose.decode(token);
+    } catch (ex) {
+        return cb(null, false, { message: label + " is malformed." });
+    }
+
+    const alg = jwt.header.alg;
+    const hmac = !!jose.ALGORITHMS[alg] && jose.ALGORITHMS[alg].kty === "oct";
+    if (
+        this._skipSignatureVerification &&
+        !this._jwks &&
+        !options.alg &&
+        !options.required &&
+        !hmac
+    ) {
+        return cb(null, jwt.payload, jwt.header);
+    }
+
+    if (options.alg && alg !== options.alg) {
+        return cb(null, false, {
+            message: label + " signed with unexpected algorithm.",
+        });
+    }
+    if (!jose.ALGORITHMS[alg]) {
+        return cb(null, false, {
+            message: label + " signed with unsupported algorithm.",
+        });
+    }
+
+    function keyed(err, keys) {
+        if (err) {
+            return cb(err);
+        }
+        if (keys.length === 0) {
+            return cb(null, false, {
+                message: "No key found to verify " + label + " signature.",
+            });
+        }
+
+        const verified = keys.some(function (key) {
+            return jose.verify(jwt, key);
+        });
+        if (!verified) {
+            return cb(null, false, {
+                message: label + " signature is invalid.",
+            });
+        }
+
+        cb(null, jwt.payload, jwt.header);
+    } // keyed
+
+    if (hmac) {
+        const secret = this._oauth2._clientSecret;
+        return keyed(null, secret ? [jose.importSecret(secret)] : []);
+    }
+    if (!this._jwks) {
+        return cb(
+            new Error(
+                "jwksURI option is required to verify " +
+                    label +
+                    " signed with " +
+                    alg
+            )
+        );
+    }
+    this._jwks.getKeys(jwt.header, keyed);
+};
+
+/**
+ * Callback with the validated claims of a token.
+ *
+ * @callback ValidateTokenCallback
+ * @param {Error | null} err - Error object if validation could not be completed, null otherwise.
+ * @param {Object | false} [claims] - validated claims, or false if the token is rejected
+ * @param {Object} [info] - details on why the token is rejected, or the JOSE header when accepted
+ * @returns {void}
+ */
+
+/**
+ * Parse the claims of a UserInfo response.
+ *
+ * Responses of type `application/jwt` are signed, and possibly then encrypted.
+ * Their signature is verified and they must be issued by the provider to this
+ * client.  Other responses are parsed as JSON.
+ *
+ * @param {string} body - body of the UserInfo response
+ * @param {http.IncomingMessage} [res] - the UserInfo response
+ * @param {Object} idClaims - claims of the ID token the user authenticated with
+ * @param {ValidateTokenCallback} cb
+ * @see https://openid.net/specs/openid-connect-core-1_0.html#UserInfoResponse
+ * @api private
+ */
+Strategy.prototype._parseUserInfo = function (body, res, idClaims, cb) {
+    const self = this;
+    const label = "UserInfo response";
+
+    const type = ((res && res.headers && res.headers["content-type"]) || "")
+        .split(";")[0]
+        .trim()
+        .toLowerCase();
+
+    if (type !== "application/jwt") {
+        if (
+            this._userInfoSignedResponseAlg ||
+            this._userInfoEncryptedResponseAlg
+        ) {
+            return cb(null, false, { message: label + " is not signed." });
+        }
+
+        let json;
+        try {
+            json = JSON.parse(body);
+        } catch (ex) {
+            return cb(new Error("Failed to parse user profile"));
+        }
+        return cb(null, json);
+    }
+
+    const options = {
+        label: label,
+        alg: this._userInfoSignedResponseAlg,
+        required: true,
+        encAlg: this._userInfoEncryptedResponseAlg,
+        encEnc: this._userInfoEncryptedResponseEnc,
+    };
+    this._verifyJWT(String(body).trim(), options, function (err, claims, info) {
+        if (err || !claims) {
+            return cb(err, false, info);
+        }
+
+        self._validateClaims(
+            claims,
+            label,
+            ["iss", "aud"],
+            function (err, ok, info) {
+                if (err || !ok) {
+                    return cb(err, false, info);
+                }
+
+                // https://openid.net/specs/openid-connect-core-1_0.html#UserInfoResponse
+                if (claims.sub !== idClaims.sub) {
+                    return cb(null, false, {
+                        message: label + " subject does not match ID token.",
+                    });
+                }
+
+                cb(null, claims);
+            }
+        );
+    });
+};
+
+/**
+ * Check if should load user profile, contingent upon options.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {string} claims
+ * @param {LoadUserProfileCallback} done
+ * @api private
+ */
+Strategy.prototype._shouldLoadUserProfile = function (req, claims, done) {
+    if (
+        typeof this._skipUserProfile == "function" &&
+        this._skipUserProfile.length > 2
+    ) {
+        // async
+        this._skipUserProfile(req, claims, function (err, skip) {
+            if (err) {
+                return done(err);
+            }
+            if (!skip) {
+                return done(null, true);
             }
             return done(null, false);
         });
@@ -847,6 +3583,143 @@ Strategy.prototype._shouldLoadUserProfile = function (req, claims, done) {
  * @return {void}
  */
 
+/**
+ * Call a callback-style function and return a promise of its result.
+ *
+ * @param {function(function(Error | null, *=): void): void} fn
+ * @returns {Promise<*>}
+ * @api private
+ */
+function promised(fn) {
+    return new Promise(function (resolve, reject) {
+        fn(function (err, result) {
+            if (err) {
+                return reject(err);
+            }
+            resolve(result);
+        });
+    });
+}
+
+/**
+ * Compile an issuer template, in which each `{name}` placeholder stands for a
+ * path segment or host label, such as a tenant ID.
+ *
+ * @param {string} template - e.g. `https://login.microsoftonline.com/{tid}/v2.0`
+ * @returns {{regexp: RegExp, names: string[]}}
+ * @api private
+ */
+function issuerPattern(template) {
+    const names = [];
+    const parts = template.split(/\{(\w+)\}/);
+    let source = "";
+    for (let i = 0; i < parts.length; i++) {
+        if (i % 2) {
+            names.push(parts[i]);
+            source += "([^/.?#]+)";
+        } else {
+            source += parts[i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return { regexp: new RegExp("^" + source + "$"), names: names };
+}
+
+/**
+ * Send a request to the registration endpoint, or to the location of a
+ * client's registration, and parse the client information it responds with.
+ *
+ * @param {OAuth2} oauth2 - `OAuth2` instance used to make the http request
+ * @param {string} method - HTTP method of the request
+ * @param {string} location - URL of the request
+ * @param {string} [accessToken] - initial or registration access token
+ * @param {Object | null} metadata - client metadata sent as JSON
+ * @param {string} message - message of errors of the request
+ * @param {RegistrationCallback} cb
+ * @returns {void}
+ * @api private
+ */
+function registrationRequest(
+    oauth2,
+    method,
+    location,
+    accessToken,
+    metadata,
+    message,
+    cb
+) {
+    const headers = { Accept: "application/json" };
+    if (accessToken) {
+        headers.Authorization = "Bearer " + accessToken;
+    }
+    if (metadata) {
+        headers["Content-Type"] = "application/json";
+    }
+
+    oauth2._request(
+        method,
+        location,
+        headers,
+        metadata ? JSON.stringify(metadata) : null,
+        null,
+        function (err, body) {
+            if (err) {
+                return cb(tokenError(err, message));
+            }
+
+            let json;
+            try {
+                json = JSON.parse(body);
+            } catch (ex) {
+                return cb(
+                    new InternalOAuthError(
+                        "Failed to parse client registration response",
+                        ex
+                    )
+                );
+            }
+            if (!json || typeof json.client_id !== "string") {
+                return cb(
+                    new InternalOAuthError(
+                        "Client registration response missing client_id",
+                        { data: body }
+                    )
+                );
+            }
+
+            cb(null, json);
+        }
+    );
+}
+
+/**
+ * Wrap an error from a token endpoint request.
+ *
+ * OAuth 2.0 error responses become a `TokenError`, anything else an
+ * `InternalOAuthError`.
+ *
+ * @param {Object} err - error yielded by node-oauth
+ * @param {string} message - message of the `InternalOAuthError`
+ * @returns {Error}
+ * @api private
+ */
+function tokenError(err, message) {
+    if (err.statusCode && err.data) {
+        try {
+            const json = JSON.parse(err.data);
+            if (json.error) {
+                return new TokenError(
+                    json.error_description,
+                    json.error,
+                    json.error_uri
+                );
+            }
+        } catch (e) {
+            // the body is not JSON, let InternalOAuthError carry it instead
+        }
+    }
+    return new InternalOAuthError(message, err);
+}
+
 /**
  * Expose `Strategy`.
  */
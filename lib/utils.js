@@ -1,4 +1,5 @@
-var crypto = require("crypto");
+var crypto = require("crypto"),
+    querystring = require("querystring");
 
 /**
  * Reconstructs the original URL of the request.
@@ -72,3 +73,64 @@ exports.uid = function (len) {
         .toString("base64")
         .slice(0, len);
 };
+
+/**
+ * Parse the `application/x-www-form-urlencoded` body of a request.
+ *
+ * The body parsed by a body parser middleware, such as `express.urlencoded()`,
+ * is used when present.  Otherwise the body is read from the request stream,
+ * up to a limit of 100kb.  Bodies of any other content type yield an empty
+ * object.
+ *
+ * An empty `req.body` is only trusted when a parser has read the body, as
+ * body-parser 1.x sets it to `{}` on requests it skips.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {function(Error | null, Object=): void} cb
+ * @return {void}
+ */
+exports.parseForm = function (req, cb) {
+    if (
+        req.body &&
+        typeof req.body === "object" &&
+        !Buffer.isBuffer(req.body) &&
+        (req._body || Object.keys(req.body).length > 0)
+    ) {
+        return cb(null, req.body);
+    }
+
+    var type = (req.headers && req.headers["content-type"]) || "";
+    if (
+        type.split(";")[0].trim().toLowerCase() !==
+        "application/x-www-form-urlencoded"
+    ) {
+        return cb(null, {});
+    }
+    if (typeof req.body === "string" || Buffer.isBuffer(req.body)) {
+        return cb(null, querystring.parse(req.body.toString()));
+    }
+    if (typeof req.on !== "function" || req.readableEnded) {
+        return cb(null, {});
+    }
+
+    var body = "",
+        finished = false;
+    function finish(err, form) {
+        if (!finished) {
+            finished = true;
+            cb(err, form);
+        }
+    }
+
+    req.setEncoding("utf8");
+    req.on("data", function (chunk) {
+        body += chunk;
+        if (body.length > 102400) {
+            finish(new Error("Request body too large"));
+        }
+    });
+    req.on("end", function () {
+        finish(null, querystring.parse(body));
+    });
+    req.on("error", finish);
+};
@@ -0,0 +1,121 @@
+var sinon = require("sinon");
+var crypto = require("crypto");
+var DPoP = require("../lib/dpop");
+var jose = require("../lib/jose");
+
+describe("DPoP", function () {
+    var clock, dpop;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(1311280970000);
+        dpop = DPoP.generate();
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it("should create proof signed with public key in header", function () {
+        var jwt = jose.decode(
+            dpop.proof("post", "https://server.example.com/token?foo=bar#baz")
+        );
+
+        expect(jwt.header.typ).to.equal("dpop+jwt");
+        expect(jwt.header.alg).to.equal("ES256");
+        expect(jwt.header.jwk).to.not.have.property("d");
+        expect(jose.verify(jwt, jose.importJWK(jwt.header.jwk))).to.be.true;
+        expect(jwt.payload).to.deep.equal({
+            jti: jwt.payload.jti,
+            htm: "POST",
+            htu: "https://server.example.com/token",
+            iat: 1311280970,
+        });
+    });
+
+    it("should bind proof to access token", function () {
+        var jwt = jose.decode(
+            dpop.proof("GET", "https://server.example.com/userinfo", {
+                accessToken: "Kz~8mXK1EalYznwH-LC-1fBAo.4Ljp~zsPE_NeO.gxU",
+            })
+        );
+
+        expect(jwt.payload.ath).to.equal(
+            "fUHyO2r2Z3DZ53EsNrWBb0xWXoaNy59IiKCAqksmQEo"
+        );
+    });
+
+    it("should include nonce remembered for origin", function () {
+        expect(
+            dpop.updateNonce("https://server.example.com/token", {
+                "dpop-nonce": "eyJ7S_zG.eyJH0-Z.HX4w-7v",
+            })
+        ).to.be.true;
+        expect(
+            dpop.updateNonce("https://server.example.com/token", {
+                "dpop-nonce": "eyJ7S_zG.eyJH0-Z.HX4w-7v",
+            })
+        ).to.be.false;
+
+        expect(
+            jose.decode(
+                dpop.proof("GET", "https://server.example.com/userinfo")
+            ).payload.nonce
+        ).to.equal("eyJ7S_zG.eyJH0-Z.HX4w-7v");
+        expect(
+            jose.decode(dpop.proof("GET", "https://api.example.com/resource"))
+                .payload
+        ).to.not.have.property("nonce");
+    });
+
+    it("should recreate key from exported JWK", function () {
+        var exported = dpop.exportKey();
+
+        expect(exported.alg).to.equal("ES256");
+        expect(new DPoP(exported).thumbprint()).to.equal(dpop.thumbprint());
+    });
+
+    it("should throw when key cannot sign with alg", function () {
+        var ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+        expect(function () {
+            new DPoP(ec.privateKey, "RS256");
+        }).to.throw(TypeError, "DPoP key cannot sign with RS256");
+    });
+
+    it("should throw when generating key with unsupported alg", function () {
+        expect(function () {
+            DPoP.generate("HS256");
+        }).to.throw(TypeError, "Unsupported DPoP alg HS256");
+    });
+
+    describe("requiresNonce", function () {
+        it("should detect error of authorization server", function () {
+            expect(
+                DPoP.requiresNonce({
+                    statusCode: 400,
+                    data: '{"error":"use_dpop_nonce"}',
+                })
+            ).to.be.true;
+            expect(
+                DPoP.requiresNonce({
+                    statusCode: 400,
+                    data: '{"error":"invalid_grant"}',
+                })
+            ).to.be.false;
+        });
+
+        it("should detect error of resource server", function () {
+            expect(
+                DPoP.requiresNonce({
+                    statusCode: 401,
+                    headers: {
+                        "www-authenticate":
+                            'DPoP error="use_dpop_nonce", error_description="Resource server requires nonce in DPoP proof"',
+                    },
+                })
+            ).to.be.true;
+            expect(DPoP.requiresNonce({ statusCode: 401, headers: {} })).to.be
+                .false;
+        });
+    });
+});
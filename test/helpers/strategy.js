@@ -0,0 +1,29 @@
+var Strategy = require("../../lib/strategy");
+
+// client registration and endpoints of the examples in the OpenID Connect
+// specifications, shared by the strategies under test
+var defaults = {
+    issuer: "https://server.example.com",
+    authorizationURL: "https://server.example.com/authorize",
+    tokenURL: "https://server.example.com/token",
+    endSessionURL: "https://server.example.com/logout",
+    revocationURL: "https://server.example.com/revoke",
+    introspectionURL: "https://server.example.com/introspect",
+    clientID: "s6BhdRkqt3",
+    clientSecret: "some_secret12345",
+    callbackURL: "https://client.example.org/cb",
+};
+
+/**
+ * Create a strategy with the shared defaults, overridden by `options`.  Options
+ * set to `undefined` remove the default.
+ */
+module.exports = function createStrategy(options, verify) {
+    return new Strategy(
+        Object.assign({}, defaults, options),
+        verify ||
+            function (issuer, profile, cb) {
+                return cb(null, { id: profile.id });
+            }
+    );
+};
@@ -0,0 +1,273 @@
+var crypto = require("crypto");
+var jws = require("jws");
+var jose = require("../lib/jose");
+
+describe("jose", function () {
+    var payload = { iss: "https://server.example.com", sub: "248289761001" };
+
+    describe("decode", function () {
+        it("should decode header and payload", function () {
+            var token = jws.sign({
+                header: { alg: "HS256", kid: "1" },
+                payload: payload,
+                secret: "keyboard cat",
+            });
+            var jwt = jose.decode(token);
+
+            expect(jwt.header).to.deep.equal({ alg: "HS256", kid: "1" });
+            expect(jwt.payload).to.deep.equal(payload);
+            expect(jwt.input).to.equal(token.split(".").slice(0, 2).join("."));
+            expect(jwt.signature).to.be.an.instanceof(Buffer);
+        });
+
+        it("should throw when token does not have three parts", function () {
+            expect(function () {
+                jose.decode("a.b");
+            }).to.throw("Malformed JWT");
+        });
+
+        it("should throw when payload is not JSON", function () {
+            expect(function () {
+                jose.decode("eyJhbGciOiJIUzI1NiJ9.bm90IGpzb24.c2ln");
+            }).to.throw("Malformed JWT");
+        });
+    });
+
+    describe("verify", function () {
+        var keys = {
+            RS256: crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }),
+            ES256: crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }),
+            ES384: crypto.generateKeyPairSync("ec", { namedCurve: "P-384" }),
+            ES512: crypto.generateKeyPairSync("ec", { namedCurve: "P-521" }),
+        };
+        keys.RS384 = keys.RS512 = keys.RS256;
+        keys.PS256 = keys.PS384 = keys.PS512 = keys.RS256;
+
+        Object.keys(keys).forEach(function (alg) {
+            it("should verify " + alg + " signature", function () {
+                var token = jws.sign({
+                    header: { alg: alg },
+                    payload: payload,
+                    privateKey: keys[alg].privateKey.export({
+                        type: "pkcs8",
+                        format: "pem",
+                    }),
+                });
+                var key = jose.importJWK(
+                    keys[alg].publicKey.export({ format: "jwk" })
+                );
+
+                expect(jose.verify(jose.decode(token), key)).to.be.true;
+                var parts = token.split(".");
+                parts[1] = Buffer.from('{"sub":"x"}').toString("base64url");
+                expect(
+                    jose.verify(jose.decode(parts.join(".")), key)
+                ).to.be.false;
+            });
+        });
+
+        it("should verify HS256 signature with secret", function () {
+            var token = jws.sign({
+                header: { alg: "HS256" },
+                payload: payload,
+                secret: "keyboard cat",
+            });
+
+            expect(
+                jose.verify(
+                    jose.decode(token),
+                    jose.importSecret("keyboard cat")
+                )
+            ).to.be.true;
+            expect(jose.verify(jose.decode(token), jose.importSecret("other")))
+                .to.be.false;
+            expect(
+                jose.verify(
+                    jose.decode(token),
+                    jose.importJWK(
+                        keys.RS256.publicKey.export({ format: "jwk" })
+                    )
+                )
+            ).to.be.false;
+        });
+
+        it("should verify EdDSA signature", function () {
+            var pair = crypto.generateKeyPairSync("ed25519");
+            var input =
+                Buffer.from('{"alg":"EdDSA"}').toString("base64url") +
+                "." +
+                Buffer.from(JSON.stringify(payload)).toString("base64url");
+            var token =
+                input +
+                "." +
+                crypto
+                    .sign(null, Buffer.from(input), pair.privateKey)
+                    .toString("base64url");
+            var key = jose.importJWK(pair.publicKey.export({ format: "jwk" }));
+
+            expect(jose.verify(jose.decode(token), key)).to.be.true;
+        });
+
+        it("should not verify with unsupported algorithm", function () {
+            var token = jws.sign({
+                header: { alg: "none" },
+                payload: payload,
+            });
+            var key = jose.importJWK(
+                keys.RS256.publicKey.export({ format: "jwk" })
+            );
+
+            expect(jose.verify(jose.decode(token), key)).to.be.false;
+        });
+    });
+
+    describe("isKeyFor", function () {
+        it("should match key type and curve", function () {
+            expect(jose.isKeyFor({ kty: "RSA" }, "RS256")).to.be.true;
+            expect(jose.isKeyFor({ kty: "RSA" }, "ES256")).to.be.false;
+            expect(jose.isKeyFor({ kty: "EC", crv: "P-256" }, "ES256")).to.be
+                .true;
+            expect(jose.isKeyFor({ kty: "EC", crv: "P-384" }, "ES256")).to.be
+                .false;
+        });
+
+        it("should not match encryption keys", function () {
+            expect(jose.isKeyFor({ kty: "RSA", use: "enc" }, "RS256")).to.be
+                .false;
+        });
+
+        it("should not match key restricted to another algorithm", function () {
+            expect(jose.isKeyFor({ kty: "RSA", alg: "PS256" }, "RS256")).to.be
+                .false;
+        });
+    });
+
+    describe("importPrivateKey", function () {
+        var pair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+        it("should import PEM, JWK and KeyObject", function () {
+            var keys = [
+                pair.privateKey.export({ type: "pkcs8", format: "pem" }),
+                pair.privateKey.export({ format: "jwk" }),
+                pair.privateKey,
+            ];
+
+            keys.forEach(function (key) {
+                var imported = jose.importPrivateKey(key);
+                expect(imported.type).to.equal("private");
+                expect(imported.asymmetricKeyType).to.equal("ec");
+            });
+        });
+    });
+
+    describe("defaultAlgorithm", function () {
+        it("should derive algorithm from key type and curve", function () {
+            expect(jose.defaultAlgorithm({ kty: "RSA" })).to.equal("RS256");
+            expect(jose.defaultAlgorithm({ kty: "EC", crv: "P-521" })).to.equal(
+                "ES512"
+            );
+            expect(
+                jose.defaultAlgorithm({ kty: "OKP", crv: "Ed25519" })
+            ).to.equal("EdDSA");
+            expect(jose.defaultAlgorithm({ kty: "oct" })).to.be.undefined;
+        });
+    });
+
+    describe("thumbprint", function () {
+        it("should compute JWK thumbprint", function () {
+            // https://www.rfc-editor.org/rfc/rfc7638#section-3.1
+            var jwk = {
+                kty: "RSA",
+                n: "0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw",
+                e: "AQAB",
+                alg: "RS256",
+                kid: "2011-04-29",
+            };
+
+            expect(jose.thumbprint(jwk)).to.equal(
+                "NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs"
+            );
+        });
+    });
+
+    describe("sign", function () {
+        it("should sign with secret", function () {
+            var token = jose.sign(
+                { alg: "HS256" },
+                payload,
+                jose.importSecret("keyboard cat")
+            );
+
+            expect(jws.verify(token, "HS256", "keyboard cat")).to.be.true;
+            expect(jose.decode(token).payload).to.deep.equal(payload);
+        });
+
+        ["RS256", "PS256", "ES256"].forEach(function (alg) {
+            it("should sign " + alg + " with private key", function () {
+                var pair =
+                    alg === "ES256"
+                        ? crypto.generateKeyPairSync("ec", {
+                              namedCurve: "P-256",
+                          })
+                        : crypto.generateKeyPairSync("rsa", {
+                              modulusLength: 2048,
+                          });
+                var token = jose.sign({ alg: alg }, payload, pair.privateKey);
+
+                expect(
+                    jose.verify(jose.decode(token), pair.publicKey)
+                ).to.be.true;
+            });
+        });
+
+        it("should throw when key does not suit algorithm", function () {
+            expect(function () {
+                jose.sign(
+                    { alg: "RS256" },
+                    payload,
+                    jose.importSecret("keyboard cat")
+                );
+            }).to.throw("RS256 requires a private key");
+        });
+
+        it("should throw with unsupported algorithm", function () {
+            expect(function () {
+                jose.sign(
+                    { alg: "none" },
+                    payload,
+                    jose.importSecret("keyboard cat")
+                );
+            }).to.throw("Unsupported JWS algorithm none");
+        });
+    });
+
+    describe("tokenHash", function () {
+        it("should hash access token as in OpenID Connect Core", function () {
+            expect(
+                jose.tokenHash(
+                    "jHkWEdUXMU1BwAsC4vtUsZwnNvTIxEl0z9K3vx5KF0Y",
+                    "RS256"
+                )
+            ).to.equal("77QmUPtjPfzWtF2AnpK9RQ");
+        });
+
+        it("should hash code as in OpenID Connect Core", function () {
+            expect(
+                jose.tokenHash(
+                    "Qcb0Orv1zh30vL1MPRsbm-diHiMwcLyZvn1arpZv-Jxf_11jnpEX3Tgfvk",
+                    "RS256"
+                )
+            ).to.equal("LDktKdoQak3Pk0cnXxCltA");
+        });
+
+        it("should use hash of algorithm", function () {
+            expect(jose.tokenHash("SlAV32hkKG", "ES512")).to.have.length(43);
+        });
+
+        it("should throw with unsupported algorithm", function () {
+            expect(function () {
+                jose.tokenHash("SlAV32hkKG", "none");
+            }).to.throw("Unsupported JWS algorithm none");
+        });
+    });
+});
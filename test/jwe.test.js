@@ -0,0 +1,333 @@
+var crypto = require("crypto");
+var zlib = require("zlib");
+var jwe = require("../lib/jwe");
+
+function concatKDF(z, algorithmID, keyDataLen, apu, apv) {
+    function uint32(value) {
+        var buf = Buffer.alloc(4);
+        buf.writeUInt32BE(value);
+        return buf;
+    }
+    function lengthPrefixed(data) {
+        return Buffer.concat([uint32(data.length), data]);
+    }
+    var otherInfo = Buffer.concat([
+        lengthPrefixed(Buffer.from(algorithmID)),
+        lengthPrefixed(apu || Buffer.alloc(0)),
+        lengthPrefixed(apv || Buffer.alloc(0)),
+        uint32(keyDataLen),
+    ]);
+    var output = [];
+    for (var counter = 1; counter <= Math.ceil(keyDataLen / 256); counter++) {
+        output.push(
+            crypto
+                .createHash("sha256")
+                .update(Buffer.concat([uint32(counter), z, otherInfo]))
+                .digest()
+        );
+    }
+    return Buffer.concat(output).subarray(0, keyDataLen / 8);
+}
+
+function encrypt(plaintext, publicKey, header) {
+    var enc = jwe.ENCRYPTIONS[header.enc];
+    var alg = jwe.ALGORITHMS[header.alg];
+    var cek = crypto.randomBytes(enc.size / 8);
+    var encryptedKey = Buffer.alloc(0);
+
+    if (alg.oaepHash) {
+        encryptedKey = crypto.publicEncrypt(
+            {
+                key: publicKey,
+                padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                oaepHash: alg.oaepHash,
+            },
+            cek
+        );
+    } else {
+        var ephemeral = crypto.generateKeyPairSync(
+            publicKey.asymmetricKeyType,
+            publicKey.asymmetricKeyType === "ec"
+                ? { namedCurve: publicKey.asymmetricKeyDetails.namedCurve }
+                : {}
+        );
+        header = Object.assign({}, header, {
+            epk: ephemeral.publicKey.export({ format: "jwk" }),
+        });
+        var z = crypto.diffieHellman({
+            privateKey: ephemeral.privateKey,
+            publicKey: publicKey,
+        });
+        if (alg.kw) {
+            var kek = concatKDF(z, header.alg, alg.kw);
+            var cipher = crypto.createCipheriv(
+                "id-aes" + alg.kw + "-wrap",
+                kek,
+                Buffer.from("A6A6A6A6A6A6A6A6", "hex")
+            );
+            encryptedKey = Buffer.concat([cipher.update(cek), cipher.final()]);
+        } else {
+            cek = concatKDF(z, header.enc, enc.size);
+        }
+    }
+
+    var protectedHeader = Buffer.from(JSON.stringify(header)).toString(
+        "base64url"
+    );
+    var aad = Buffer.from(protectedHeader);
+    var iv, ciphertext, tag;
+    if (enc.hash) {
+        iv = crypto.randomBytes(16);
+        var half = cek.length / 2;
+        var c = crypto.createCipheriv(enc.cipher, cek.subarray(half), iv);
+        ciphertext = Buffer.concat([c.update(plaintext), c.final()]);
+        var al = Buffer.alloc(8);
+        al.writeUInt32BE(aad.length * 8, 4);
+        tag = crypto
+            .createHmac(enc.hash, cek.subarray(0, half))
+            .update(Buffer.concat([aad, iv, ciphertext, al]))
+            .digest()
+            .subarray(0, half);
+    } else {
+        iv = crypto.randomBytes(12);
+        var g = crypto.createCipheriv(enc.cipher, cek, iv);
+        g.setAAD(aad);
+        ciphertext = Buffer.concat([g.update(plaintext), g.final()]);
+        tag = g.getAuthTag();
+    }
+
+    return [protectedHeader, encryptedKey, iv, ciphertext, tag]
+        .map(function (part) {
+            return typeof part === "string" ? part : part.toString("base64url");
+        })
+        .join(".");
+}
+
+describe("jwe", function () {
+    var rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    var ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+    var x25519 = crypto.generateKeyPairSync("x25519");
+    var plaintext = "eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.c2ln";
+
+    describe("isJWE", function () {
+        it("should detect compact serialization", function () {
+            expect(jwe.isJWE("a.b.c.d.e")).to.be.true;
+            expect(jwe.isJWE("a.b.c")).to.be.false;
+            expect(jwe.isJWE(undefined)).to.be.false;
+        });
+    });
+
+    describe("decode", function () {
+        it("should throw when header is not JSON", function () {
+            expect(function () {
+                jwe.decode("bm90IGpzb24.a.b.c.d");
+            }).to.throw("Malformed JWE");
+        });
+
+        it("should throw when token does not have five parts", function () {
+            expect(function () {
+                jwe.decode("a.b.c");
+            }).to.throw("Malformed JWE");
+        });
+    });
+
+    describe("isKeyFor", function () {
+        it("should match key type", function () {
+            var jwk = rsa.publicKey.export({ format: "jwk" });
+
+            expect(jwe.isKeyFor(jwk, "RSA-OAEP")).to.be.true;
+            expect(jwe.isKeyFor(jwk, "ECDH-ES")).to.be.false;
+            expect(jwe.isKeyFor(jwk, "dir")).to.be.false;
+        });
+
+        it("should not match key for other use or alg", function () {
+            var jwk = rsa.publicKey.export({ format: "jwk" });
+
+            expect(jwe.isKeyFor(Object.assign({ use: "sig" }, jwk), "RSA-OAEP"))
+                .to.be.false;
+            expect(
+                jwe.isKeyFor(
+                    Object.assign({ alg: "RSA-OAEP-256" }, jwk),
+                    "RSA-OAEP"
+                )
+            ).to.be.false;
+        });
+    });
+
+    describe("encrypt", function () {
+        [
+            ["RSA-OAEP-256", "A128CBC-HS256", rsa],
+            ["ECDH-ES", "A256GCM", ec],
+            ["ECDH-ES+A128KW", "A128CBC-HS256", x25519],
+        ].forEach(function (c) {
+            it("should encrypt " + c[0] + " " + c[1], function () {
+                var token = jwe.encrypt(plaintext, c[2].publicKey, {
+                    alg: c[0],
+                    enc: c[1],
+                    kid: "k1",
+                });
+                var encrypted = jwe.decode(token);
+
+                expect(encrypted.header.kid).to.equal("k1");
+                expect(
+                    jwe.decrypt(encrypted, c[2].privateKey).toString()
+                ).to.equal(plaintext);
+            });
+        });
+    });
+
+    describe("decrypt", function () {
+        var cases = [
+            ["RSA-OAEP", "A128GCM", rsa],
+            ["RSA-OAEP-256", "A256GCM", rsa],
+            ["RSA-OAEP-256", "A128CBC-HS256", rsa],
+            ["RSA-OAEP", "A256CBC-HS512", rsa],
+            ["ECDH-ES", "A128GCM", ec],
+            ["ECDH-ES", "A256CBC-HS512", ec],
+            ["ECDH-ES+A128KW", "A192GCM", ec],
+            ["ECDH-ES+A256KW", "A192CBC-HS384", ec],
+            ["ECDH-ES+A192KW", "A256GCM", x25519],
+        ];
+
+        cases.forEach(function (c) {
+            it("should decrypt " + c[0] + " " + c[1], function () {
+                var token = encrypt(plaintext, c[2].publicKey, {
+                    alg: c[0],
+                    enc: c[1],
+                });
+
+                expect(
+                    jwe.decrypt(jwe.decode(token), c[2].privateKey).toString()
+                ).to.equal(plaintext);
+            });
+        });
+
+        it("should throw with compressed content", function () {
+            var token = encrypt(zlib.deflateRawSync(plaintext), rsa.publicKey, {
+                alg: "RSA-OAEP",
+                enc: "A128GCM",
+                zip: "DEF",
+            });
+
+            expect(function () {
+                jwe.decrypt(jwe.decode(token), rsa.privateKey);
+            }).to.throw(Error, "Unsupported JWE compression");
+        });
+
+        it("should throw when ciphertext is tampered with", function () {
+            ["A128GCM", "A128CBC-HS256"].forEach(function (enc) {
+                var parts = encrypt(plaintext, rsa.publicKey, {
+                    alg: "RSA-OAEP",
+                    enc: enc,
+                }).split(".");
+                var ciphertext = Buffer.from(parts[3], "base64url");
+                ciphertext[0] ^= 1;
+                parts[3] = ciphertext.toString("base64url");
+
+                expect(function () {
+                    jwe.decrypt(jwe.decode(parts.join(".")), rsa.privateKey);
+                }).to.throw();
+            });
+        });
+
+        it("should throw with truncated authentication tag", function () {
+            var parts = encrypt(plaintext, rsa.publicKey, {
+                alg: "RSA-OAEP",
+                enc: "A128GCM",
+            }).split(".");
+            parts[4] = Buffer.from(parts[4], "base64url")
+                .subarray(0, 4)
+                .toString("base64url");
+
+            expect(function () {
+                jwe.decrypt(jwe.decode(parts.join(".")), rsa.privateKey);
+            }).to.throw(Error, "Invalid JWE authentication tag");
+        });
+
+        it("should throw with initialization vector of wrong size", function () {
+            var parts = encrypt(plaintext, rsa.publicKey, {
+                alg: "RSA-OAEP",
+                enc: "A128GCM",
+            }).split(".");
+            parts[2] = Buffer.concat([
+                Buffer.from(parts[2], "base64url"),
+                Buffer.alloc(4),
+            ]).toString("base64url");
+
+            expect(function () {
+                jwe.decrypt(jwe.decode(parts.join(".")), rsa.privateKey);
+            }).to.throw(Error, "Invalid JWE initialization vector");
+        });
+
+        it("should throw when decrypting with another key", function () {
+            var other = crypto.generateKeyPairSync("ec", {
+                namedCurve: "P-256",
+            });
+            var token = encrypt(plaintext, ec.publicKey, {
+                alg: "ECDH-ES+A128KW",
+                enc: "A128GCM",
+            });
+
+            expect(function () {
+                jwe.decrypt(jwe.decode(token), other.privateKey);
+            }).to.throw();
+        });
+
+        it("should throw on unsupported algorithm", function () {
+            var header = Buffer.from(
+                JSON.stringify({ alg: "dir", enc: "A128GCM" })
+            ).toString("base64url");
+
+            expect(function () {
+                jwe.decrypt(jwe.decode(header + "..a.b.c"), rsa.privateKey);
+            }).to.throw("Unsupported JWE algorithm");
+        });
+
+        it("should derive ECDH-ES key as in RFC 7518 Appendix C", function () {
+            var bob = crypto.createPrivateKey({
+                key: {
+                    kty: "EC",
+                    crv: "P-256",
+                    x: "weNJy2HscCSM6AEDTDg04biOvhFhyyWvOHQfeF_PxMQ",
+                    y: "e8lnCO-AlStT-NJVX-crhB7QRYhiix03illJOVAOyck",
+                    d: "VEmDZpDXXK8p8N0Cndsxs924q6nS1RXFASRl6BfUqdw",
+                },
+                format: "jwk",
+            });
+            var header = {
+                alg: "ECDH-ES",
+                enc: "A128GCM",
+                apu: "QWxpY2U",
+                apv: "Qm9i",
+                epk: {
+                    kty: "EC",
+                    crv: "P-256",
+                    x: "gI0GAILBdu7T53akrFmMyGcsF3n5dO7MmwNBHKW5SV0",
+                    y: "SLW_xSffzlPWrHEVI30DHM_4egVwt3NQqeUD7nMFpps",
+                },
+            };
+            var cek = Buffer.from("VqqN6vgjbSBcIijNcacQGg", "base64url");
+            var protectedHeader = Buffer.from(JSON.stringify(header)).toString(
+                "base64url"
+            );
+            var iv = crypto.randomBytes(12);
+            var cipher = crypto.createCipheriv("aes-128-gcm", cek, iv);
+            cipher.setAAD(Buffer.from(protectedHeader));
+            var ciphertext = Buffer.concat([
+                cipher.update(plaintext),
+                cipher.final(),
+            ]);
+            var token = [
+                protectedHeader,
+                "",
+                iv.toString("base64url"),
+                ciphertext.toString("base64url"),
+                cipher.getAuthTag().toString("base64url"),
+            ].join(".");
+
+            expect(jwe.decrypt(jwe.decode(token), bob).toString()).to.equal(
+                plaintext
+            );
+        });
+    });
+});
@@ -0,0 +1,248 @@
+var sinon = require("sinon");
+var crypto = require("crypto");
+var JWKSClient = require("../lib/jwks");
+var InternalOAuthError = require("../lib/errors/internaloautherror");
+
+describe("JWKSClient", function () {
+    function jwk(kid) {
+        var pair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+        return Object.assign(pair.publicKey.export({ format: "jwk" }), {
+            kid: kid,
+        });
+    }
+
+    var k1 = jwk("k1"),
+        k2 = jwk("k2");
+
+    var clock, oauth2, client;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(1311280970000);
+        oauth2 = { _request: sinon.stub() };
+        client = new JWKSClient({
+            uri: "https://server.example.com/jwks",
+            oauth2: oauth2,
+        });
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    function respond(keys, headers) {
+        oauth2._request.yields(null, JSON.stringify({ keys: keys }), {
+            headers: headers || {},
+        });
+    }
+
+    it("should throw if constructed without a uri option", function () {
+        expect(function () {
+            new JWKSClient({});
+        }).to.throw(TypeError, "JWKS client requires a uri option");
+    });
+
+    it("should select key by kid", function (done) {
+        respond([k1, k2]);
+
+        client.getKeys({ alg: "ES256", kid: "k2" }, function (err, keys) {
+            expect(err).to.be.null;
+            expect(keys).to.have.length(1);
+            expect(keys[0].export({ format: "jwk" }).x).to.equal(k2.x);
+            done();
+        });
+    });
+
+    it("should select all compatible keys without kid", function (done) {
+        respond([k1, k2]);
+
+        client.getKeys({ alg: "ES256" }, function (err, keys) {
+            expect(keys).to.have.length(2);
+            client.getKeys({ alg: "RS256" }, function (err, keys) {
+                expect(keys).to.have.length(0);
+                done();
+            });
+        });
+    });
+
+    it("should cache keys until they expire", function (done) {
+        respond([k1]);
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+            clock.tick(599999);
+            client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+                expect(oauth2._request.callCount).to.equal(1);
+                clock.tick(1);
+                client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+                    expect(oauth2._request.callCount).to.equal(2);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should honour max-age in Cache-Control header", function (done) {
+        respond([k1], { "cache-control": "public, max-age=60" });
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+            clock.tick(59999);
+            client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+                expect(oauth2._request.callCount).to.equal(1);
+                clock.tick(1);
+                client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+                    expect(oauth2._request.callCount).to.equal(2);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should refetch after cooldown when Cache-Control forbids caching", function (done) {
+        respond([k1], { "cache-control": "no-store" });
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+            clock.tick(29999);
+            client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+                expect(oauth2._request.callCount).to.equal(1);
+                clock.tick(1);
+                client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+                    expect(oauth2._request.callCount).to.equal(2);
+                    done();
+                });
+            });
+        });
+    });
+
+    it("should not refetch for unknown kid during cooldown when Cache-Control forbids caching", function (done) {
+        respond([k1], { "cache-control": "no-cache" });
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+            client.getKeys({ alg: "ES256", kid: "k2" }, function (err, keys) {
+                expect(err).to.be.null;
+                expect(keys).to.have.length(0);
+                client.getKeys(
+                    { alg: "ES256", kid: "k3" },
+                    function (err, keys) {
+                        expect(keys).to.have.length(0);
+                        expect(oauth2._request.callCount).to.equal(1);
+                        done();
+                    }
+                );
+            });
+        });
+    });
+
+    it("should refetch for unknown kid after cooldown", function (done) {
+        respond([k1]);
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+            respond([k1, k2]);
+            client.getKeys({ alg: "ES256", kid: "k2" }, function (err, keys) {
+                expect(keys).to.have.length(0);
+                expect(oauth2._request.callCount).to.equal(1);
+
+                clock.tick(30000);
+                client.getKeys(
+                    { alg: "ES256", kid: "k2" },
+                    function (err, keys) {
+                        expect(keys).to.have.length(1);
+                        expect(oauth2._request.callCount).to.equal(2);
+                        done();
+                    }
+                );
+            });
+        });
+    });
+
+    it("should share request between concurrent calls", function (done) {
+        oauth2._request.yieldsAsync(null, JSON.stringify({ keys: [k1] }), {
+            headers: {},
+        });
+
+        var pending = 3;
+        function keyed(err, keys) {
+            expect(keys).to.have.length(1);
+            if (--pending === 0) {
+                expect(oauth2._request.callCount).to.equal(1);
+                done();
+            }
+        }
+        client.getKeys({ alg: "ES256", kid: "k1" }, keyed);
+        client.getKeys({ alg: "ES256", kid: "k1" }, keyed);
+        client.getKeys({ alg: "ES256", kid: "k1" }, keyed);
+        clock.tick(1);
+    });
+
+    it("should skip keys that cannot be imported", function (done) {
+        respond([{ kty: "oct", k: "c2VjcmV0", kid: "s1" }, k1]);
+
+        client.getKeys({ alg: "ES256" }, function (err, keys) {
+            expect(err).to.be.null;
+            expect(keys).to.have.length(1);
+            done();
+        });
+    });
+
+    it("should error when JWKS cannot be fetched", function (done) {
+        oauth2._request.yields({ statusCode: 404, data: "" });
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function (err) {
+            expect(err).to.be.an.instanceof(InternalOAuthError);
+            expect(err.message).to.equal("Failed to fetch JWKS");
+            done();
+        });
+    });
+
+    it("should not refetch during cooldown after fetch failed", function (done) {
+        oauth2._request.yields({ statusCode: 503, data: "" });
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+            client.getKeys({ alg: "ES256", kid: "k2" }, function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(oauth2._request.callCount).to.equal(1);
+
+                clock.tick(30000);
+                respond([k1]);
+                client.getKeys(
+                    { alg: "ES256", kid: "k1" },
+                    function (err, keys) {
+                        expect(keys).to.have.length(1);
+                        expect(oauth2._request.callCount).to.equal(2);
+                        done();
+                    }
+                );
+            });
+        });
+    });
+
+    it("should keep serving cached keys when refetch fails", function (done) {
+        respond([k1]);
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function () {
+            oauth2._request.yields({ statusCode: 503, data: "" });
+            clock.tick(600000);
+            client.getKeys({ alg: "ES256", kid: "k1" }, function (err, keys) {
+                expect(err).to.be.null;
+                expect(keys).to.have.length(1);
+                expect(oauth2._request.callCount).to.equal(2);
+
+                client.getKeys(
+                    { alg: "ES256", kid: "k2" },
+                    function (err, keys) {
+                        expect(keys).to.have.length(0);
+                        expect(oauth2._request.callCount).to.equal(2);
+                        done();
+                    }
+                );
+            });
+        });
+    });
+
+    it("should error when JWKS is missing keys", function (done) {
+        oauth2._request.yields(null, "{}", { headers: {} });
+
+        client.getKeys({ alg: "ES256", kid: "k1" }, function (err) {
+            expect(err.message).to.equal("JWKS document is missing keys");
+            done();
+        });
+    });
+});
@@ -0,0 +1,66 @@
+var crypto = require("crypto");
+var KeyStore = require("../lib/keystore");
+var jose = require("../lib/jose");
+
+describe("KeyStore", function () {
+    var rsa = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    var ec = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+    it("should publish public portion of keys", function () {
+        var store = new KeyStore([
+            Object.assign(rsa.privateKey.export({ format: "jwk" }), {
+                kid: "enc-1",
+                use: "enc",
+                alg: "RSA-OAEP",
+            }),
+            ec.privateKey,
+        ]);
+        var jwks = store.toJWKS();
+
+        expect(jwks.keys).to.have.length(2);
+        expect(jwks.keys[0]).to.deep.equal(
+            Object.assign(rsa.publicKey.export({ format: "jwk" }), {
+                kid: "enc-1",
+                use: "enc",
+                alg: "RSA-OAEP",
+            })
+        );
+        expect(jwks.keys[0].d).to.be.undefined;
+        expect(jwks.keys[1]).to.deep.equal(
+            Object.assign(ec.publicKey.export({ format: "jwk" }), {
+                kid: jose.thumbprint(ec.publicKey.export({ format: "jwk" })),
+            })
+        );
+    });
+
+    it("should get key by kid", function () {
+        var store = new KeyStore([
+            rsa.privateKey.export({ type: "pkcs8", format: "pem" }),
+        ]);
+        var entry = store.add(ec.privateKey, { kid: "sig-1", use: "sig" });
+
+        expect(store.get("sig-1")).to.equal(entry);
+        expect(entry.key.type).to.equal("private");
+        expect(store.get("other")).to.be.undefined;
+    });
+
+    it("should filter keys by use", function () {
+        var store = new KeyStore();
+        store.add(rsa.privateKey, { kid: "enc-1", use: "enc" });
+        store.add(ec.privateKey, { kid: "any-1" });
+
+        expect(
+            store.filter("sig").map(function (entry) {
+                return entry.jwk.kid;
+            })
+        ).to.deep.equal(["any-1"]);
+        expect(store.filter("enc")).to.have.length(2);
+    });
+
+    it("should not add key with kid already held", function () {
+        var store = new KeyStore([ec.privateKey]);
+        store.add(ec.privateKey);
+
+        expect(store.toJWKS().keys).to.have.length(1);
+    });
+});
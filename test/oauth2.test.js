@@ -0,0 +1,370 @@
+var sinon = require("sinon");
+var crypto = require("crypto");
+var querystring = require("querystring");
+var jws = require("jws");
+var OAuth2 = require("../lib/oauth2");
+var DPoP = require("../lib/dpop");
+var jose = require("../lib/jose");
+
+describe("OAuth2", function () {
+    var clock, oauth2;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(1311280970000);
+        oauth2 = new OAuth2(
+            "s6BhdRkqt3",
+            "some_secret12345",
+            "",
+            "https://server.example.com/authorize",
+            "https://server.example.com/token"
+        );
+        sinon.stub(oauth2, "_request").yields(
+            null,
+            JSON.stringify({
+                access_token: "SlAV32hkKG",
+                refresh_token: "8xLOxBtZp8",
+                token_type: "Bearer",
+            })
+        );
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    function exchange(cb) {
+        oauth2.getOAuthAccessToken(
+            "SplxlOBeZQQYbYS6WxSbIA",
+            { grant_type: "authorization_code" },
+            function (err) {
+                if (err) {
+                    return cb(err);
+                }
+                var call = oauth2._request.firstCall;
+                cb(null, call.args[2], querystring.parse(call.args[3]));
+            }
+        );
+    }
+
+    it("should post client secret by default", function (done) {
+        exchange(function (err, headers, body) {
+            expect(headers).to.deep.equal({
+                "Content-Type": "application/x-www-form-urlencoded",
+            });
+            expect(body).to.deep.equal({
+                grant_type: "authorization_code",
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+                client_id: "s6BhdRkqt3",
+                client_secret: "some_secret12345",
+            });
+            done(err);
+        });
+    });
+
+    it("should yield tokens and response parameters", function (done) {
+        oauth2.getOAuthAccessToken(
+            "SplxlOBeZQQYbYS6WxSbIA",
+            { grant_type: "authorization_code" },
+            function (err, accessToken, refreshToken, params) {
+                expect(accessToken).to.equal("SlAV32hkKG");
+                expect(refreshToken).to.equal("8xLOxBtZp8");
+                expect(params).to.deep.equal({
+                    access_token: "SlAV32hkKG",
+                    token_type: "Bearer",
+                });
+                done(err);
+            }
+        );
+    });
+
+    it("should send refresh token with refresh token grant", function (done) {
+        oauth2.getOAuthAccessToken(
+            "8xLOxBtZp8",
+            { grant_type: "refresh_token" },
+            function (err) {
+                var body = querystring.parse(oauth2._request.firstCall.args[3]);
+                expect(body.refresh_token).to.equal("8xLOxBtZp8");
+                expect(body.code).to.be.undefined;
+                done(err);
+            }
+        );
+    });
+
+    it("should authenticate with client_secret_basic", function (done) {
+        oauth2.setClientAuthentication("client_secret_basic");
+
+        exchange(function (err, headers, body) {
+            expect(headers.Authorization).to.equal(
+                "Basic " +
+                    Buffer.from("s6BhdRkqt3:some_secret12345").toString(
+                        "base64"
+                    )
+            );
+            expect(body).to.deep.equal({
+                grant_type: "authorization_code",
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+            });
+            done(err);
+        });
+    });
+
+    it("should form-encode credentials with client_secret_basic", function () {
+        oauth2 = new OAuth2("a b", "c:d", "", "", "");
+        oauth2.setClientAuthentication("client_secret_basic");
+        var headers = {};
+        oauth2.authenticateClient({}, headers);
+
+        expect(headers.Authorization).to.equal(
+            "Basic " + Buffer.from("a%20b:c%3Ad").toString("base64")
+        );
+    });
+
+    it("should authenticate with client_secret_jwt", function (done) {
+        oauth2.setClientAuthentication("client_secret_jwt");
+
+        exchange(function (err, headers, body) {
+            expect(headers.Authorization).to.be.undefined;
+            expect(body.client_id).to.equal("s6BhdRkqt3");
+            expect(body.client_secret).to.be.undefined;
+            expect(body.client_assertion_type).to.equal(
+                "urn:ietf:params:oauth:client-assertion-type:jwt-bearer"
+            );
+            expect(
+                jws.verify(body.client_assertion, "HS256", "some_secret12345")
+            ).to.be.true;
+
+            var claims = jose.decode(body.client_assertion).payload;
+            expect(claims.iss).to.equal("s6BhdRkqt3");
+            expect(claims.sub).to.equal("s6BhdRkqt3");
+            expect(claims.aud).to.equal("https://server.example.com/token");
+            expect(claims.iat).to.equal(1311280970);
+            expect(claims.exp).to.equal(1311281030);
+            expect(claims.jti).to.be.a("string");
+            done(err);
+        });
+    });
+
+    it("should sign client assertions with replaced client secret", function (done) {
+        oauth2.setClientAuthentication("client_secret_jwt");
+        oauth2.setClientSecret("other_secret");
+
+        exchange(function (err, headers, body) {
+            expect(
+                jws.verify(body.client_assertion, "HS256", "other_secret")
+            ).to.be.true;
+            done(err);
+        });
+    });
+
+    it("should authenticate with private_key_jwt", function (done) {
+        var pair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+        oauth2.setClientAuthentication("private_key_jwt", {
+            privateKey: pair.privateKey.export({
+                type: "pkcs8",
+                format: "pem",
+            }),
+        });
+
+        exchange(function (err, headers, body) {
+            var jwt = jose.decode(body.client_assertion);
+            expect(jwt.header).to.deep.equal({ alg: "ES256", typ: "JWT" });
+            expect(jose.verify(jwt, pair.publicKey)).to.be.true;
+            expect(body.client_secret).to.be.undefined;
+            done(err);
+        });
+    });
+
+    it("should authenticate with private_key_jwt using JWK", function (done) {
+        var pair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+        var jwk = Object.assign(pair.privateKey.export({ format: "jwk" }), {
+            kid: "client-key-1",
+            alg: "PS256",
+        });
+        oauth2.setClientAuthentication("private_key_jwt", { privateKey: jwk });
+
+        exchange(function (err, headers, body) {
+            var jwt = jose.decode(body.client_assertion);
+            expect(jwt.header).to.deep.equal({
+                alg: "PS256",
+                typ: "JWT",
+                kid: "client-key-1",
+            });
+            expect(jose.verify(jwt, pair.publicKey)).to.be.true;
+            done(err);
+        });
+    });
+
+    it("should authenticate with private_key_jwt using kid and alg options", function () {
+        var pair = crypto.generateKeyPairSync("ec", { namedCurve: "P-384" });
+        oauth2.setClientAuthentication("private_key_jwt", {
+            privateKey: pair.privateKey,
+            kid: "client-key-2",
+        });
+
+        var jwt = jose.decode(oauth2.clientAssertion());
+        expect(jwt.header).to.deep.equal({
+            alg: "ES384",
+            typ: "JWT",
+            kid: "client-key-2",
+        });
+        expect(jose.verify(jwt, pair.publicKey)).to.be.true;
+    });
+
+    it("should authenticate with private_key_jwt using Ed25519 key", function () {
+        var pair = crypto.generateKeyPairSync("ed25519");
+        oauth2.setClientAuthentication("private_key_jwt", {
+            privateKey: pair.privateKey,
+        });
+
+        var jwt = jose.decode(oauth2.clientAssertion());
+        expect(jwt.header.alg).to.equal("EdDSA");
+        expect(jose.verify(jwt, pair.publicKey)).to.be.true;
+    });
+
+    it("should authenticate with client_secret_jwt using alg option", function () {
+        oauth2.setClientAuthentication("client_secret_jwt", { alg: "HS512" });
+
+        expect(
+            jws.verify(oauth2.clientAssertion(), "HS512", "some_secret12345")
+        ).to.be.true;
+    });
+
+    it("should throw when private key cannot sign with alg", function () {
+        var pair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+        expect(function () {
+            oauth2.setClientAuthentication("private_key_jwt", {
+                privateKey: pair.privateKey,
+                alg: "RS256",
+            });
+        }).to.throw(TypeError, "private_key_jwt cannot sign with RS256");
+    });
+
+    it("should throw when client secret cannot sign with alg", function () {
+        expect(function () {
+            oauth2.setClientAuthentication("client_secret_jwt", {
+                alg: "RS256",
+            });
+        }).to.throw(TypeError, "client_secret_jwt cannot sign with RS256");
+    });
+
+    it("should create unique client assertions", function () {
+        oauth2.setClientAuthentication("client_secret_jwt");
+
+        var first = jose.decode(oauth2.clientAssertion()).payload;
+        var second = jose.decode(oauth2.clientAssertion()).payload;
+        expect(first.jti).to.not.equal(second.jti);
+    });
+
+    it("should only send client_id with none", function (done) {
+        oauth2.setClientAuthentication("none");
+
+        exchange(function (err, headers, body) {
+            expect(headers.Authorization).to.be.undefined;
+            expect(body).to.deep.equal({
+                grant_type: "authorization_code",
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+                client_id: "s6BhdRkqt3",
+            });
+            done(err);
+        });
+    });
+
+    it("should only send client_id with tls_client_auth", function (done) {
+        oauth2.setClientAuthentication("tls_client_auth");
+
+        exchange(function (err, headers, body) {
+            expect(headers.Authorization).to.be.undefined;
+            expect(body).to.deep.equal({
+                grant_type: "authorization_code",
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+                client_id: "s6BhdRkqt3",
+            });
+            done(err);
+        });
+    });
+
+    it("should throw with unsupported method", function () {
+        expect(function () {
+            oauth2.setClientAuthentication("attest_jwt_client_auth");
+        }).to.throw(
+            TypeError,
+            'Unsupported token endpoint auth method "attest_jwt_client_auth"'
+        );
+    });
+
+    it("should throw with private_key_jwt without private key", function () {
+        expect(function () {
+            oauth2.setClientAuthentication("private_key_jwt");
+        }).to.throw(TypeError, "private_key_jwt requires a private key");
+    });
+
+    it("should send DPoP proof with token request", function (done) {
+        var dpop = DPoP.generate();
+
+        oauth2.getOAuthAccessToken(
+            "SplxlOBeZQQYbYS6WxSbIA",
+            { grant_type: "authorization_code" },
+            { dpop: dpop },
+            function (err) {
+                var jwt = jose.decode(oauth2._request.firstCall.args[2].DPoP);
+                expect(jose.thumbprint(jwt.header.jwk)).to.equal(
+                    dpop.thumbprint()
+                );
+                expect(jwt.payload.htm).to.equal("POST");
+                expect(jwt.payload.htu).to.equal(
+                    "https://server.example.com/token"
+                );
+                expect(jwt.payload).to.not.have.property("ath");
+                done(err);
+            }
+        );
+    });
+
+    it("should retry token request with DPoP nonce", function (done) {
+        var dpop = DPoP.generate();
+        oauth2._request.onFirstCall().yields({
+            statusCode: 400,
+            data: '{"error":"use_dpop_nonce","error_description":"Authorization server requires nonce in DPoP proof"}',
+            headers: { "dpop-nonce": "eyJ7S_zG.eyJH0-Z.HX4w-7v" },
+        });
+
+        oauth2.getOAuthAccessToken(
+            "SplxlOBeZQQYbYS6WxSbIA",
+            { grant_type: "authorization_code" },
+            { dpop: dpop },
+            function (err, accessToken) {
+                expect(accessToken).to.equal("SlAV32hkKG");
+                expect(oauth2._request.callCount).to.equal(2);
+                expect(
+                    jose.decode(oauth2._request.firstCall.args[2].DPoP).payload
+                ).to.not.have.property("nonce");
+                expect(
+                    jose.decode(oauth2._request.secondCall.args[2].DPoP).payload
+                        .nonce
+                ).to.equal("eyJ7S_zG.eyJH0-Z.HX4w-7v");
+                done(err);
+            }
+        );
+    });
+
+    it("should not retry token request without new DPoP nonce", function (done) {
+        var dpop = DPoP.generate();
+        oauth2._request.yields({
+            statusCode: 400,
+            data: '{"error":"use_dpop_nonce"}',
+            headers: {},
+        });
+
+        oauth2.getOAuthAccessToken(
+            "SplxlOBeZQQYbYS6WxSbIA",
+            { grant_type: "authorization_code" },
+            { dpop: dpop },
+            function (err) {
+                expect(err.statusCode).to.equal(400);
+                expect(oauth2._request.callCount).to.equal(1);
+                done();
+            }
+        );
+    });
+});
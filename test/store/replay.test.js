@@ -0,0 +1,77 @@
+var sinon = require("sinon");
+var ReplayStore = require("../../lib/state/replay");
+
+describe("ReplayStore", function () {
+    var clock, store;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(1311280970000);
+        store = new ReplayStore();
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it("should accept identifier seen for the first time", function (done) {
+        store.verify("jti-1", new Date(1311281570000), function (err, fresh) {
+            expect(err).to.be.null;
+            expect(fresh).to.be.true;
+            done();
+        });
+    });
+
+    it("should reject identifier seen before", function (done) {
+        store.verify("jti-1", new Date(1311281570000), function () {
+            store.verify(
+                "jti-1",
+                new Date(1311281570000),
+                function (err, fresh) {
+                    expect(err).to.be.null;
+                    expect(fresh).to.be.false;
+                    done();
+                }
+            );
+        });
+    });
+
+    it("should reject identifier that has already expired", function (done) {
+        store.verify("jti-1", new Date(1311280970000), function (err, fresh) {
+            expect(err).to.be.null;
+            expect(fresh).to.be.false;
+            expect(store._seen.size).to.equal(0);
+            done();
+        });
+    });
+
+    it("should forget identifier after it expires", function (done) {
+        store.verify("jti-1", new Date(1311281570000), function () {
+            clock.tick(600000);
+            store.verify(
+                "jti-1",
+                new Date(1311282170000),
+                function (err, fresh) {
+                    expect(fresh).to.be.true;
+                    expect(store._seen.size).to.equal(1);
+                    done();
+                }
+            );
+        });
+    });
+
+    it("should accept identifier again after it is removed", function (done) {
+        store.verify("jti-1", new Date(1311281570000), function () {
+            store.remove("jti-1", function (err) {
+                expect(err).to.be.null;
+                store.verify(
+                    "jti-1",
+                    new Date(1311281570000),
+                    function (err, fresh) {
+                        expect(fresh).to.be.true;
+                        done();
+                    }
+                );
+            });
+        });
+    });
+});
@@ -197,7 +197,7 @@ describe("SessionStore", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -302,7 +302,7 @@ describe("SessionStore", function () {
                             exp: Math.floor((Date.now() + 1000000) / 1000),
                             iat: Math.floor(Date.now() / 1000),
                         },
-                        secret: "keyboard cat",
+                        secret: "some_secret12345",
                     }),
                 });
 
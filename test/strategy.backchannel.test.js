@@ -0,0 +1,363 @@
+var sinon = require("sinon");
+var jws = require("jws");
+var stream = require("stream");
+var createStrategy = require("./helpers/strategy");
+
+describe("Strategy", function () {
+    describe("#backchannelLogout", function () {
+        var clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        function logoutToken(claims, secret) {
+            return jws.sign({
+                header: { alg: "HS256", typ: "logout+jwt" },
+                payload: Object.assign(
+                    {
+                        iss: "https://server.example.com",
+                        aud: "s6BhdRkqt3",
+                        iat: 1311280970,
+                        jti: "bWJq",
+                        sid: "08a5019c-17e1-4977-8f42-65a12843ea02",
+                        events: {
+                            "http://schemas.openid.net/event/backchannel-logout":
+                                {},
+                        },
+                    },
+                    claims
+                ),
+                secret: secret || "some_secret12345",
+            });
+        }
+
+        function request(body) {
+            return { body: body };
+        }
+
+        function response(cb) {
+            var res = { headers: {} };
+            res.setHeader = function (name, value) {
+                res.headers[name.toLowerCase()] = value;
+            };
+            res.end = function (body) {
+                res.body = body;
+                cb(res);
+            };
+            return res;
+        }
+
+        function fail(done) {
+            return function (err) {
+                done(err || new Error("next should not be called"));
+            };
+        }
+
+        it("should invoke callback with claims of valid logout token", function (done) {
+            var strategy = createStrategy();
+            var claims;
+            var middleware = strategy.backchannelLogout(function (c, cb) {
+                claims = c;
+                cb();
+            });
+
+            middleware(
+                request({ logout_token: logoutToken() }),
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    expect(res.headers["cache-control"]).to.equal("no-store");
+                    expect(claims.sid).to.equal(
+                        "08a5019c-17e1-4977-8f42-65a12843ea02"
+                    );
+                    done();
+                }),
+                fail(done)
+            );
+        });
+
+        it("should invoke callback with request when arity is 3", function (done) {
+            var strategy = createStrategy();
+            var req = request({ logout_token: logoutToken() });
+            var middleware = strategy.backchannelLogout(function (r, c, cb) {
+                expect(r).to.equal(req);
+                expect(c.jti).to.equal("bWJq");
+                cb();
+            });
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    done();
+                }),
+                fail(done)
+            );
+        });
+
+        it("should parse url-encoded request body", function (done) {
+            var strategy = createStrategy();
+            var middleware = strategy.backchannelLogout(function (c, cb) {
+                cb();
+            });
+            var req = stream.Readable.from([
+                "logout_token=" + encodeURIComponent(logoutToken()),
+            ]);
+            req.headers = {
+                "content-type": "application/x-www-form-urlencoded",
+            };
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    done();
+                }),
+                fail(done)
+            );
+        });
+
+        it("should parse url-encoded request body skipped by JSON parser", function (done) {
+            var strategy = createStrategy();
+            var middleware = strategy.backchannelLogout(function (c, cb) {
+                cb();
+            });
+            var req = stream.Readable.from([
+                "logout_token=" + encodeURIComponent(logoutToken()),
+            ]);
+            req.headers = {
+                "content-type": "application/x-www-form-urlencoded",
+            };
+            req.body = {};
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    done();
+                }),
+                fail(done)
+            );
+        });
+
+        function rejects(title, body, message) {
+            it(title, function (done) {
+                var strategy = createStrategy();
+                var middleware = strategy.backchannelLogout(function () {
+                    done(new Error("callback should not be called"));
+                });
+
+                middleware(
+                    request(body()),
+                    response(function (res) {
+                        expect(res.statusCode).to.equal(400);
+                        expect(JSON.parse(res.body)).to.deep.equal({
+                            error: "invalid_request",
+                            error_description: message,
+                        });
+                        done();
+                    }),
+                    fail(done)
+                );
+            });
+        }
+
+        rejects(
+            "should reject request without logout token",
+            function () {
+                return {};
+            },
+            "Missing logout_token parameter."
+        );
+
+        rejects(
+            "should reject malformed logout token",
+            function () {
+                return { logout_token: "foo" };
+            },
+            "Malformed logout token."
+        );
+
+        rejects(
+            "should reject logout token with invalid signature",
+            function () {
+                return { logout_token: logoutToken({}, "other_secret") };
+            },
+            "Logout token signature is invalid."
+        );
+
+        rejects(
+            "should reject logout token from another issuer",
+            function () {
+                return {
+                    logout_token: logoutToken({
+                        iss: "https://evil.example.com",
+                    }),
+                };
+            },
+            "Logout token not issued by expected OpenID provider."
+        );
+
+        rejects(
+            "should reject logout token without jti",
+            function () {
+                return { logout_token: logoutToken({ jti: undefined }) };
+            },
+            "Logout token missing JWT ID claim."
+        );
+
+        rejects(
+            "should reject logout token without logout event",
+            function () {
+                return { logout_token: logoutToken({ events: {} }) };
+            },
+            "Logout token missing back-channel logout event."
+        );
+
+        rejects(
+            "should reject logout token without sub or sid",
+            function () {
+                return { logout_token: logoutToken({ sid: undefined }) };
+            },
+            "Logout token missing subject and session ID claims."
+        );
+
+        rejects(
+            "should reject logout token with nonce",
+            function () {
+                return { logout_token: logoutToken({ nonce: "n-0S6_WzA2Mj" }) };
+            },
+            "Logout token must not contain a nonce."
+        );
+
+        it("should reject replayed logout token", function (done) {
+            var strategy = createStrategy();
+            var middleware = strategy.backchannelLogout(function (c, cb) {
+                cb();
+            });
+            var token = logoutToken();
+
+            middleware(
+                request({ logout_token: token }),
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    middleware(
+                        request({ logout_token: token }),
+                        response(function (res) {
+                            expect(res.statusCode).to.equal(400);
+                            expect(
+                                JSON.parse(res.body).error_description
+                            ).to.equal("Logout token has already been used.");
+                            done();
+                        }),
+                        fail(done)
+                    );
+                }),
+                fail(done)
+            );
+        });
+
+        rejects(
+            "should reject logout token with non-numeric issued at",
+            function () {
+                return { logout_token: logoutToken({ iat: "1311280970" }) };
+            },
+            "Logout token issued at claim not a number."
+        );
+
+        rejects(
+            "should reject logout token issued in the future",
+            function () {
+                return { logout_token: logoutToken({ iat: 1311281090 }) };
+            },
+            "Logout token issued in the future."
+        );
+
+        it("should reject replayed logout token issued long ago", function (done) {
+            var strategy = createStrategy();
+            var middleware = strategy.backchannelLogout(function () {
+                done(new Error("callback should not be called"));
+            });
+            var token = logoutToken({ iat: 1311280970 - 30 * 24 * 3600 });
+
+            middleware(
+                request({ logout_token: token }),
+                response(function (res) {
+                    expect(res.statusCode).to.equal(400);
+                    middleware(
+                        request({ logout_token: token }),
+                        response(function (res) {
+                            expect(res.statusCode).to.equal(400);
+                            expect(
+                                JSON.parse(res.body).error_description
+                            ).to.equal("Logout token is too old.");
+                            done();
+                        }),
+                        fail(done)
+                    );
+                }),
+                fail(done)
+            );
+        });
+
+        it("should pass callback error to next", function (done) {
+            var strategy = createStrategy();
+            var middleware = strategy.backchannelLogout(function (c, cb) {
+                cb(new Error("something went wrong"));
+            });
+
+            middleware(
+                request({ logout_token: logoutToken() }),
+                response(function () {
+                    done(new Error("response should not be sent"));
+                }),
+                function (err) {
+                    expect(err.message).to.equal("something went wrong");
+                    done();
+                }
+            );
+        });
+
+        it("should accept logout token again after callback error", function (done) {
+            var strategy = createStrategy();
+            var calls = 0;
+            var middleware = strategy.backchannelLogout(function (c, cb) {
+                calls++;
+                cb(calls === 1 ? new Error("something went wrong") : null);
+            });
+            var token = logoutToken();
+
+            middleware(
+                request({ logout_token: token }),
+                response(function () {
+                    done(new Error("response should not be sent"));
+                }),
+                function (err) {
+                    expect(err.message).to.equal("something went wrong");
+                    middleware(
+                        request({ logout_token: token }),
+                        response(function (res) {
+                            expect(res.statusCode).to.equal(200);
+                            expect(calls).to.equal(2);
+                            done();
+                        }),
+                        fail(done)
+                    );
+                }
+            );
+        });
+
+        it("should throw without callback", function () {
+            expect(function () {
+                createStrategy().backchannelLogout();
+            }).to.throw(
+                TypeError,
+                "Back-channel logout requires a callback function"
+            );
+        });
+    });
+});
@@ -0,0 +1,316 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var Strategy = require("../lib/strategy");
+var createStrategy = require("./helpers/strategy");
+var uri = require("url");
+var InternalOAuthError = require("../lib/errors/internaloautherror");
+
+describe("Strategy", function () {
+    describe("with discovery", function () {
+        var metadata = {
+            issuer: "https://server.example.com",
+            authorization_endpoint: "https://server.example.com/authorize",
+            token_endpoint: "https://server.example.com/token",
+            userinfo_endpoint: "https://server.example.com/userinfo",
+            jwks_uri: "https://server.example.com/jwks",
+            end_session_endpoint: "https://server.example.com/logout",
+            id_token_signing_alg_values_supported: ["RS256"],
+        };
+
+        var strategy;
+
+        beforeEach(function () {
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                },
+                function () {}
+            );
+        });
+
+        it("should redirect to discovered authorization endpoint", function (done) {
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify(metadata));
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .redirect(function (url) {
+                    var l = uri.parse(url, true);
+
+                    expect(url).to.equal(
+                        "https://server.example.com/authorize?response_type=code&client_id=s6BhdRkqt3&redirect_uri=https%3A%2F%2Fclient.example.org%2Fcb&scope=openid&state=" +
+                            encodeURIComponent(l.query.state)
+                    );
+                    expect(
+                        this.session["openidconnect:server.example.com"].state
+                    ).to.deep.equal({
+                        handle: l.query.state,
+                    });
+                    expect(strategy._oauth2._request.calledOnce).to.be.true;
+                    expect(strategy._oauth2._request.args[0][1]).to.equal(
+                        "https://server.example.com/.well-known/openid-configuration"
+                    );
+                    expect(strategy.metadata).to.deep.equal(metadata);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should configure endpoints from metadata", function (done) {
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify(metadata));
+
+            strategy.discover(function (err, md) {
+                if (err) {
+                    return done(err);
+                }
+                expect(md).to.deep.equal(metadata);
+                expect(strategy._oauth2._authorizeUrl).to.equal(
+                    "https://server.example.com/authorize"
+                );
+                expect(strategy._oauth2._accessTokenUrl).to.equal(
+                    "https://server.example.com/token"
+                );
+                expect(strategy._userInfoURL).to.equal(
+                    "https://server.example.com/userinfo"
+                );
+                expect(strategy._endSessionURL).to.equal(
+                    "https://server.example.com/logout"
+                );
+                expect(strategy._jwksURI).to.equal(
+                    "https://server.example.com/jwks"
+                );
+                expect(strategy._jwks).to.be.an("object");
+                done();
+            });
+        });
+
+        it("should keep endpoints given as options", function (done) {
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://login.example.com/authorize",
+                    userInfoURL: "https://api.example.com/me",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                },
+                function () {}
+            );
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify(metadata));
+
+            strategy.discover(function (err) {
+                if (err) {
+                    return done(err);
+                }
+                expect(strategy._oauth2._authorizeUrl).to.equal(
+                    "https://login.example.com/authorize"
+                );
+                expect(strategy._oauth2._accessTokenUrl).to.equal(
+                    "https://server.example.com/token"
+                );
+                expect(strategy._userInfoURL).to.equal(
+                    "https://api.example.com/me"
+                );
+                done();
+            });
+        });
+
+        it("should fetch metadata once for concurrent and later calls", function (done) {
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify(metadata));
+
+            var pending = 2;
+            function discovered(err) {
+                if (err) {
+                    return done(err);
+                }
+                if (--pending) {
+                    return;
+                }
+                strategy.discover(function (err) {
+                    expect(strategy._oauth2._request.calledOnce).to.be.true;
+                    done(err);
+                });
+            }
+            strategy.discover(discovered);
+            strategy.discover(discovered);
+        });
+
+        it("should configure the strategy passport authenticates with", function (done) {
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify(metadata));
+
+            Object.create(strategy).discover(function (err) {
+                if (err) {
+                    return done(err);
+                }
+                expect(strategy.metadata).to.deep.equal(metadata);
+                done();
+            });
+        });
+
+        it("should error when metadata issuer does not match", function (done) {
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify(
+                    Object.assign({}, metadata, {
+                        issuer: "https://evil.example.com",
+                    })
+                )
+            );
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .error(function (err) {
+                    expect(err.message).to.equal(
+                        "OpenID provider metadata issuer does not match expected issuer"
+                    );
+                    expect(strategy.metadata).to.be.undefined;
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should error when metadata is missing token endpoint", function (done) {
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                })
+            );
+
+            strategy.discover(function (err) {
+                expect(err.message).to.equal(
+                    "OpenID provider metadata missing token_endpoint"
+                );
+                done();
+            });
+        });
+
+        it("should error and retry when metadata cannot be fetched", function (done) {
+            var stub = sinon.stub(strategy._oauth2, "_request");
+            stub.onFirstCall().yieldsAsync({ statusCode: 503, data: "" });
+            stub.onSecondCall().yieldsAsync(null, JSON.stringify(metadata));
+
+            strategy.discover(function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(err.message).to.equal(
+                    "Failed to fetch OpenID provider metadata"
+                );
+
+                strategy.discover(function (err, md) {
+                    expect(err).to.be.null;
+                    expect(md).to.deep.equal(metadata);
+                    done();
+                });
+            });
+        });
+
+        describe("with supported methods and algorithms", function () {
+            var supported = Object.assign({}, metadata, {
+                token_endpoint_auth_methods_supported: [
+                    "client_secret_basic",
+                    "private_key_jwt",
+                ],
+                code_challenge_methods_supported: ["S256"],
+                id_token_signing_alg_values_supported: ["RS256", "HS256"],
+            });
+
+            function create(options) {
+                strategy = createStrategy(
+                    Object.assign(
+                        { authorizationURL: undefined, tokenURL: undefined },
+                        options
+                    )
+                );
+                sinon
+                    .stub(strategy._oauth2, "_request")
+                    .yieldsAsync(null, JSON.stringify(supported));
+            }
+
+            it("should accept supported configuration", function (done) {
+                create({
+                    tokenEndpointAuthMethod: "client_secret_basic",
+                    pkce: "S256",
+                    idTokenSignedResponseAlg: "RS256",
+                });
+
+                strategy.discover(function (err) {
+                    expect(err).to.be.null;
+                    expect(strategy.metadata).to.deep.equal(supported);
+                    done();
+                });
+            });
+
+            it("should use client_secret_basic when client_secret_post is not supported", function (done) {
+                create();
+
+                strategy.discover(function (err) {
+                    expect(err).to.be.null;
+                    expect(strategy._oauth2._clientAuthMethod).to.equal(
+                        "client_secret_basic"
+                    );
+                    done();
+                });
+            });
+
+            it("should error when token endpoint auth method is not supported", function (done) {
+                create({ tokenEndpointAuthMethod: "client_secret_post" });
+
+                strategy.discover(function (err) {
+                    expect(err.message).to.equal(
+                        'OpenID provider does not support token endpoint auth method "client_secret_post"'
+                    );
+                    expect(strategy.metadata).to.be.undefined;
+                    done();
+                });
+            });
+
+            it("should error when PKCE method is not supported", function (done) {
+                create({ pkce: "plain" });
+
+                strategy.discover(function (err) {
+                    expect(err.message).to.equal(
+                        'OpenID provider does not support PKCE method "plain"'
+                    );
+                    done();
+                });
+            });
+
+            it("should error when ID token signing algorithm is not supported", function (done) {
+                create({ idTokenSignedResponseAlg: "ES256" });
+
+                chai.passport
+                    .use(strategy)
+                    .request(function (req) {
+                        req.session = {};
+                    })
+                    .error(function (err) {
+                        expect(err.message).to.equal(
+                            'OpenID provider does not support ID token signing algorithm "ES256"'
+                        );
+                        done();
+                    })
+                    .authenticate();
+            });
+        });
+    });
+});
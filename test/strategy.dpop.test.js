@@ -0,0 +1,274 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var jws = require("jws");
+var jose = require("../lib/jose");
+var createStrategy = require("./helpers/strategy");
+
+describe("Strategy", function () {
+    describe("with DPoP", function () {
+        var clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        var options = {
+            userInfoURL: "https://server.example.com/userinfo",
+            skipUserProfile: false,
+        };
+
+        function verify(issuer, profile, cb) {
+            return cb(null, { id: profile.id, name: profile.displayName });
+        }
+
+        function respond(strategy, tokenType) {
+            var stub = sinon.stub(strategy._oauth2, "_request");
+            stub.onFirstCall().yieldsAsync(
+                null,
+                JSON.stringify({
+                    access_token: "Kz~8mXK1EalYznwH-LC-1fBAo.4Ljp~zsPE_NeO.gxU",
+                    token_type: tokenType || "DPoP",
+                    expires_in: 2677,
+                    refresh_token:
+                        "Q..Zkm29lexi8VnWg2zPW1x-tgGad0Ibc3s3EwM_Ni4-g",
+                    id_token: jws.sign({
+                        header: { alg: "HS256" },
+                        payload: {
+                            iss: "https://server.example.com",
+                            sub: "248289761001",
+                            aud: "s6BhdRkqt3",
+                            exp: 1311281970,
+                            iat: 1311280970,
+                        },
+                        secret: "some_secret12345",
+                    }),
+                })
+            );
+            stub.onSecondCall().yieldsAsync(
+                null,
+                JSON.stringify({ sub: "248289761001", name: "Jane Doe" }),
+                {
+                    statusCode: 200,
+                    headers: { "content-type": "application/json" },
+                }
+            );
+            return stub;
+        }
+
+        function callback(req) {
+            req.query = {
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+                state: "af0ifjsldkj",
+            };
+            req.session = {};
+            req.session["openidconnect:server.example.com"] = {
+                state: {
+                    handle: "af0ifjsldkj",
+                },
+            };
+        }
+
+        it("should bind tokens and fetch UserInfo with DPoP proofs", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, { dpop: true }),
+                verify
+            );
+            var stub = respond(strategy);
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (user) {
+                    expect(user).to.deep.equal({
+                        id: "248289761001",
+                        name: "Jane Doe",
+                    });
+
+                    var token = jose.decode(stub.firstCall.args[2].DPoP);
+                    expect(stub.firstCall.args[1]).to.equal(
+                        "https://server.example.com/token"
+                    );
+                    expect(token.payload.htm).to.equal("POST");
+                    expect(jose.thumbprint(token.header.jwk)).to.equal(
+                        strategy._dpop.thumbprint()
+                    );
+
+                    var headers = stub.secondCall.args[2];
+                    expect(headers.Authorization).to.equal(
+                        "DPoP Kz~8mXK1EalYznwH-LC-1fBAo.4Ljp~zsPE_NeO.gxU"
+                    );
+                    var userinfo = jose.decode(headers.DPoP);
+                    expect(userinfo.payload.htm).to.equal("GET");
+                    expect(userinfo.payload.htu).to.equal(
+                        "https://server.example.com/userinfo"
+                    );
+                    expect(userinfo.payload.ath).to.equal(
+                        "fUHyO2r2Z3DZ53EsNrWBb0xWXoaNy59IiKCAqksmQEo"
+                    );
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fetch UserInfo with bearer token when provider does not bind it", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, { dpop: true }),
+                verify
+            );
+            respond(strategy, "Bearer");
+            sinon
+                .stub(strategy._oauth2, "get")
+                .yieldsAsync(
+                    null,
+                    JSON.stringify({ sub: "248289761001", name: "Jane Doe" }),
+                    {
+                        statusCode: 200,
+                        headers: { "content-type": "application/json" },
+                    }
+                );
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function () {
+                    expect(strategy._oauth2.get.firstCall.args[1]).to.equal(
+                        "Kz~8mXK1EalYznwH-LC-1fBAo.4Ljp~zsPE_NeO.gxU"
+                    );
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should keep a key for each session", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, { dpop: { session: true } }),
+                verify
+            );
+            var stub = respond(strategy);
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function () {
+                    var req = this;
+                    var stored =
+                        req.session["openidconnect:server.example.com"].dpop;
+                    expect(stored.alg).to.equal("ES256");
+                    expect(stored).to.have.property("d");
+
+                    var token = jose.decode(stub.firstCall.args[2].DPoP);
+                    var proof = jose.decode(
+                        strategy.dpopProof(
+                            "GET",
+                            "https://api.example.com/accounts",
+                            {
+                                accessToken:
+                                    "Kz~8mXK1EalYznwH-LC-1fBAo.4Ljp~zsPE_NeO.gxU",
+                                req: req,
+                            }
+                        )
+                    );
+                    expect(proof.header.jwk).to.deep.equal(token.header.jwk);
+                    expect(proof.payload.htu).to.equal(
+                        "https://api.example.com/accounts"
+                    );
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should create proof with nonce of resource server", function () {
+            var strategy = createStrategy(
+                Object.assign({}, options, { dpop: true }),
+                verify
+            );
+            var proof = jose.decode(
+                strategy.dpopProof("POST", "https://api.example.com/payments", {
+                    nonce: "eyJ7S_zG.eyJH0-Z.HX4w-7v",
+                })
+            );
+
+            expect(proof.payload.nonce).to.equal("eyJ7S_zG.eyJH0-Z.HX4w-7v");
+            expect(jose.verify(proof, jose.importJWK(proof.header.jwk))).to.be
+                .true;
+        });
+
+        it("should send DPoP proof when refreshing tokens", function () {
+            var strategy = createStrategy(
+                Object.assign({}, options, { dpop: true }),
+                verify
+            );
+            var stub = respond(strategy);
+
+            return strategy
+                .refresh("Q..Zkm29lexi8VnWg2zPW1x-tgGad0Ibc3s3EwM_Ni4-g")
+                .then(function (result) {
+                    expect(result.tokenType).to.equal("DPoP");
+                    expect(
+                        jose.decode(stub.firstCall.args[2].DPoP).payload.htu
+                    ).to.equal("https://server.example.com/token");
+                });
+        });
+
+        it("should error when refreshing without session of key", function () {
+            var strategy = createStrategy(
+                Object.assign({}, options, { dpop: { session: true } }),
+                verify
+            );
+
+            return strategy.refresh("8xLOxBtZp8").then(
+                function () {
+                    throw new Error("should not resolve");
+                },
+                function (err) {
+                    expect(err.message).to.equal(
+                        "DPoP key not found in session"
+                    );
+                }
+            );
+        });
+
+        it("should throw when creating proof without dpop option", function () {
+            var strategy = createStrategy(options, verify);
+
+            expect(function () {
+                strategy.dpopProof("GET", "https://api.example.com/accounts");
+            }).to.throw(
+                TypeError,
+                "dpop option is required to create DPoP proofs"
+            );
+        });
+
+        it("should throw with unsupported alg", function () {
+            expect(function () {
+                createStrategy(
+                    Object.assign({}, options, {
+                        dpop: { session: true, alg: "HS256" },
+                    }),
+                    verify
+                );
+            }).to.throw(TypeError, "Unsupported DPoP alg HS256");
+        });
+
+        it("should throw with RSA alg for session keys", function () {
+            expect(function () {
+                createStrategy(
+                    Object.assign({}, options, {
+                        dpop: { session: true, alg: "PS256" },
+                    }),
+                    verify
+                );
+            }).to.throw(
+                TypeError,
+                "dpop.session option does not support RSA alg PS256"
+            );
+        });
+    });
+});
@@ -0,0 +1,182 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var jws = require("jws");
+var uri = require("url");
+var stream = require("stream");
+var Strategy = require("../lib/strategy");
+var AuthorizationError = require("../lib/errors/authorizationerror");
+
+describe("Strategy", function () {
+    describe("with form_post response mode", function () {
+        var clock, strategy;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                    responseMode: "form_post",
+                },
+                function (issuer, profile, cb) {
+                    return cb(null, { id: profile.id });
+                }
+            );
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: jws.sign({
+                        header: { alg: "HS256" },
+                        payload: {
+                            iss: "https://server.example.com",
+                            sub: "248289761001",
+                            aud: "s6BhdRkqt3",
+                            exp: 1311281970,
+                            iat: 1311280970,
+                        },
+                        secret: "some_secret12345",
+                    }),
+                });
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        function session(req) {
+            req.session = {};
+            req.session["openidconnect:server.example.com"] = {
+                state: {
+                    handle: "af0ifjsldkj",
+                },
+            };
+        }
+
+        it("should request form_post response mode", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .redirect(function (url) {
+                    expect(uri.parse(url, true).query.response_mode).to.equal(
+                        "form_post"
+                    );
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should exchange code from parsed body", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.method = "POST";
+                    req.body = {
+                        code: "SplxlOBeZQQYbYS6WxSbIA",
+                        state: "af0ifjsldkj",
+                    };
+                    session(req);
+                })
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    expect(
+                        strategy._oauth2.getOAuthAccessToken.firstCall.args[0]
+                    ).to.equal("SplxlOBeZQQYbYS6WxSbIA");
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should exchange code from url-encoded body", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.method = "POST";
+                    req.headers["content-type"] =
+                        "application/x-www-form-urlencoded";
+                    req.body = Buffer.from(
+                        "code=SplxlOBeZQQYbYS6WxSbIA&state=af0ifjsldkj"
+                    );
+                    session(req);
+                })
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should exchange code from url-encoded body skipped by JSON parser", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    var body = stream.Readable.from([
+                        "code=SplxlOBeZQQYbYS6WxSbIA&state=af0ifjsldkj",
+                    ]);
+                    req.method = "POST";
+                    req.headers["content-type"] =
+                        "application/x-www-form-urlencoded";
+                    req.body = {};
+                    req.on = body.on.bind(body);
+                    req.setEncoding = body.setEncoding.bind(body);
+                    session(req);
+                })
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should error with error from body", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.method = "POST";
+                    req.body = {
+                        error: "invalid_request",
+                        error_description: "Unsupported response_type",
+                        state: "af0ifjsldkj",
+                    };
+                    session(req);
+                })
+                .error(function (err) {
+                    expect(err).to.be.an.instanceof(AuthorizationError);
+                    expect(err.code).to.equal("invalid_request");
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should fail when state in body does not match", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.method = "POST";
+                    req.body = {
+                        code: "SplxlOBeZQQYbYS6WxSbIA",
+                        state: "other",
+                    };
+                    session(req);
+                })
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "Invalid authorization request state.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+    });
+});
@@ -0,0 +1,206 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var jws = require("jws");
+var createStrategy = require("./helpers/strategy");
+
+describe("Strategy", function () {
+    function respond(strategy) {
+        var idToken = jws.sign({
+            header: { alg: "HS256" },
+            payload: {
+                iss: "https://server.example.com",
+                sub: "248289761001",
+                aud: "s6BhdRkqt3",
+                exp: Math.floor((Date.now() + 1000000) / 1000),
+                iat: Math.floor(Date.now() / 1000),
+                sid: "08a5019c-17e1-4977-8f42-65a12843ea02",
+            },
+            secret: "some_secret12345",
+        });
+        sinon
+            .stub(strategy._oauth2, "getOAuthAccessToken")
+            .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                id_token: idToken,
+            });
+    }
+
+    it("should remember provider session of ID token at login", function (done) {
+        var strategy = createStrategy();
+        respond(strategy);
+
+        chai.passport
+            .use(strategy)
+            .request(function (req) {
+                req.query = {
+                    code: "SplxlOBeZQQYbYS6WxSbIA",
+                    state: "af0ifjsldkj",
+                };
+                req.session = {
+                    "openidconnect:server.example.com": {
+                        state: { handle: "af0ifjsldkj" },
+                    },
+                };
+            })
+            .success(function (user) {
+                expect(user).to.deep.equal({ id: "248289761001" });
+                expect(this.session).to.deep.equal({
+                    "openidconnect:server.example.com": {
+                        sid: "08a5019c-17e1-4977-8f42-65a12843ea02",
+                    },
+                });
+                done();
+            })
+            .error(done)
+            .authenticate();
+    });
+
+    describe("#frontchannelLogout", function () {
+        var strategy = createStrategy();
+        var middleware = strategy.frontchannelLogout();
+
+        function request(query) {
+            return {
+                query: query,
+                session: {
+                    "openidconnect:server.example.com": {
+                        sid: "08a5019c-17e1-4977-8f42-65a12843ea02",
+                    },
+                    "passport": { user: { id: "248289761001" } },
+                },
+            };
+        }
+
+        function response(cb) {
+            var res = { headers: {} };
+            res.setHeader = function (name, value) {
+                res.headers[name.toLowerCase()] = value;
+            };
+            res.end = function () {
+                cb(res);
+            };
+            return res;
+        }
+
+        function next(done) {
+            return function (err) {
+                done(err || new Error("next should not be called"));
+            };
+        }
+
+        it("should clear login of matching provider session", function (done) {
+            var req = request({
+                iss: "https://server.example.com",
+                sid: "08a5019c-17e1-4977-8f42-65a12843ea02",
+            });
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    expect(res.headers["cache-control"]).to.equal(
+                        "no-cache, no-store"
+                    );
+                    expect(req.session).to.deep.equal({ passport: {} });
+                    done();
+                }),
+                next(done)
+            );
+        });
+
+        it("should parse query from request URL", function (done) {
+            var req = request();
+            req.url =
+                "/logout/frontchannel?iss=https%3A%2F%2Fserver.example.com&sid=08a5019c-17e1-4977-8f42-65a12843ea02";
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    expect(req.session).to.deep.equal({ passport: {} });
+                    done();
+                }),
+                next(done)
+            );
+        });
+
+        it("should clear login without iss and sid", function (done) {
+            var req = request({});
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(200);
+                    expect(req.session).to.deep.equal({ passport: {} });
+                    done();
+                }),
+                next(done)
+            );
+        });
+
+        it("should not clear login of another provider session", function (done) {
+            var req = request({
+                iss: "https://server.example.com",
+                sid: "other",
+            });
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(400);
+                    expect(req.session.passport.user).to.deep.equal({
+                        id: "248289761001",
+                    });
+                    done();
+                }),
+                next(done)
+            );
+        });
+
+        it("should not clear login for another issuer", function (done) {
+            var req = request({
+                iss: "https://evil.example.com",
+                sid: "08a5019c-17e1-4977-8f42-65a12843ea02",
+            });
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(400);
+                    expect(
+                        req.session["openidconnect:server.example.com"].sid
+                    ).to.equal("08a5019c-17e1-4977-8f42-65a12843ea02");
+                    done();
+                }),
+                next(done)
+            );
+        });
+
+        it("should not clear login when sid is missing", function (done) {
+            var req = request({ iss: "https://server.example.com" });
+
+            middleware(
+                req,
+                response(function (res) {
+                    expect(res.statusCode).to.equal(400);
+                    done();
+                }),
+                next(done)
+            );
+        });
+
+        it("should error when app does not have session support", function (done) {
+            middleware(
+                { query: {} },
+                response(function () {
+                    done(new Error("response should not be sent"));
+                }),
+                function (err) {
+                    expect(err.message).to.equal(
+                        "OpenID Connect requires session support. Did you forget to use `express-session` middleware?"
+                    );
+                    done();
+                }
+            );
+        });
+    });
+});
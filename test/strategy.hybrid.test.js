@@ -0,0 +1,407 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var jws = require("jws");
+var uri = require("url");
+var jose = require("../lib/jose");
+var createStrategy = require("./helpers/strategy");
+
+describe("Strategy", function () {
+    describe("with hybrid and implicit flows", function () {
+        var clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        var options = {
+            userInfoURL: "https://server.example.com/userinfo",
+            responseMode: "form_post",
+        };
+
+        function verify(
+            issuer,
+            profile,
+            context,
+            idToken,
+            accessToken,
+            refreshToken,
+            params,
+            cb
+        ) {
+            return cb(null, { id: profile.id }, { accessToken: accessToken });
+        }
+
+        function idToken(claims, secret) {
+            return jws.sign({
+                header: { alg: "HS256" },
+                payload: Object.assign(
+                    {
+                        iss: "https://server.example.com",
+                        sub: "248289761001",
+                        aud: "s6BhdRkqt3",
+                        exp: 1311281970,
+                        iat: 1311280970,
+                        nonce: "n-0S6_WzA2Mj",
+                    },
+                    claims
+                ),
+                secret: secret || "some_secret12345",
+            });
+        }
+
+        var code = "SplxlOBeZQQYbYS6WxSbIA";
+        var accessToken = "SlAV32hkKG";
+
+        function callback(body) {
+            return function (req) {
+                req.method = "POST";
+                req.body = Object.assign({ state: "af0ifjsldkj" }, body);
+                req.session = {};
+                req.session["openidconnect:server.example.com"] = {
+                    state: {
+                        handle: "af0ifjsldkj",
+                        nonce: "n-0S6_WzA2Mj",
+                    },
+                };
+            };
+        }
+
+        function fails(strategy, body, info, done) {
+            chai.passport
+                .use(strategy)
+                .request(callback(body))
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal(
+                        typeof info === "string" ? { message: info } : info
+                    );
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        }
+
+        it("should throw with unsupported response type", function () {
+            expect(function () {
+                createStrategy(
+                    Object.assign({}, options, { responseType: "token" }),
+                    verify
+                );
+            }).to.throw(TypeError, "Unsupported response type token");
+        });
+
+        it("should redirect with response type and nonce", function (done) {
+            chai.passport
+                .use(
+                    createStrategy(
+                        Object.assign({}, options, {
+                            responseType: "code id_token",
+                        }),
+                        verify
+                    )
+                )
+                .request(function (req) {
+                    req.session = {};
+                })
+                .redirect(function (url) {
+                    var query = uri.parse(url, true).query;
+                    expect(query.response_type).to.equal("code id_token");
+                    expect(query.nonce).to.have.length(20);
+                    expect(
+                        this.session["openidconnect:server.example.com"].state
+                            .nonce
+                    ).to.equal(query.nonce);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        describe("code id_token", function () {
+            var strategy;
+
+            beforeEach(function () {
+                strategy = createStrategy(
+                    Object.assign({}, options, {
+                        responseType: "code id_token",
+                    }),
+                    verify
+                );
+                sinon
+                    .stub(strategy._oauth2, "getOAuthAccessToken")
+                    .yieldsAsync(null, accessToken, "8xLOxBtZp8", {
+                        id_token: idToken(),
+                    });
+            });
+
+            it("should exchange code bound to ID token", function (done) {
+                chai.passport
+                    .use(strategy)
+                    .request(
+                        callback({
+                            code: code,
+                            id_token: idToken({
+                                c_hash: jose.tokenHash(code, "HS256"),
+                            }),
+                        })
+                    )
+                    .success(function (user, info) {
+                        expect(user).to.deep.equal({ id: "248289761001" });
+                        expect(info.accessToken).to.equal(accessToken);
+                        expect(
+                            strategy._oauth2.getOAuthAccessToken.firstCall
+                                .args[0]
+                        ).to.equal(code);
+                        done();
+                    })
+                    .error(done)
+                    .authenticate();
+            });
+
+            it("should fail when code hash is invalid", function (done) {
+                fails(
+                    strategy,
+                    {
+                        code: code,
+                        id_token: idToken({
+                            c_hash: jose.tokenHash("other", "HS256"),
+                        }),
+                    },
+                    {
+                        message: "ID token contains invalid code hash.",
+                        code: "invalid_c_hash",
+                    },
+                    done
+                );
+            });
+
+            it("should fail when code hash is missing", function (done) {
+                fails(
+                    strategy,
+                    { code: code, id_token: idToken() },
+                    {
+                        message: "ID token missing code hash.",
+                        code: "missing_c_hash",
+                    },
+                    done
+                );
+            });
+
+            it("should fail when nonce is invalid", function (done) {
+                fails(
+                    strategy,
+                    {
+                        code: code,
+                        id_token: idToken({
+                            nonce: "other",
+                            c_hash: jose.tokenHash(code, "HS256"),
+                        }),
+                    },
+                    "ID token contains invalid nonce.",
+                    done
+                );
+            });
+
+            it("should fail when signature of ID token is invalid", function (done) {
+                fails(
+                    strategy,
+                    {
+                        code: code,
+                        id_token: idToken(
+                            { c_hash: jose.tokenHash(code, "HS256") },
+                            "keyboard cat"
+                        ),
+                    },
+                    "ID token signature is invalid.",
+                    done
+                );
+            });
+
+            it("should fail when ID token is missing", function (done) {
+                fails(
+                    strategy,
+                    { code: code },
+                    "Authorization response missing ID token.",
+                    done
+                );
+            });
+
+            it("should fail when token response is for another subject", function (done) {
+                strategy._oauth2.getOAuthAccessToken.yieldsAsync(
+                    null,
+                    accessToken,
+                    "8xLOxBtZp8",
+                    { id_token: idToken({ sub: "other-user" }) }
+                );
+
+                fails(
+                    strategy,
+                    {
+                        code: code,
+                        id_token: idToken({
+                            c_hash: jose.tokenHash(code, "HS256"),
+                        }),
+                    },
+                    "ID token does not match ID token of authorization response.",
+                    done
+                );
+            });
+        });
+
+        describe("id_token", function () {
+            it("should authenticate with ID token from response", function (done) {
+                var strategy = createStrategy(
+                    Object.assign({}, options, {
+                        responseType: "id_token",
+                        skipUserProfile: false,
+                    }),
+                    verify
+                );
+                sinon.spy(strategy._oauth2, "getOAuthAccessToken");
+                sinon.spy(strategy._oauth2, "get");
+
+                chai.passport
+                    .use(strategy)
+                    .request(callback({ id_token: idToken() }))
+                    .success(function (user, info) {
+                        expect(user).to.deep.equal({ id: "248289761001" });
+                        expect(info.accessToken).to.be.undefined;
+                        expect(
+                            strategy._oauth2.getOAuthAccessToken.called
+                        ).to.be.false;
+                        expect(strategy._oauth2.get.called).to.be.false;
+                        done();
+                    })
+                    .error(done)
+                    .authenticate();
+            });
+
+            it("should fail when ID token has no nonce", function (done) {
+                fails(
+                    createStrategy(
+                        Object.assign({}, options, {
+                            responseType: "id_token",
+                        }),
+                        verify
+                    ),
+                    { id_token: idToken({ nonce: undefined }) },
+                    "ID token contains invalid nonce.",
+                    done
+                );
+            });
+
+            it("should fail when ID token is malformed", function (done) {
+                fails(
+                    createStrategy(
+                        Object.assign({}, options, {
+                            responseType: "id_token",
+                        }),
+                        verify
+                    ),
+                    { id_token: "not-a-jwt" },
+                    "ID token is malformed.",
+                    done
+                );
+            });
+
+            it("should fail when ID token is missing subject", function (done) {
+                fails(
+                    createStrategy(
+                        Object.assign({}, options, {
+                            responseType: "id_token",
+                        }),
+                        verify
+                    ),
+                    { id_token: idToken({ sub: undefined }) },
+                    "ID token missing subject claim.",
+                    done
+                );
+            });
+
+            it("should fail when ID token audience is not a string or array", function (done) {
+                fails(
+                    createStrategy(
+                        Object.assign({}, options, {
+                            responseType: "id_token",
+                        }),
+                        verify
+                    ),
+                    { id_token: idToken({ aud: 42 }) },
+                    "ID token audience claim not an array or string value.",
+                    done
+                );
+            });
+        });
+
+        describe("id_token token", function () {
+            it("should authenticate with access token bound to ID token", function (done) {
+                var strategy = createStrategy(
+                    Object.assign({}, options, {
+                        responseType: "id_token token",
+                        skipUserProfile: false,
+                    }),
+                    verify
+                );
+                sinon.stub(strategy._oauth2, "get").yieldsAsync(
+                    null,
+                    JSON.stringify({
+                        sub: "248289761001",
+                        name: "Jane Doe",
+                    }),
+                    {
+                        statusCode: 200,
+                        headers: { "content-type": "application/json" },
+                    }
+                );
+
+                chai.passport
+                    .use(strategy)
+                    .request(
+                        callback({
+                            access_token: accessToken,
+                            token_type: "Bearer",
+                            id_token: idToken({
+                                at_hash: jose.tokenHash(accessToken, "HS256"),
+                            }),
+                        })
+                    )
+                    .success(function (user, info) {
+                        expect(user).to.deep.equal({ id: "248289761001" });
+                        expect(info.accessToken).to.equal(accessToken);
+                        expect(strategy._oauth2.get.firstCall.args[1]).to.equal(
+                            accessToken
+                        );
+                        done();
+                    })
+                    .error(done)
+                    .authenticate();
+            });
+
+            it("should fail when access token hash is invalid", function (done) {
+                fails(
+                    createStrategy(
+                        Object.assign({}, options, {
+                            responseType: "id_token token",
+                        }),
+                        verify
+                    ),
+                    {
+                        access_token: accessToken,
+                        id_token: idToken({
+                            at_hash: jose.tokenHash("other", "HS256"),
+                        }),
+                    },
+                    {
+                        message: "ID token contains invalid access token hash.",
+                        code: "invalid_at_hash",
+                    },
+                    done
+                );
+            });
+        });
+    });
+});
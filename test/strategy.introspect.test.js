@@ -0,0 +1,169 @@
+var sinon = require("sinon");
+var querystring = require("querystring");
+var createStrategy = require("./helpers/strategy");
+var InternalOAuthError = require("../lib/errors/internaloautherror");
+
+describe("Strategy", function () {
+    describe("#introspect", function () {
+        it("should introspect token with client credentials", function (done) {
+            var strategy = createStrategy();
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    active: true,
+                    scope: "openid email",
+                    client_id: "s6BhdRkqt3",
+                    sub: "248289761001",
+                    exp: 1311284570,
+                }),
+                { statusCode: 200 }
+            );
+
+            strategy.introspect(
+                "2YotnFZFEjr1zCsicMWpAA",
+                { tokenTypeHint: "access_token" },
+                function (err, result) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var call = strategy._oauth2._request.firstCall;
+                    expect(call.args[0]).to.equal("POST");
+                    expect(call.args[1]).to.equal(
+                        "https://server.example.com/introspect"
+                    );
+                    expect(querystring.parse(call.args[3])).to.deep.equal({
+                        token: "2YotnFZFEjr1zCsicMWpAA",
+                        token_type_hint: "access_token",
+                        client_id: "s6BhdRkqt3",
+                        client_secret: "some_secret12345",
+                    });
+                    expect(result).to.deep.equal({
+                        active: true,
+                        scope: "openid email",
+                        client_id: "s6BhdRkqt3",
+                        sub: "248289761001",
+                        exp: 1311284570,
+                    });
+                    done();
+                }
+            );
+        });
+
+        it("should return a promise without callback", function () {
+            var strategy = createStrategy();
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, '{"active":false}', { statusCode: 200 });
+
+            return strategy
+                .introspect("2YotnFZFEjr1zCsicMWpAA")
+                .then(function (result) {
+                    expect(result).to.deep.equal({ active: false });
+                });
+        });
+
+        it("should discover introspection endpoint", function (done) {
+            var strategy = createStrategy({ introspectionURL: undefined });
+            var request = sinon.stub(strategy._oauth2, "_request");
+            request.onFirstCall().yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                    introspection_endpoint:
+                        "https://server.example.com/token/introspection",
+                })
+            );
+            request
+                .onSecondCall()
+                .yieldsAsync(null, '{"active":false}', { statusCode: 200 });
+
+            strategy.introspect("2YotnFZFEjr1zCsicMWpAA", function (err) {
+                expect(request.secondCall.args[1]).to.equal(
+                    "https://server.example.com/token/introspection"
+                );
+                done(err);
+            });
+        });
+
+        it("should error when provider does not support introspection", function (done) {
+            var strategy = createStrategy({ introspectionURL: undefined });
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                })
+            );
+
+            strategy.introspect("2YotnFZFEjr1zCsicMWpAA", function (err) {
+                expect(err.message).to.equal(
+                    "OpenID provider does not support token introspection"
+                );
+                done();
+            });
+        });
+
+        it("should error when request fails", function (done) {
+            var strategy = createStrategy();
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync({ statusCode: 401, data: "Unauthorized" });
+
+            strategy.introspect("2YotnFZFEjr1zCsicMWpAA", function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(err.message).to.equal("Failed to introspect token");
+                expect(err.oauthError.statusCode).to.equal(401);
+                done();
+            });
+        });
+
+        it("should error with non-200 response", function (done) {
+            var strategy = createStrategy();
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, "", { statusCode: 204 });
+
+            strategy.introspect("2YotnFZFEjr1zCsicMWpAA", function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(err.message).to.equal("Failed to introspect token");
+                expect(err.oauthError.statusCode).to.equal(204);
+                done();
+            });
+        });
+
+        it("should error with non-JSON response", function (done) {
+            var strategy = createStrategy();
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, "<html></html>", { statusCode: 200 });
+
+            strategy.introspect("2YotnFZFEjr1zCsicMWpAA", function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(err.message).to.equal(
+                    "Failed to parse introspection response"
+                );
+                done();
+            });
+        });
+
+        it("should error with response missing active member", function (done) {
+            var strategy = createStrategy();
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, '{"scope":"openid"}', { statusCode: 200 });
+
+            strategy.introspect("2YotnFZFEjr1zCsicMWpAA", function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(err.message).to.equal(
+                    "Introspection response missing active member"
+                );
+                done();
+            });
+        });
+    });
+});
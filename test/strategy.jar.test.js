@@ -0,0 +1,233 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var crypto = require("crypto");
+var uri = require("url");
+var querystring = require("querystring");
+var jose = require("../lib/jose");
+var jwe = require("../lib/jwe");
+var createStrategy = require("./helpers/strategy");
+
+describe("Strategy", function () {
+    describe("with request objects", function () {
+        var signing = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+        var encryption = crypto.generateKeyPairSync("rsa", {
+            modulusLength: 2048,
+        });
+        var clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        var options = {
+            requestObjectSigningAlg: "HS256",
+        };
+
+        function request(strategy, cb, done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .redirect(function (url) {
+                    cb.call(this, url);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        }
+
+        it("should redirect with signed request object", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    acrValues: "urn:example:loa:3",
+                    claims: { id_token: { email: { essential: true } } },
+                })
+            );
+
+            request(
+                strategy,
+                function (url) {
+                    var query = uri.parse(url, true).query;
+                    expect(Object.keys(query)).to.deep.equal([
+                        "response_type",
+                        "client_id",
+                        "scope",
+                        "request",
+                    ]);
+                    expect(query.response_type).to.equal("code");
+                    expect(query.client_id).to.equal("s6BhdRkqt3");
+                    expect(query.scope).to.equal("openid");
+
+                    var jwt = jose.decode(query.request);
+                    expect(jwt.header).to.deep.equal({
+                        alg: "HS256",
+                        typ: "oauth-authz-req+jwt",
+                    });
+                    expect(
+                        jose.verify(jwt, jose.importSecret("some_secret12345"))
+                    ).to.be.true;
+                    expect(jwt.payload).to.deep.equal({
+                        response_type: "code",
+                        client_id: "s6BhdRkqt3",
+                        redirect_uri: "https://client.example.org/cb",
+                        scope: "openid",
+                        acr_values: "urn:example:loa:3",
+                        claims: { id_token: { email: { essential: true } } },
+                        state: this.session["openidconnect:server.example.com"]
+                            .state.handle,
+                        iss: "s6BhdRkqt3",
+                        aud: "https://server.example.com",
+                        jti: jwt.payload.jti,
+                        iat: 1311280970,
+                        nbf: 1311280970,
+                        exp: 1311281270,
+                    });
+                },
+                done
+            );
+        });
+
+        it("should sign request object with private key", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    requestObjectSigningAlg: "ES256",
+                    privateKey: signing.privateKey,
+                    privateKeyId: "sig-1",
+                })
+            );
+
+            request(
+                strategy,
+                function (url) {
+                    var jwt = jose.decode(uri.parse(url, true).query.request);
+                    expect(jwt.header).to.deep.equal({
+                        alg: "ES256",
+                        typ: "oauth-authz-req+jwt",
+                        kid: "sig-1",
+                    });
+                    expect(jose.verify(jwt, signing.publicKey)).to.be.true;
+                },
+                done
+            );
+        });
+
+        it("should push request object when using PAR", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    usePAR: true,
+                    pushedAuthorizationRequestURL:
+                        "https://server.example.com/par",
+                })
+            );
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    request_uri: "urn:example:bwc4JK-ESC0w8acc191e-Y1LTC2",
+                    expires_in: 90,
+                })
+            );
+
+            request(
+                strategy,
+                function (url) {
+                    expect(uri.parse(url, true).query).to.deep.equal({
+                        client_id: "s6BhdRkqt3",
+                        request_uri: "urn:example:bwc4JK-ESC0w8acc191e-Y1LTC2",
+                    });
+
+                    var body = querystring.parse(
+                        strategy._oauth2._request.firstCall.args[3]
+                    );
+                    expect(body.client_secret).to.equal("some_secret12345");
+                    expect(body).to.not.have.property("redirect_uri");
+                    expect(
+                        jose.decode(body.request).payload.redirect_uri
+                    ).to.equal("https://client.example.org/cb");
+                },
+                done
+            );
+        });
+
+        it("should encrypt request object to provider key", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    jwksURI: "https://server.example.com/jwks",
+                    requestObjectEncryptionAlg: "RSA-OAEP-256",
+                })
+            );
+            var jwk = Object.assign(
+                encryption.publicKey.export({ format: "jwk" }),
+                { kid: "enc-1", use: "enc" }
+            );
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify({ keys: [jwk] }));
+
+            request(
+                strategy,
+                function (url) {
+                    var token = uri.parse(url, true).query.request;
+                    var encrypted = jwe.decode(token);
+                    expect(encrypted.header).to.deep.equal({
+                        alg: "RSA-OAEP-256",
+                        enc: "A128CBC-HS256",
+                        cty: "JWT",
+                        kid: "enc-1",
+                    });
+
+                    var jwt = jose.decode(
+                        jwe.decrypt(encrypted, encryption.privateKey).toString()
+                    );
+                    expect(jwt.payload.iss).to.equal("s6BhdRkqt3");
+                },
+                done
+            );
+        });
+
+        it("should error when provider has no encryption key", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    jwksURI: "https://server.example.com/jwks",
+                    requestObjectEncryptionAlg: "ECDH-ES",
+                })
+            );
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    keys: [encryption.publicKey.export({ format: "jwk" })],
+                })
+            );
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .error(function (err) {
+                    expect(err.message).to.equal(
+                        "No key found to encrypt request object with ECDH-ES"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should throw without key for signing algorithm", function () {
+            expect(function () {
+                createStrategy(
+                    Object.assign({}, options, {
+                        requestObjectSigningAlg: "RS256",
+                    })
+                );
+            }).to.throw(
+                TypeError,
+                "No private key found to sign request objects with RS256"
+            );
+        });
+    });
+});
@@ -0,0 +1,225 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var crypto = require("crypto");
+var jws = require("jws");
+var jwe = require("../lib/jwe");
+var Strategy = require("../lib/strategy");
+var AuthorizationError = require("../lib/errors/authorizationerror");
+
+describe("Strategy", function () {
+    describe("with JWT secured authorization responses", function () {
+        var clock, strategy;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                    responseMode: "query.jwt",
+                    authorizationSignedResponseAlg: "HS256",
+                },
+                function (issuer, profile, cb) {
+                    return cb(null, { id: profile.id });
+                }
+            );
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: jws.sign({
+                        header: { alg: "HS256" },
+                        payload: {
+                            iss: "https://server.example.com",
+                            sub: "248289761001",
+                            aud: "s6BhdRkqt3",
+                            exp: 1311281970,
+                            iat: 1311280970,
+                        },
+                        secret: "some_secret12345",
+                    }),
+                });
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        function response(claims, secret) {
+            return jws.sign({
+                header: { alg: "HS256" },
+                payload: Object.assign(
+                    {
+                        iss: "https://server.example.com",
+                        aud: "s6BhdRkqt3",
+                        exp: 1311281570,
+                        code: "SplxlOBeZQQYbYS6WxSbIA",
+                        state: "af0ifjsldkj",
+                    },
+                    claims
+                ),
+                secret: secret || "some_secret12345",
+            });
+        }
+
+        function session(req) {
+            req.session = {};
+            req.session["openidconnect:server.example.com"] = {
+                state: {
+                    handle: "af0ifjsldkj",
+                },
+            };
+        }
+
+        function fails(query, message, done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.query = query;
+                    session(req);
+                })
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({ message: message });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        }
+
+        it("should exchange code from response in query", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.query = { response: response() };
+                    session(req);
+                })
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    expect(
+                        strategy._oauth2.getOAuthAccessToken.firstCall.args[0]
+                    ).to.equal("SplxlOBeZQQYbYS6WxSbIA");
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should exchange code from response in body", function (done) {
+            strategy._responseMode = "form_post.jwt";
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.method = "POST";
+                    req.body = { response: response() };
+                    session(req);
+                })
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should error with error from response", function (done) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.query = {
+                        response: response({
+                            code: undefined,
+                            error: "invalid_request",
+                            error_description: "Unsupported response_type",
+                        }),
+                    };
+                    session(req);
+                })
+                .error(function (err) {
+                    expect(err).to.be.an.instanceof(AuthorizationError);
+                    expect(err.code).to.equal("invalid_request");
+                    expect(err.message).to.equal("Unsupported response_type");
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should fail when response signature is invalid", function (done) {
+            fails(
+                { response: response({}, "keyboard cat") },
+                "Authorization response signature is invalid.",
+                done
+            );
+        });
+
+        it("should fail when response is not intended for client", function (done) {
+            fails(
+                { response: response({ aud: "other-client" }) },
+                "Authorization response not intended for this relying party.",
+                done
+            );
+        });
+
+        it("should fail when response has expired", function (done) {
+            fails(
+                { response: response({ exp: 1311280970 }) },
+                "Authorization response has expired.",
+                done
+            );
+        });
+
+        it("should fail when response is missing expiration time", function (done) {
+            fails(
+                { response: response({ exp: undefined }) },
+                "Authorization response missing expiration time claim.",
+                done
+            );
+        });
+
+        it("should fail when response is malformed", function (done) {
+            fails(
+                { response: "not-a-jwt" },
+                "Malformed authorization response.",
+                done
+            );
+        });
+
+        it("should fail when response audience is not a string or array", function (done) {
+            fails(
+                { response: response({ aud: 42 }) },
+                "Authorization response audience claim not an array or string value.",
+                done
+            );
+        });
+
+        it("should fail when encrypted response does not contain a JWT", function (done) {
+            var pair = crypto.generateKeyPairSync("ec", {
+                namedCurve: "P-256",
+            });
+            strategy._keyStore.add(pair.privateKey, { use: "enc" });
+
+            fails(
+                {
+                    response: jwe.encrypt("not-a-jwt", pair.publicKey, {
+                        alg: "ECDH-ES",
+                        enc: "A128GCM",
+                    }),
+                },
+                "Authorization response is malformed.",
+                done
+            );
+        });
+
+        it("should fail with plain authorization response", function (done) {
+            fails(
+                { code: "SplxlOBeZQQYbYS6WxSbIA", state: "af0ifjsldkj" },
+                "Authorization response is not a JWT.",
+                done
+            );
+        });
+    });
+});
@@ -0,0 +1,232 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var crypto = require("crypto");
+var zlib = require("zlib");
+var jws = require("jws");
+var Strategy = require("../lib/strategy");
+
+describe("Strategy", function () {
+    describe("with encrypted ID tokens", function () {
+        var pair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+        var clientKey = Object.assign(
+            pair.privateKey.export({ format: "jwk" }),
+            { kid: "enc-1", use: "enc" }
+        );
+        var clock, strategy;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                    clientKeys: [clientKey],
+                    idTokenSignedResponseAlg: "HS256",
+                    idTokenEncryptedResponseAlg: "RSA-OAEP-256",
+                },
+                function (issuer, profile, cb) {
+                    return cb(null, { id: profile.id });
+                }
+            );
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        function idToken(secret) {
+            return jws.sign({
+                header: { alg: "HS256" },
+                payload: {
+                    iss: "https://server.example.com",
+                    sub: "248289761001",
+                    aud: "s6BhdRkqt3",
+                    exp: 1311281970,
+                    iat: 1311280970,
+                },
+                secret: secret || "some_secret12345",
+            });
+        }
+
+        function encrypt(plaintext, header) {
+            header = Object.assign(
+                { alg: "RSA-OAEP-256", enc: "A256GCM", kid: "enc-1" },
+                header
+            );
+            var cek = crypto.randomBytes(32);
+            var iv = crypto.randomBytes(12);
+            var protectedHeader = Buffer.from(JSON.stringify(header)).toString(
+                "base64url"
+            );
+            var cipher = crypto.createCipheriv("aes-256-gcm", cek, iv);
+            cipher.setAAD(Buffer.from(protectedHeader));
+            var ciphertext = Buffer.concat([
+                cipher.update(plaintext),
+                cipher.final(),
+            ]);
+            var encryptedKey = crypto.publicEncrypt(
+                {
+                    key: pair.publicKey,
+                    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                    oaepHash: header.alg === "RSA-OAEP" ? "sha1" : "sha256",
+                },
+                cek
+            );
+            return [
+                protectedHeader,
+                encryptedKey.toString("base64url"),
+                iv.toString("base64url"),
+                ciphertext.toString("base64url"),
+                cipher.getAuthTag().toString("base64url"),
+            ].join(".");
+        }
+
+        function callback(req) {
+            req.query = {
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+                state: "af0ifjsldkj",
+            };
+            req.session = {};
+            req.session["openidconnect:server.example.com"] = {
+                state: {
+                    handle: "af0ifjsldkj",
+                },
+            };
+        }
+
+        function fails(token, message, done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: token,
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge) {
+                    expect(challenge).to.deep.equal({ message: message });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        }
+
+        it("should authenticate with encrypted ID token", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: encrypt(idToken()),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when ID token is not encrypted", function (done) {
+            fails(idToken(), "ID token is not encrypted.", done);
+        });
+
+        it("should fail when ID token is encrypted with unexpected algorithm", function (done) {
+            fails(
+                encrypt(idToken(), { alg: "RSA-OAEP" }),
+                "ID token encrypted with unexpected algorithm.",
+                done
+            );
+        });
+
+        it("should fail when no key matches kid", function (done) {
+            fails(
+                encrypt(idToken(), { kid: "enc-2" }),
+                "No key found to decrypt ID token.",
+                done
+            );
+        });
+
+        it("should fail when ID token cannot be decrypted", function (done) {
+            var token = encrypt(idToken());
+            var tampered =
+                token.slice(0, token.lastIndexOf(".") + 1) +
+                Buffer.alloc(16).toString("base64url");
+
+            fails(tampered, "ID token could not be decrypted.", done);
+        });
+
+        it("should fail when ID token is compressed", function (done) {
+            fails(
+                encrypt(zlib.deflateRawSync(idToken()), { zip: "DEF" }),
+                "ID token could not be decrypted.",
+                done
+            );
+        });
+
+        it("should fail when nested ID token signature is invalid", function (done) {
+            fails(
+                encrypt(idToken("keyboard cat")),
+                "ID token signature is invalid.",
+                done
+            );
+        });
+
+        it("should error without client keys", function (done) {
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                },
+                function () {}
+            );
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: encrypt(idToken()),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .error(function (err) {
+                    expect(err.message).to.equal(
+                        "clientKeys option is required to decrypt ID token"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should refresh with encrypted ID tokens", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "2YotnFZFEjr1zCsicMWpAA", undefined, {
+                    id_token: encrypt(idToken()),
+                });
+
+            strategy.refresh(
+                "8xLOxBtZp8",
+                { idToken: encrypt(idToken()) },
+                function (err, result) {
+                    if (err) {
+                        return done(err);
+                    }
+                    expect(result.claims.sub).to.equal("248289761001");
+                    done();
+                }
+            );
+        });
+    });
+});
@@ -0,0 +1,401 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var crypto = require("crypto");
+var jws = require("jws");
+var Strategy = require("../lib/strategy");
+var InternalOAuthError = require("../lib/errors/internaloautherror");
+
+describe("Strategy", function () {
+    var pair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+    var privateKey = pair.privateKey.export({
+        type: "pkcs8",
+        format: "pem",
+    });
+    var jwk = Object.assign(pair.publicKey.export({ format: "jwk" }), {
+        kid: "k1",
+        use: "sig",
+    });
+
+    function idToken(header, key) {
+        return jws.sign({
+            header: header,
+            payload: {
+                iss: "https://server.example.com",
+                sub: "248289761001",
+                aud: "s6BhdRkqt3",
+                exp: Math.floor((Date.now() + 1000000) / 1000),
+                iat: Math.floor(Date.now() / 1000),
+            },
+            secret: key || privateKey,
+        });
+    }
+
+    function callback(req) {
+        req.query = {
+            code: "SplxlOBeZQQYbYS6WxSbIA",
+            state: "af0ifjsldkj",
+        };
+        req.session = {};
+        req.session["openidconnect:server.example.com"] = {
+            state: {
+                handle: "af0ifjsldkj",
+            },
+        };
+    }
+
+    describe("with jwksURI", function () {
+        var strategy;
+
+        beforeEach(function () {
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
+                    jwksURI: "https://server.example.com/jwks",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                },
+                function (issuer, profile, cb) {
+                    return cb(null, { id: profile.id });
+                }
+            );
+        });
+
+        it("should authenticate with ID token signed by key in JWKS", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "RS256", kid: "k1" }),
+                });
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify({ keys: [jwk] }));
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    expect(strategy._oauth2._request.calledOnce).to.be.true;
+                    expect(strategy._oauth2._request.args[0][0]).to.equal(
+                        "GET"
+                    );
+                    expect(strategy._oauth2._request.args[0][1]).to.equal(
+                        "https://server.example.com/jwks"
+                    );
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when ID token signature is invalid", function (done) {
+            var other = crypto
+                .generateKeyPairSync("rsa", { modulusLength: 2048 })
+                .privateKey.export({ type: "pkcs8", format: "pem" });
+
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "RS256", kid: "k1" }, other),
+                });
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify({ keys: [jwk] }));
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "ID token signature is invalid.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when no key matches kid", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "RS256", kid: "k2" }),
+                });
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify({ keys: [jwk] }));
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "No key found to verify ID token signature.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when ID token is not signed", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: jws.sign({
+                        header: { alg: "none" },
+                        payload: {
+                            iss: "https://server.example.com",
+                            sub: "248289761001",
+                            aud: "s6BhdRkqt3",
+                        },
+                    }),
+                });
+            sinon.stub(strategy._oauth2, "_request");
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "ID token signed with unsupported algorithm.",
+                    });
+                    expect(status).to.equal(403);
+                    expect(strategy._oauth2._request.callCount).to.equal(0);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when ID token is malformed", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: "not-a-jwt",
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "ID token is malformed.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should error when JWKS cannot be fetched", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "RS256", kid: "k1" }),
+                });
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync({ statusCode: 500, data: "something went wrong" });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .error(function (err) {
+                    expect(err).to.be.an.instanceof(InternalOAuthError);
+                    expect(err.message).to.equal("Failed to fetch JWKS");
+                    expect(err.oauthError.statusCode).to.equal(500);
+                    done();
+                })
+                .authenticate();
+        });
+    });
+
+    describe("with idTokenSignedResponseAlg", function () {
+        var strategy;
+
+        beforeEach(function () {
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
+                    idTokenSignedResponseAlg: "HS256",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                },
+                function (issuer, profile, cb) {
+                    return cb(null, { id: profile.id });
+                }
+            );
+        });
+
+        it("should authenticate with ID token signed by client secret", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "HS256" }, "some_secret12345"),
+                });
+            sinon.stub(strategy._oauth2, "_request");
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    expect(strategy._oauth2._request.callCount).to.equal(0);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when ID token is signed by another secret", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "HS256" }, "keyboard cat"),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "ID token signature is invalid.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when ID token is signed with another algorithm", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "HS512" }, "some_secret12345"),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "ID token signed with unexpected algorithm.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should error when asymmetric algorithm is expected without jwksURI", function (done) {
+            strategy._idTokenSignedResponseAlg = "RS256";
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "RS256" }),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .error(function (err) {
+                    expect(err.message).to.equal(
+                        "jwksURI option is required to verify ID token signed with RS256"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+    });
+
+    describe("without jwksURI", function () {
+        var strategy;
+
+        beforeEach(function () {
+            strategy = new Strategy(
+                {
+                    issuer: "https://server.example.com",
+                    authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
+                    clientID: "s6BhdRkqt3",
+                    clientSecret: "some_secret12345",
+                    callbackURL: "https://client.example.org/cb",
+                },
+                function (issuer, profile, cb) {
+                    return cb(null, { id: profile.id });
+                }
+            );
+        });
+
+        it("should fail when ID token is signed by another secret", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "HS256" }, "keyboard cat"),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message: "ID token signature is invalid.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should error when ID token is signed with asymmetric algorithm", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "RS256", kid: "k1" }),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .error(function (err) {
+                    expect(err.message).to.equal(
+                        "jwksURI option is required to verify ID token signed with RS256"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should authenticate with ID token signed with asymmetric algorithm when verification is skipped", function (done) {
+            strategy._skipSignatureVerification = true;
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: idToken({ alg: "RS256", kid: "k1" }),
+                });
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (user) {
+                    expect(user).to.deep.equal({ id: "248289761001" });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+    });
+});
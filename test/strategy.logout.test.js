@@ -0,0 +1,240 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var createStrategy = require("./helpers/strategy");
+var uri = require("url");
+
+describe("Strategy", function () {
+    describe("#logoutURL", function () {
+        it("should build logout URL with state", function (done) {
+            var strategy = createStrategy({
+                postLogoutRedirectURL: "https://client.example.org/logged-out",
+            });
+            var req = { session: {} };
+
+            strategy.logoutURL(
+                req,
+                {
+                    idTokenHint: "eyJhbGciOiJSUzI1NiJ9.e30.c2ln",
+                    logoutHint: "janedoe@example.com",
+                    state: { returnTo: "/" },
+                },
+                function (err, url) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var l = uri.parse(url, true);
+                    var state = l.query.state;
+
+                    expect(url).to.equal(
+                        "https://server.example.com/logout?client_id=s6BhdRkqt3&id_token_hint=eyJhbGciOiJSUzI1NiJ9.e30.c2ln&logout_hint=janedoe%40example.com&post_logout_redirect_uri=https%3A%2F%2Fclient.example.org%2Flogged-out&state=" +
+                            encodeURIComponent(state)
+                    );
+                    expect(state).to.have.length(24);
+                    expect(
+                        req.session["openidconnect:server.example.com"].state
+                    ).to.deep.equal({
+                        handle: state,
+                        logout: true,
+                        state: { returnTo: "/" },
+                    });
+                    done();
+                }
+            );
+        });
+
+        it("should build logout URL without state when not redirecting back", function (done) {
+            var strategy = createStrategy();
+            var spy = sinon.spy(strategy._stateStore, "store");
+
+            strategy.logoutURL({}, function (err, url) {
+                expect(url).to.equal(
+                    "https://server.example.com/logout?client_id=s6BhdRkqt3"
+                );
+                expect(spy.callCount).to.equal(0);
+                done(err);
+            });
+        });
+
+        it("should resolve relative post logout redirect URL", function (done) {
+            var strategy = createStrategy();
+            var req = {
+                url: "/logout",
+                headers: { host: "client.example.org" },
+                connection: { encrypted: true },
+                session: {},
+            };
+
+            strategy.logoutURL(
+                req,
+                { postLogoutRedirectURL: "/logged-out" },
+                function (err, url) {
+                    var l = uri.parse(url, true);
+                    expect(l.query.post_logout_redirect_uri).to.equal(
+                        "https://client.example.org/logged-out"
+                    );
+                    done(err);
+                }
+            );
+        });
+
+        it("should discover end session endpoint", function (done) {
+            var strategy = createStrategy({ endSessionURL: undefined });
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                    end_session_endpoint:
+                        "https://server.example.com/session/end",
+                })
+            );
+
+            strategy.logoutURL({}, {}, function (err, url) {
+                expect(url).to.equal(
+                    "https://server.example.com/session/end?client_id=s6BhdRkqt3"
+                );
+                done(err);
+            });
+        });
+
+        it("should error when provider does not support logout", function (done) {
+            var strategy = createStrategy({ endSessionURL: undefined });
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                })
+            );
+
+            strategy.logoutURL({}, {}, function (err) {
+                expect(err.message).to.equal(
+                    "OpenID provider does not support RP-initiated logout"
+                );
+                done();
+            });
+        });
+
+        it("should error when app does not have session support", function (done) {
+            var strategy = createStrategy({
+                postLogoutRedirectURL: "https://client.example.org/logged-out",
+            });
+
+            strategy.logoutURL({}, {}, function (err) {
+                expect(err.message).to.equal(
+                    "OpenID Connect requires session support. Did you forget to use `express-session` middleware?"
+                );
+                done();
+            });
+        });
+    });
+
+    describe("#verifyLogout", function () {
+        var strategy = createStrategy();
+
+        it("should verify state and yield app state", function (done) {
+            var req = {
+                query: { state: "af0ifjsldkj" },
+                session: {
+                    "openidconnect:server.example.com": {
+                        state: {
+                            handle: "af0ifjsldkj",
+                            logout: true,
+                            state: { returnTo: "/" },
+                        },
+                    },
+                },
+            };
+
+            strategy.verifyLogout(req, function (err, ok, state) {
+                expect(ok).to.be.true;
+                expect(state).to.deep.equal({ returnTo: "/" });
+                expect(req.session).to.deep.equal({});
+                done(err);
+            });
+        });
+
+        it("should not verify mismatched state", function (done) {
+            var req = {
+                query: { state: "other" },
+                session: {
+                    "openidconnect:server.example.com": {
+                        state: { handle: "af0ifjsldkj", logout: true },
+                    },
+                },
+            };
+
+            strategy.verifyLogout(req, function (err, ok, info) {
+                expect(ok).to.be.false;
+                expect(info).to.deep.equal({
+                    message: "Invalid authorization request state.",
+                });
+                done(err);
+            });
+        });
+
+        it("should not verify state of authorization request", function (done) {
+            var req = {
+                query: { state: "af0ifjsldkj" },
+                session: {
+                    "openidconnect:server.example.com": {
+                        state: { handle: "af0ifjsldkj" },
+                    },
+                },
+            };
+
+            strategy.verifyLogout(req, function (err, ok, info) {
+                expect(ok).to.be.false;
+                expect(info).to.deep.equal({
+                    message: "Invalid logout request state.",
+                });
+                done(err);
+            });
+        });
+
+        it("should not verify without state", function (done) {
+            strategy.verifyLogout({ query: {} }, function (err, ok, info) {
+                expect(ok).to.be.false;
+                expect(info).to.deep.equal({
+                    message: "Missing logout request state.",
+                });
+                done(err);
+            });
+        });
+    });
+
+    it("should fail authentication with state of logout request", function (done) {
+        var strategy = createStrategy();
+        sinon.stub(strategy._oauth2, "getOAuthAccessToken");
+
+        chai.passport
+            .use(strategy)
+            .request(function (req) {
+                req.query = {
+                    code: "SplxlOBeZQQYbYS6WxSbIA",
+                    state: "af0ifjsldkj",
+                };
+                req.session = {
+                    "openidconnect:server.example.com": {
+                        state: { handle: "af0ifjsldkj", logout: true },
+                    },
+                };
+            })
+            .fail(function (challenge, status) {
+                expect(challenge).to.deep.equal({
+                    message: "Invalid authorization request state.",
+                });
+                expect(status).to.equal(403);
+                expect(strategy._oauth2.getOAuthAccessToken.callCount).to.equal(
+                    0
+                );
+                done();
+            })
+            .error(done)
+            .authenticate();
+    });
+});
@@ -0,0 +1,214 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var jws = require("jws");
+var createStrategy = require("./helpers/strategy");
+
+describe("Strategy", function () {
+    describe("with multi-tenant issuer", function () {
+        var clock;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        var tenant = "9188040d-6c67-4c5b-b112-36a304b66dad";
+        var other = "72f988bf-86f1-41af-91ab-2d7cd011db47";
+
+        var options = {
+            issuer: "https://login.microsoftonline.com/common/v2.0",
+            authorizationURL:
+                "https://login.microsoftonline.com/common/oauth2/v2.0/authorize",
+            tokenURL:
+                "https://login.microsoftonline.com/common/oauth2/v2.0/token",
+            issuerValidator: "https://login.microsoftonline.com/{tid}/v2.0",
+        };
+
+        function verify(issuer, profile, cb) {
+            return cb(null, { id: profile.id, issuer: issuer });
+        }
+
+        function respond(strategy, claims) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: jws.sign({
+                        header: { alg: "HS256" },
+                        payload: Object.assign(
+                            {
+                                iss:
+                                    "https://login.microsoftonline.com/" +
+                                    tenant +
+                                    "/v2.0",
+                                sub: "248289761001",
+                                aud: "s6BhdRkqt3",
+                                exp: 1311281970,
+                                iat: 1311280970,
+                                tid: tenant,
+                            },
+                            claims
+                        ),
+                        secret: "some_secret12345",
+                    }),
+                });
+        }
+
+        function callback(req) {
+            req.query = {
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+                state: "af0ifjsldkj",
+            };
+            req.session = {};
+            req.session["openidconnect:login.microsoftonline.com"] = {
+                state: {
+                    handle: "af0ifjsldkj",
+                },
+            };
+        }
+
+        function fails(strategy, done) {
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({
+                        message:
+                            "ID token not issued by expected OpenID provider.",
+                    });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        }
+
+        it("should accept ID token issued by tenant", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, { allowedTenants: [tenant] }),
+                verify
+            );
+            respond(strategy);
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (user) {
+                    expect(user).to.deep.equal({
+                        id: "248289761001",
+                        issuer:
+                            "https://login.microsoftonline.com/" +
+                            tenant +
+                            "/v2.0",
+                    });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when tenant is not allowed", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, { allowedTenants: [other] }),
+                verify
+            );
+            respond(strategy);
+
+            fails(strategy, done);
+        });
+
+        it("should fail when issuer does not match tenant of ID token", function (done) {
+            var strategy = createStrategy(options, verify);
+            respond(strategy, { tid: other });
+
+            fails(strategy, done);
+        });
+
+        it("should fail when issuer does not match template", function (done) {
+            var strategy = createStrategy(options, verify);
+            respond(strategy, { iss: "https://server.example.com" });
+
+            fails(strategy, done);
+        });
+
+        it("should validate issuer with function", function (done) {
+            var validator = sinon.stub().returns(false);
+            var strategy = createStrategy(
+                Object.assign({}, options, { issuerValidator: validator }),
+                verify
+            );
+            respond(strategy);
+
+            fails(strategy, function (err) {
+                expect(validator.firstCall.args[0]).to.equal(
+                    "https://login.microsoftonline.com/" + tenant + "/v2.0"
+                );
+                expect(validator.firstCall.args[1].tid).to.equal(tenant);
+                done(err);
+            });
+        });
+
+        it("should accept discovered metadata shared by all tenants", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    authorizationURL: undefined,
+                    tokenURL: undefined,
+                }),
+                verify
+            );
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://login.microsoftonline.com/{tenantid}/v2.0",
+                    authorization_endpoint:
+                        "https://login.microsoftonline.com/common/oauth2/v2.0/authorize",
+                    token_endpoint:
+                        "https://login.microsoftonline.com/common/oauth2/v2.0/token",
+                })
+            );
+
+            strategy.discover(function (err) {
+                if (err) {
+                    return done(err);
+                }
+                expect(strategy._oauth2._accessTokenUrl).to.equal(
+                    "https://login.microsoftonline.com/common/oauth2/v2.0/token"
+                );
+                done();
+            });
+        });
+
+        it("should check issuer of front-channel logout requests", function () {
+            var strategy = createStrategy(
+                Object.assign({}, options, { allowedTenants: [tenant] }),
+                verify
+            );
+
+            expect(
+                strategy._validIssuer(
+                    "https://login.microsoftonline.com/" + tenant + "/v2.0"
+                )
+            ).to.be.true;
+            expect(
+                strategy._validIssuer(
+                    "https://login.microsoftonline.com/" + other + "/v2.0"
+                )
+            ).to.be.false;
+            expect(strategy._validIssuer(undefined)).to.be.false;
+        });
+
+        it("should throw with invalid issuerValidator option", function () {
+            expect(function () {
+                createStrategy(
+                    Object.assign({}, options, { issuerValidator: /login/ }),
+                    verify
+                );
+            }).to.throw(
+                TypeError,
+                "issuerValidator option must be an issuer template or a function"
+            );
+        });
+    });
+});
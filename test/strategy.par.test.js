@@ -0,0 +1,217 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var uri = require("url");
+var querystring = require("querystring");
+var createStrategy = require("./helpers/strategy");
+var TokenError = require("../lib/errors/tokenerror");
+var InternalOAuthError = require("../lib/errors/internaloautherror");
+
+describe("Strategy", function () {
+    describe("with pushed authorization requests", function () {
+        var options = {
+            pushedAuthorizationRequestURL: "https://server.example.com/par",
+            usePAR: true,
+        };
+
+        var response = JSON.stringify({
+            request_uri: "urn:example:bwc4JK-ESC0w8acc191e-Y1LTC2",
+            expires_in: 90,
+        });
+
+        it("should push parameters and redirect with request_uri", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    acrValues: "urn:example:loa:3",
+                    claims: { id_token: { email: { essential: true } } },
+                })
+            );
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, response);
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .redirect(function (url) {
+                    expect(url).to.equal(
+                        "https://server.example.com/authorize?client_id=s6BhdRkqt3&request_uri=urn%3Aexample%3Abwc4JK-ESC0w8acc191e-Y1LTC2"
+                    );
+
+                    var call = strategy._oauth2._request.firstCall;
+                    expect(call.args[0]).to.equal("POST");
+                    expect(call.args[1]).to.equal(
+                        "https://server.example.com/par"
+                    );
+                    var state =
+                        this.session["openidconnect:server.example.com"].state
+                            .handle;
+                    expect(querystring.parse(call.args[3])).to.deep.equal({
+                        response_type: "code",
+                        client_id: "s6BhdRkqt3",
+                        client_secret: "some_secret12345",
+                        redirect_uri: "https://client.example.org/cb",
+                        scope: "openid",
+                        acr_values: "urn:example:loa:3",
+                        claims: '{"id_token":{"email":{"essential":true}}}',
+                        state: state,
+                    });
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should authenticate client as in token request", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    tokenEndpointAuthMethod: "client_secret_basic",
+                })
+            );
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, response);
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .redirect(function () {
+                    var call = strategy._oauth2._request.firstCall;
+                    expect(call.args[2].Authorization).to.equal(
+                        "Basic czZCaGRSa3F0Mzpzb21lX3NlY3JldDEyMzQ1"
+                    );
+                    expect(
+                        querystring.parse(call.args[3])
+                    ).to.not.have.property("client_secret");
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should push to discovered endpoint when provider requires it", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    usePAR: undefined,
+                    pushedAuthorizationRequestURL: undefined,
+                })
+            );
+            var stub = sinon.stub(strategy._oauth2, "_request");
+            stub.onFirstCall().yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                    pushed_authorization_request_endpoint:
+                        "https://server.example.com/as/par",
+                    require_pushed_authorization_requests: true,
+                })
+            );
+            stub.onSecondCall().yieldsAsync(null, response);
+
+            strategy.discover(function (err) {
+                if (err) {
+                    return done(err);
+                }
+
+                chai.passport
+                    .use(strategy)
+                    .request(function (req) {
+                        req.session = {};
+                    })
+                    .redirect(function (url) {
+                        expect(uri.parse(url, true).query).to.deep.equal({
+                            client_id: "s6BhdRkqt3",
+                            request_uri:
+                                "urn:example:bwc4JK-ESC0w8acc191e-Y1LTC2",
+                        });
+                        expect(stub.secondCall.args[1]).to.equal(
+                            "https://server.example.com/as/par"
+                        );
+                        done();
+                    })
+                    .error(done)
+                    .authenticate();
+            });
+        });
+
+        it("should error with provider error response", function (done) {
+            var strategy = createStrategy(options);
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync({
+                statusCode: 400,
+                data: '{"error":"invalid_request","error_description":"The redirect_uri is not valid for the given client"}',
+            });
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .error(function (err) {
+                    expect(err).to.be.an.instanceof(TokenError);
+                    expect(err.code).to.equal("invalid_request");
+                    expect(err.message).to.equal(
+                        "The redirect_uri is not valid for the given client"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should error when response is missing request_uri", function (done) {
+            var strategy = createStrategy(options);
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify({ expires_in: 90 }));
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .error(function (err) {
+                    expect(err).to.be.an.instanceof(InternalOAuthError);
+                    expect(err.message).to.equal(
+                        "Pushed authorization response missing request_uri"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+
+        it("should error when provider does not support pushed authorization requests", function (done) {
+            var strategy = createStrategy(
+                Object.assign({}, options, {
+                    pushedAuthorizationRequestURL: undefined,
+                })
+            );
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                })
+            );
+
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.session = {};
+                })
+                .error(function (err) {
+                    expect(err.message).to.equal(
+                        "OpenID provider does not support pushed authorization requests"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+    });
+});
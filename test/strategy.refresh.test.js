@@ -0,0 +1,209 @@
+var sinon = require("sinon");
+var jws = require("jws");
+var createStrategy = require("./helpers/strategy");
+var TokenError = require("../lib/errors/tokenerror");
+var InternalOAuthError = require("../lib/errors/internaloautherror");
+
+describe("Strategy", function () {
+    describe("#refresh", function () {
+        var clock, strategy;
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+            strategy = createStrategy();
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        function idToken(claims) {
+            return jws.sign({
+                header: { alg: "HS256" },
+                payload: Object.assign(
+                    {
+                        iss: "https://server.example.com",
+                        sub: "248289761001",
+                        aud: "s6BhdRkqt3",
+                        exp: 1311281970,
+                        iat: 1311280970,
+                        auth_time: 1311280000,
+                    },
+                    claims
+                ),
+                secret: "some_secret12345",
+            });
+        }
+
+        it("should obtain new tokens", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(
+                    null,
+                    "2YotnFZFEjr1zCsicMWpAA",
+                    "tGzv3JOkF0XG5Qx2TlKWIA",
+                    {
+                        token_type: "Bearer",
+                        expires_in: 3600,
+                        id_token: idToken(),
+                    }
+                );
+
+            strategy.refresh(
+                "8xLOxBtZp8",
+                { idToken: idToken({ iat: 1311270000, nonce: "n-0S6" }) },
+                function (err, result) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var call = strategy._oauth2.getOAuthAccessToken.firstCall;
+                    expect(call.args[0]).to.equal("8xLOxBtZp8");
+                    expect(call.args[1]).to.deep.equal({
+                        grant_type: "refresh_token",
+                    });
+
+                    expect(result.accessToken).to.equal(
+                        "2YotnFZFEjr1zCsicMWpAA"
+                    );
+                    expect(result.refreshToken).to.equal(
+                        "tGzv3JOkF0XG5Qx2TlKWIA"
+                    );
+                    expect(result.tokenType).to.equal("Bearer");
+                    expect(result.expiresIn).to.equal(3600);
+                    expect(result.expiresAt).to.deep.equal(
+                        new Date(1311284570000)
+                    );
+                    expect(result.claims.sub).to.equal("248289761001");
+                    done();
+                }
+            );
+        });
+
+        it("should return a promise without callback", function () {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "2YotnFZFEjr1zCsicMWpAA", undefined, {
+                    token_type: "Bearer",
+                });
+
+            return strategy
+                .refresh("8xLOxBtZp8", { scope: ["openid", "email"] })
+                .then(function (result) {
+                    expect(
+                        strategy._oauth2.getOAuthAccessToken.firstCall.args[1]
+                    ).to.deep.equal({
+                        grant_type: "refresh_token",
+                        scope: "openid email",
+                    });
+                    expect(result.accessToken).to.equal(
+                        "2YotnFZFEjr1zCsicMWpAA"
+                    );
+                    expect(result.refreshToken).to.equal("8xLOxBtZp8");
+                    expect(result.idToken).to.be.undefined;
+                    expect(result.expiresAt).to.be.undefined;
+                });
+        });
+
+        it("should reject promise with token error", function () {
+            sinon.stub(strategy._oauth2, "getOAuthAccessToken").yieldsAsync({
+                statusCode: 400,
+                data: '{"error":"invalid_grant","error_description":"Refresh token expired"}',
+            });
+
+            return strategy.refresh("8xLOxBtZp8").then(
+                function () {
+                    throw new Error("promise should be rejected");
+                },
+                function (err) {
+                    expect(err).to.be.an.instanceof(TokenError);
+                    expect(err.code).to.equal("invalid_grant");
+                    expect(err.message).to.equal("Refresh token expired");
+                }
+            );
+        });
+
+        it("should error when token request fails", function (done) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync({ statusCode: 500, data: "Server Error" });
+
+            strategy.refresh("8xLOxBtZp8", function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(err.message).to.equal("Failed to refresh access token");
+                done();
+            });
+        });
+
+        function rejects(title, claims, message) {
+            it(title, function (done) {
+                sinon
+                    .stub(strategy._oauth2, "getOAuthAccessToken")
+                    .yieldsAsync(null, "2YotnFZFEjr1zCsicMWpAA", undefined, {
+                        id_token: idToken(claims),
+                    });
+
+                strategy.refresh(
+                    "8xLOxBtZp8",
+                    { idToken: idToken() },
+                    function (err) {
+                        expect(err.message).to.equal(message);
+                        done();
+                    }
+                );
+            });
+        }
+
+        rejects(
+            "should error with ID token for another subject",
+            { sub: "other" },
+            "Refreshed ID token subject does not match."
+        );
+        rejects(
+            "should error with ID token for another audience",
+            { aud: ["s6BhdRkqt3", "other"], azp: "s6BhdRkqt3" },
+            "Refreshed ID token audience does not match."
+        );
+        rejects(
+            "should error with ID token with changed auth_time",
+            { auth_time: 1311280900 },
+            "Refreshed ID token authentication time does not match."
+        );
+        rejects(
+            "should error with ID token that has expired",
+            { exp: 1311280000 },
+            "ID token has expired."
+        );
+        rejects(
+            "should error with ID token from another issuer",
+            { iss: "https://evil.example.com" },
+            "ID token not issued by expected OpenID provider."
+        );
+
+        it("should discover token endpoint", function (done) {
+            strategy = createStrategy({
+                authorizationURL: undefined,
+                tokenURL: undefined,
+            });
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                })
+            );
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "2YotnFZFEjr1zCsicMWpAA", undefined, {});
+
+            strategy.refresh("8xLOxBtZp8", function (err, result) {
+                expect(strategy._oauth2._accessTokenUrl).to.equal(
+                    "https://server.example.com/token"
+                );
+                expect(result.accessToken).to.equal("2YotnFZFEjr1zCsicMWpAA");
+                done(err);
+            });
+        });
+    });
+});
@@ -0,0 +1,123 @@
+var sinon = require("sinon");
+var querystring = require("querystring");
+var createStrategy = require("./helpers/strategy");
+var TokenError = require("../lib/errors/tokenerror");
+var InternalOAuthError = require("../lib/errors/internaloautherror");
+
+describe("Strategy", function () {
+    describe("#revoke", function () {
+        it("should revoke token with client credentials", function (done) {
+            var strategy = createStrategy();
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(null, "");
+
+            strategy.revoke(
+                "45ghiukldjahdnhzdauz",
+                { tokenTypeHint: "refresh_token" },
+                function (err) {
+                    if (err) {
+                        return done(err);
+                    }
+                    var call = strategy._oauth2._request.firstCall;
+                    expect(call.args[0]).to.equal("POST");
+                    expect(call.args[1]).to.equal(
+                        "https://server.example.com/revoke"
+                    );
+                    expect(call.args[2]).to.deep.equal({
+                        "Content-Type": "application/x-www-form-urlencoded",
+                    });
+                    expect(querystring.parse(call.args[3])).to.deep.equal({
+                        token: "45ghiukldjahdnhzdauz",
+                        token_type_hint: "refresh_token",
+                        client_id: "s6BhdRkqt3",
+                        client_secret: "some_secret12345",
+                    });
+                    done();
+                }
+            );
+        });
+
+        it("should return a promise without callback", function () {
+            var strategy = createStrategy();
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(null, "");
+
+            return strategy.revoke("45ghiukldjahdnhzdauz").then(function () {
+                expect(
+                    querystring.parse(
+                        strategy._oauth2._request.firstCall.args[3]
+                    ).token_type_hint
+                ).to.be.undefined;
+            });
+        });
+
+        it("should discover revocation endpoint", function (done) {
+            var strategy = createStrategy({ revocationURL: undefined });
+            var request = sinon.stub(strategy._oauth2, "_request");
+            request.onFirstCall().yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                    revocation_endpoint:
+                        "https://server.example.com/revocation",
+                })
+            );
+            request.onSecondCall().yieldsAsync(null, "");
+
+            strategy.revoke("45ghiukldjahdnhzdauz", function (err) {
+                expect(request.secondCall.args[1]).to.equal(
+                    "https://server.example.com/revocation"
+                );
+                done(err);
+            });
+        });
+
+        it("should error when provider does not support revocation", function (done) {
+            var strategy = createStrategy({ revocationURL: undefined });
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+                null,
+                JSON.stringify({
+                    issuer: "https://server.example.com",
+                    authorization_endpoint:
+                        "https://server.example.com/authorize",
+                    token_endpoint: "https://server.example.com/token",
+                })
+            );
+
+            strategy.revoke("45ghiukldjahdnhzdauz", function (err) {
+                expect(err.message).to.equal(
+                    "OpenID provider does not support token revocation"
+                );
+                done();
+            });
+        });
+
+        it("should error with token error", function (done) {
+            var strategy = createStrategy();
+            sinon.stub(strategy._oauth2, "_request").yieldsAsync({
+                statusCode: 400,
+                data: '{"error":"unsupported_token_type"}',
+            });
+
+            strategy.revoke("45ghiukldjahdnhzdauz", function (err) {
+                expect(err).to.be.an.instanceof(TokenError);
+                expect(err.code).to.equal("unsupported_token_type");
+                done();
+            });
+        });
+
+        it("should error when request fails", function (done) {
+            var strategy = createStrategy();
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync({ statusCode: 503, data: "Unavailable" });
+
+            strategy.revoke("45ghiukldjahdnhzdauz", function (err) {
+                expect(err).to.be.an.instanceof(InternalOAuthError);
+                expect(err.message).to.equal("Failed to revoke token");
+                done();
+            });
+        });
+    });
+});
@@ -3,6 +3,9 @@ var sinon = require("sinon");
 var Strategy = require("../lib/strategy");
 var uri = require("url");
 var jws = require("jws");
+var crypto = require("crypto");
+var querystring = require("querystring");
+var jose = require("../lib/jose");
 var AuthorizationError = require("../lib/errors/authorizationerror");
 var TokenError = require("../lib/errors/tokenerror");
 var InternalOAuthError = require("../lib/errors/internaloautherror");
@@ -736,7 +739,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -823,7 +826,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -894,7 +897,7 @@ describe("Strategy", function () {
                         iat: Math.floor(Date.now() / 1000), // now
                         auth_time: Math.floor((Date.now() - 3600000) / 1000), // 1 hour ago
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -966,7 +969,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1074,7 +1077,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1146,7 +1149,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1218,7 +1221,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1290,7 +1293,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1363,7 +1366,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1435,7 +1438,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() - 60000) / 1000),
                         iat: Math.floor((Date.now() - 1000000 - 60000) / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1508,7 +1511,7 @@ describe("Strategy", function () {
                         exp: Math.floor(Date.now() / 1000),
                         iat: Math.floor((Date.now() - 1000000) / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1581,7 +1584,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1655,7 +1658,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -1698,6 +1701,122 @@ describe("Strategy", function () {
             .authenticate();
     }); // should forbid request when value of nonce claim is not the same as that sent in authentication request
 
+    it("should authenticate request when access token matches access token hash claim", function (done) {
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                authorizationURL: "https://server.example.com/authorize",
+                tokenURL: "https://server.example.com/token",
+                clientID: "s6BhdRkqt3",
+                clientSecret: "some_secret12345",
+                callbackURL: "https://client.example.org/cb",
+            },
+            function (iss, profile, cb) {
+                return cb(null, { id: profile.id });
+            }
+        );
+
+        sinon
+            .stub(strategy._oauth2, "getOAuthAccessToken")
+            .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                token_type: "Bearer",
+                expires_in: 3600,
+                id_token: jws.sign({
+                    header: { alg: "HS256" },
+                    payload: {
+                        iss: "https://server.example.com",
+                        sub: "248289761001",
+                        aud: "s6BhdRkqt3",
+                        at_hash: jose.tokenHash("SlAV32hkKG", "HS256"),
+                        exp: Math.floor((Date.now() + 1000000) / 1000),
+                        iat: Math.floor(Date.now() / 1000),
+                    },
+                    secret: "some_secret12345",
+                }),
+            });
+
+        chai.passport
+            .use(strategy)
+            .request(function (req) {
+                req.query = {
+                    code: "SplxlOBeZQQYbYS6WxSbIA",
+                    state: "af0ifjsldkj",
+                };
+                req.session = {};
+                req.session["openidconnect:server.example.com"] = {
+                    state: {
+                        handle: "af0ifjsldkj",
+                    },
+                };
+            })
+            .success(function (user) {
+                expect(user).to.deep.equal({ id: "248289761001" });
+                done();
+            })
+            .error(done)
+            .authenticate();
+    }); // should authenticate request when access token matches access token hash claim
+
+    it("should forbid request when access token does not match access token hash claim", function (done) {
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                authorizationURL: "https://server.example.com/authorize",
+                tokenURL: "https://server.example.com/token",
+                clientID: "s6BhdRkqt3",
+                clientSecret: "some_secret12345",
+                callbackURL: "https://client.example.org/cb",
+            },
+            function (iss, profile, cb) {
+                return cb(null, { id: profile.id });
+            }
+        );
+
+        sinon
+            .stub(strategy._oauth2, "getOAuthAccessToken")
+            .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                token_type: "Bearer",
+                expires_in: 3600,
+                id_token: jws.sign({
+                    header: { alg: "HS256" },
+                    payload: {
+                        iss: "https://server.example.com",
+                        sub: "248289761001",
+                        aud: "s6BhdRkqt3",
+                        at_hash: jose.tokenHash("XXXXXXXX", "HS256"),
+                        exp: Math.floor((Date.now() + 1000000) / 1000),
+                        iat: Math.floor(Date.now() / 1000),
+                    },
+                    secret: "some_secret12345",
+                }),
+            });
+
+        chai.passport
+            .use(strategy)
+            .request(function (req) {
+                req.query = {
+                    code: "SplxlOBeZQQYbYS6WxSbIA",
+                    state: "af0ifjsldkj",
+                };
+                req.session = {};
+                req.session["openidconnect:server.example.com"] = {
+                    state: {
+                        handle: "af0ifjsldkj",
+                    },
+                };
+            })
+            .fail(function (challenge, status) {
+                expect(challenge).to.deep.equal({
+                    message: "ID token contains invalid access token hash.",
+                    code: "invalid_at_hash",
+                });
+                expect(status).to.equal(403);
+                done();
+            })
+            .error(done)
+            .authenticate();
+    }); // should forbid request when access token does not match access token hash claim
+
     it("should forbid request when too much time has elapsed since last authentication", function (done) {
         var strategy = new Strategy(
             {
@@ -1729,7 +1848,7 @@ describe("Strategy", function () {
                         iat: Math.floor(Date.now() / 1000), // now
                         auth_time: Math.floor((Date.now() - 172800000) / 1000), // 2 days ago
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2124,7 +2243,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2179,7 +2298,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2234,7 +2353,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2289,7 +2408,7 @@ describe("Strategy", function () {
                         aud: "s6BhdRkqt3",
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2346,7 +2465,7 @@ describe("Strategy", function () {
                         aud: "s6BhdRkqt3",
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2404,7 +2523,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2463,7 +2582,7 @@ describe("Strategy", function () {
                         exp: Math.floor((Date.now() + 1000000) / 1000),
                         iat: Math.floor(Date.now() / 1000),
                     },
-                    secret: "keyboard cat",
+                    secret: "some_secret12345",
                 }),
             });
 
@@ -2514,48 +2633,265 @@ describe("Strategy", function () {
         );
     });
 
-    it("should throw if constructed without an authorizationURL option", function () {
-        expect(function () {
-            new Strategy(
-                {
-                    issuer: "https://server.example.com",
-                },
-                function () {}
-            );
-        }).to.throw(
-            TypeError,
-            "OpenIDConnectStrategy requires an authorizationURL option"
+    it("should discover endpoints if constructed without an authorizationURL option", function () {
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                tokenURL: "https://server.example.com/token",
+                clientID: "s6BhdRkqt3",
+            },
+            function () {}
         );
+
+        expect(strategy._discovery.required).to.be.true;
     });
 
-    it("should throw if constructed without a tokenURL option", function () {
+    it("should discover endpoints if constructed without a tokenURL option", function () {
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                authorizationURL: "https://server.example.com/authorize",
+                clientID: "s6BhdRkqt3",
+            },
+            function () {}
+        );
+
+        expect(strategy._discovery.required).to.be.true;
+    });
+
+    it("should throw if constructed without a clientID option", function () {
         expect(function () {
             new Strategy(
                 {
                     issuer: "https://server.example.com",
                     authorizationURL: "https://server.example.com/authorize",
+                    tokenURL: "https://server.example.com/token",
                 },
                 function () {}
             );
         }).to.throw(
             TypeError,
-            "OpenIDConnectStrategy requires a tokenURL option"
+            "OpenIDConnectStrategy requires a clientID option"
         );
     });
 
-    it("should throw if constructed without a clientID option", function () {
+    it("should throw if constructed with an unsupported tokenEndpointAuthMethod option", function () {
         expect(function () {
             new Strategy(
                 {
                     issuer: "https://server.example.com",
                     authorizationURL: "https://server.example.com/authorize",
                     tokenURL: "https://server.example.com/token",
+                    clientID: "s6BhdRkqt3",
+                    tokenEndpointAuthMethod: "client_secret_sha256",
                 },
                 function () {}
             );
         }).to.throw(
             TypeError,
-            "OpenIDConnectStrategy requires a clientID option"
+            'Unsupported token endpoint auth method "client_secret_sha256"'
+        );
+    });
+
+    it("should authenticate client with tokenEndpointAuthMethod option in other requests", function (done) {
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                authorizationURL: "https://server.example.com/authorize",
+                tokenURL: "https://server.example.com/token",
+                revocationURL: "https://server.example.com/revoke",
+                clientID: "s6BhdRkqt3",
+                clientSecret: "some_secret12345",
+                tokenEndpointAuthMethod: "client_secret_basic",
+            },
+            function () {}
+        );
+        sinon.stub(strategy._oauth2, "_request").yieldsAsync(null, "");
+
+        strategy.revoke("45ghiukldjahdnhzdauz", function (err) {
+            var call = strategy._oauth2._request.firstCall;
+            expect(call.args[2].Authorization).to.equal(
+                "Basic czZCaGRSa3F0Mzpzb21lX3NlY3JldDEyMzQ1"
+            );
+            expect(call.args[3]).to.equal("token=45ghiukldjahdnhzdauz");
+            done(err);
+        });
+    });
+
+    it("should authenticate client with a fresh client assertion in each token request", function (done) {
+        var pair = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                authorizationURL: "https://server.example.com/authorize",
+                tokenURL: "https://server.example.com/token",
+                clientID: "s6BhdRkqt3",
+                clientSecret: "some_secret12345",
+                callbackURL: "https://client.example.org/cb",
+                tokenEndpointAuthMethod: "private_key_jwt",
+                privateKey: pair.privateKey.export({ format: "jwk" }),
+                privateKeyId: "client-key-1",
+            },
+            function (iss, profile, cb) {
+                return cb(null, { id: profile.id });
+            }
+        );
+
+        sinon.stub(strategy._oauth2, "_request").yieldsAsync(
+            null,
+            JSON.stringify({
+                access_token: "SlAV32hkKG",
+                token_type: "Bearer",
+                id_token: jws.sign({
+                    header: { alg: "HS256" },
+                    payload: {
+                        iss: "https://server.example.com",
+                        sub: "248289761001",
+                        aud: "s6BhdRkqt3",
+                        exp: Math.floor((Date.now() + 1000000) / 1000),
+                        iat: Math.floor(Date.now() / 1000),
+                    },
+                    secret: "some_secret12345",
+                }),
+            })
+        );
+
+        function authenticate(cb) {
+            chai.passport
+                .use(strategy)
+                .request(function (req) {
+                    req.query = {
+                        code: "SplxlOBeZQQYbYS6WxSbIA",
+                        state: "af0ifjsldkj",
+                    };
+                    req.session = {};
+                    req.session["openidconnect:server.example.com"] = {
+                        state: {
+                            handle: "af0ifjsldkj",
+                        },
+                    };
+                })
+                .success(function () {
+                    cb();
+                })
+                .error(done)
+                .authenticate();
+        }
+
+        function assertion(call) {
+            var body = querystring.parse(call.args[3]);
+            expect(body.client_assertion_type).to.equal(
+                "urn:ietf:params:oauth:client-assertion-type:jwt-bearer"
+            );
+            expect(body.client_secret).to.be.undefined;
+            return jose.decode(body.client_assertion);
+        }
+
+        authenticate(function () {
+            authenticate(function () {
+                var first = assertion(strategy._oauth2._request.firstCall);
+                var second = assertion(strategy._oauth2._request.secondCall);
+
+                expect(first.header).to.deep.equal({
+                    alg: "ES256",
+                    typ: "JWT",
+                    kid: "client-key-1",
+                });
+                expect(jose.verify(first, pair.publicKey)).to.be.true;
+                expect(first.payload.aud).to.equal(
+                    "https://server.example.com/token"
+                );
+                expect(first.payload.exp - first.payload.iat).to.equal(60);
+                expect(first.payload.jti).to.not.equal(second.payload.jti);
+                done();
+            });
+        });
+    });
+
+    it("should serve public keys of the client with jwksHandler", function () {
+        var signing = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+        var next = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                authorizationURL: "https://server.example.com/authorize",
+                tokenURL: "https://server.example.com/token",
+                clientID: "s6BhdRkqt3",
+                tokenEndpointAuthMethod: "private_key_jwt",
+                privateKey: signing.privateKey.export({
+                    type: "pkcs8",
+                    format: "pem",
+                }),
+                clientKeys: [
+                    Object.assign(next.privateKey.export({ format: "jwk" }), {
+                        kid: "next",
+                        use: "sig",
+                    }),
+                ],
+            },
+            function () {}
+        );
+        var res = { headers: {} };
+        res.setHeader = function (name, value) {
+            res.headers[name] = value;
+        };
+        res.end = function (body) {
+            res.body = body;
+        };
+
+        strategy.jwksHandler()({ method: "GET" }, res);
+
+        var kid = jose.thumbprint(signing.publicKey.export({ format: "jwk" }));
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers["Content-Type"]).to.equal(
+            "application/jwk-set+json"
+        );
+        expect(
+            JSON.parse(res.body).keys.map(function (jwk) {
+                return [jwk.kid, jwk.use, jwk.d];
+            })
+        ).to.deep.equal([
+            ["next", "sig", undefined],
+            [kid, "sig", undefined],
+        ]);
+        expect(
+            jose.decode(strategy._oauth2.clientAssertion()).header.kid
+        ).to.equal(kid);
+    });
+
+    it("should only allow GET and HEAD requests to jwksHandler", function () {
+        var strategy = new Strategy(
+            {
+                issuer: "https://server.example.com",
+                authorizationURL: "https://server.example.com/authorize",
+                tokenURL: "https://server.example.com/token",
+                clientID: "s6BhdRkqt3",
+                clientSecret: "some_secret12345",
+            },
+            function () {}
         );
+        function request(method) {
+            var res = { headers: {} };
+            res.setHeader = function (name, value) {
+                res.headers[name] = value;
+            };
+            res.end = function (body) {
+                res.body = body;
+            };
+            strategy.jwksHandler()({ method: method }, res);
+            return res;
+        }
+
+        var res = request("HEAD");
+        expect(res.statusCode).to.equal(200);
+        expect(res.headers["Content-Type"]).to.equal(
+            "application/jwk-set+json"
+        );
+        expect(res.body).to.be.undefined;
+
+        res = request("POST");
+        expect(res.statusCode).to.equal(405);
+        expect(res.headers.Allow).to.equal("GET, HEAD");
+        expect(res.body).to.be.undefined;
     });
 }); // Strategy
@@ -0,0 +1,237 @@
+var chai = require("chai");
+var sinon = require("sinon");
+var crypto = require("crypto");
+var jws = require("jws");
+var createStrategy = require("./helpers/strategy");
+
+describe("Strategy", function () {
+    describe("with signed UserInfo responses", function () {
+        var signing = crypto.generateKeyPairSync("rsa", {
+            modulusLength: 2048,
+        });
+        var privateKey = signing.privateKey.export({
+            type: "pkcs8",
+            format: "pem",
+        });
+        var jwk = Object.assign(signing.publicKey.export({ format: "jwk" }), {
+            kid: "k1",
+            use: "sig",
+        });
+        var encryption = crypto.generateKeyPairSync("rsa", {
+            modulusLength: 2048,
+        });
+        var clock, strategy;
+
+        var options = {
+            userInfoURL: "https://server.example.com/userinfo",
+            jwksURI: "https://server.example.com/jwks",
+            skipUserProfile: false,
+        };
+
+        function verify(issuer, profile, cb) {
+            return cb(null, profile);
+        }
+
+        beforeEach(function () {
+            clock = sinon.useFakeTimers(1311280970000);
+            strategy = createStrategy(options, verify);
+        });
+
+        afterEach(function () {
+            clock.restore();
+        });
+
+        function sign(claims, key) {
+            return jws.sign({
+                header: { alg: "RS256", kid: "k1" },
+                payload: Object.assign(
+                    {
+                        iss: "https://server.example.com",
+                        sub: "248289761001",
+                        aud: "s6BhdRkqt3",
+                    },
+                    claims
+                ),
+                secret: key || privateKey,
+            });
+        }
+
+        function encrypt(plaintext) {
+            var header = { alg: "RSA-OAEP-256", enc: "A256GCM" };
+            var cek = crypto.randomBytes(32);
+            var iv = crypto.randomBytes(12);
+            var protectedHeader = Buffer.from(JSON.stringify(header)).toString(
+                "base64url"
+            );
+            var cipher = crypto.createCipheriv("aes-256-gcm", cek, iv);
+            cipher.setAAD(Buffer.from(protectedHeader));
+            var ciphertext = Buffer.concat([
+                cipher.update(plaintext),
+                cipher.final(),
+            ]);
+            var encryptedKey = crypto.publicEncrypt(
+                {
+                    key: encryption.publicKey,
+                    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+                    oaepHash: "sha256",
+                },
+                cek
+            );
+            return [
+                protectedHeader,
+                encryptedKey.toString("base64url"),
+                iv.toString("base64url"),
+                ciphertext.toString("base64url"),
+                cipher.getAuthTag().toString("base64url"),
+            ].join(".");
+        }
+
+        function respond(body, type) {
+            sinon
+                .stub(strategy._oauth2, "getOAuthAccessToken")
+                .yieldsAsync(null, "SlAV32hkKG", "8xLOxBtZp8", {
+                    id_token: sign({ exp: 1311281970, iat: 1311280970 }),
+                });
+            sinon
+                .stub(strategy._oauth2, "_request")
+                .yieldsAsync(null, JSON.stringify({ keys: [jwk] }));
+            sinon.stub(strategy._oauth2, "get").yieldsAsync(null, body, {
+                statusCode: 200,
+                headers: { "content-type": type || "application/jwt" },
+            });
+        }
+
+        function callback(req) {
+            req.query = {
+                code: "SplxlOBeZQQYbYS6WxSbIA",
+                state: "af0ifjsldkj",
+            };
+            req.session = {};
+            req.session["openidconnect:server.example.com"] = {
+                state: {
+                    handle: "af0ifjsldkj",
+                },
+            };
+        }
+
+        function fails(message, done) {
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .fail(function (challenge, status) {
+                    expect(challenge).to.deep.equal({ message: message });
+                    expect(status).to.equal(403);
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        }
+
+        it("should load profile from signed response", function (done) {
+            respond(
+                sign({ name: "Jane Doe" }),
+                "application/jwt; charset=utf-8"
+            );
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (profile) {
+                    expect(profile.id).to.equal("248289761001");
+                    expect(profile.displayName).to.equal("Jane Doe");
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should load profile from signed and encrypted response", function (done) {
+            strategy = createStrategy(
+                Object.assign({}, options, {
+                    clientKeys: [
+                        Object.assign(
+                            encryption.privateKey.export({ format: "jwk" }),
+                            { use: "enc" }
+                        ),
+                    ],
+                    userInfoEncryptedResponseAlg: "RSA-OAEP-256",
+                }),
+                verify
+            );
+            respond(encrypt(sign({ name: "Jane Doe" })));
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .success(function (profile) {
+                    expect(profile.displayName).to.equal("Jane Doe");
+                    done();
+                })
+                .error(done)
+                .authenticate();
+        });
+
+        it("should fail when signature is invalid", function (done) {
+            var other = crypto
+                .generateKeyPairSync("rsa", { modulusLength: 2048 })
+                .privateKey.export({ type: "pkcs8", format: "pem" });
+            respond(sign({}, other));
+
+            fails("UserInfo response signature is invalid.", done);
+        });
+
+        it("should fail when not issued by provider", function (done) {
+            respond(sign({ iss: "https://evil.example.com" }));
+
+            fails(
+                "UserInfo response not issued by expected OpenID provider.",
+                done
+            );
+        });
+
+        it("should fail when not intended for client", function (done) {
+            respond(sign({ aud: "other-client" }));
+
+            fails(
+                "UserInfo response not intended for this relying party.",
+                done
+            );
+        });
+
+        it("should fail when subject does not match ID token", function (done) {
+            respond(sign({ sub: "other-user" }));
+
+            fails("UserInfo response subject does not match ID token.", done);
+        });
+
+        it("should fail when signature is expected and response is JSON", function (done) {
+            strategy = createStrategy(
+                Object.assign({}, options, {
+                    userInfoSignedResponseAlg: "RS256",
+                }),
+                verify
+            );
+            respond(
+                JSON.stringify({ sub: "248289761001" }),
+                "application/json"
+            );
+
+            fails("UserInfo response is not signed.", done);
+        });
+
+        it("should error when response is missing audience", function (done) {
+            respond(sign({ aud: undefined }));
+
+            chai.passport
+                .use(strategy)
+                .request(callback)
+                .error(function (err) {
+                    expect(err.message).to.equal(
+                        "UserInfo response missing audience claim"
+                    );
+                    done();
+                })
+                .authenticate();
+        });
+    });
+});
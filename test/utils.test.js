@@ -1,4 +1,5 @@
 var utils = require("../lib/utils");
+var stream = require("stream");
 
 describe("utils", function () {
     describe("originalUrl", function () {
@@ -170,6 +171,94 @@ describe("utils", function () {
             });
         });
     });
+
+    describe("parseForm", function () {
+        it("should use parsed request body", function (done) {
+            utils.parseForm(
+                { body: { logout_token: "eyJ" } },
+                function (err, form) {
+                    expect(form).to.deep.equal({ logout_token: "eyJ" });
+                    done(err);
+                }
+            );
+        });
+
+        it("should parse url-encoded request stream", function (done) {
+            var req = stream.Readable.from(["logout_token=ey", "J%2E"]);
+            req.headers = {
+                "content-type":
+                    "application/x-www-form-urlencoded; charset=utf-8",
+            };
+
+            utils.parseForm(req, function (err, form) {
+                expect(form).to.deep.equal({ logout_token: "eyJ." });
+                done(err);
+            });
+        });
+
+        it("should parse url-encoded request stream when body was not parsed", function (done) {
+            var req = stream.Readable.from(["logout_token=eyJ"]);
+            req.headers = {
+                "content-type": "application/x-www-form-urlencoded",
+            };
+            req.body = {};
+
+            utils.parseForm(req, function (err, form) {
+                expect(form).to.deep.equal({ logout_token: "eyJ" });
+                done(err);
+            });
+        });
+
+        it("should use empty request body read by parser", function (done) {
+            var req = stream.Readable.from(["logout_token=eyJ"]);
+            req.headers = {
+                "content-type": "application/x-www-form-urlencoded",
+            };
+            req.body = {};
+            req._body = true;
+
+            utils.parseForm(req, function (err, form) {
+                expect(form).to.deep.equal({});
+                done(err);
+            });
+        });
+
+        it("should parse url-encoded raw request body", function (done) {
+            var req = {
+                headers: {
+                    "content-type": "application/x-www-form-urlencoded",
+                },
+                body: Buffer.from("logout_token=eyJ"),
+            };
+
+            utils.parseForm(req, function (err, form) {
+                expect(form).to.deep.equal({ logout_token: "eyJ" });
+                done(err);
+            });
+        });
+
+        it("should ignore request body of other content types", function (done) {
+            var req = stream.Readable.from(['{"logout_token":"eyJ"}']);
+            req.headers = { "content-type": "application/json" };
+
+            utils.parseForm(req, function (err, form) {
+                expect(form).to.deep.equal({});
+                done(err);
+            });
+        });
+
+        it("should error when request body is too large", function (done) {
+            var req = stream.Readable.from(["a=" + "b".repeat(102400)]);
+            req.headers = {
+                "content-type": "application/x-www-form-urlencoded",
+            };
+
+            utils.parseForm(req, function (err) {
+                expect(err.message).to.equal("Request body too large");
+                done();
+            });
+        });
+    });
 });
 
 function createVanillaRequest() {